@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * @file Command-line batch runner for the battery calculator engine.
+ *
+ * Simulates one or more HDF files with the same configuration and writes to an output directory:
+ * - `<name>.results.json`: the annual figures and monthly breakdown of every strategy.
+ * - `<name>.<strategy>.csv`: the interval-by-interval results of every strategy.
+ * - `<name>.<strategy>.hdf.csv`: a simulated HDF file per strategy (with --hdf).
+ * - `summary.csv`: one row per file and strategy, for comparing many customers at once.
+ *
+ * The configuration is a JSON file keyed like DEFAULT_CONFIG in engine.js. Missing settings use the
+ * page's defaults. A profile file exported from the page can be used as the configuration.
+ * Every strategy in the registry (STRATEGIES in engine.js) is simulated, followed by the custom strategies in the
+ * configuration as 'custom-1', 'custom-2', ...
+ * As on the page, the strategies that charge from the grid in the force-charge hours are simulated even when the tariff
+ * has none, but they then work like Self-Consumption: a warning is shown, their summary.csv rows carry a Note and
+ * their ids are listed as `withoutForceChargeHours` in the results JSON.
+ * With a heat pump (heatPumpEnabled) or EV charging (evEnabled) switched on, the loads are added to each file's
+ * consumption first, and their totals over the file's data are written as `heatPump` and `ev` in the results JSON.
+ * With a heat pump, every strategy is also simulated without it (`withoutHeatPump` in each strategy's results), and
+ * with a hot-water diverter (diverterEnabled), without the diverter (`withoutDiverter`).
+ * The simulation period is the last 12 full months unless the configuration (dateRange) or --from/--to say otherwise.
+ * With --years (or compareYears), every strategy is also simulated on each calendar year of the period, written as
+ * `years` in the results JSON and as extra rows in summary.csv.
+ * With --prices, the dynamic prices in the file replace the tariff's unit rates wherever they cover a file's data, and
+ * their coverage is written as `dynamicPrices` in the results JSON.
+ * Each file's data-quality report (gaps, duplicates, impossible readings and flat-lines) is written as `dataQuality`
+ * in the results JSON. The configuration's dataRepair setting chooses how the flagged intervals are repaired.
+ */
+
+import { parseArgs } from 'node:util';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import {
+    buildSimulationParameters, configFromFormState, prepareSimulationData, getStrategyRuns,
+    runSimulation, runOptimizationAnalysis, createResultsCsv, createSimulatedHdfCsv,
+    hasDegradation, getDegradationRuns, applyDegradation, applyAddedLoads, parseDynamicPriceCsv, applyDynamicPrices,
+    splitByCalendarYear, getPeriodCoverage, scheduleHasForceChargeHours, getBaselineStrategy
+} from './engine.js';
+
+const USAGE = `Usage: node cli.js --config <config.json> [options] <hdf.csv> [more hdf.csv ...]
+
+Options:
+  -c, --config <file>    Configuration JSON, or a profile file exported from the page
+  -p, --profile <name>   The profile to use when the configuration file holds several (default: the first)
+  -o, --out <dir>        Output directory (default: results)
+  -f, --format <format>  json, csv or both (default: both)
+      --pvgis <file>     PVGIS hourly data to use for solar generation instead of the HDF export readings
+      --from <date>      First day to simulate (YYYY-MM-DD) instead of the last 12 full months
+      --to <date>        Last day to simulate (YYYY-MM-DD)
+      --years            Also simulate each calendar year of the period on its own
+      --prices <file>    Dynamic (e.g. day-ahead) import and export prices to use instead of the tariff's unit rates
+      --hdf              Also write a simulated HDF file per strategy
+      --optimize         Also run the battery size optimisation (32 or more extra simulations per file)
+  -h, --help             Show this help`;
+
+const SUMMARY_HEADERS = [
+    'File', 'Strategy', 'Months of Data', 'Annual Savings Full Bill (EUR)', 'Annual Savings Unit Rates (EUR)',
+    'Payback Full Bill (years)', 'Self-Sufficiency (%)', 'Annual Bill Before (EUR)', 'Annual Bill After (EUR)',
+    'Annual Import (kWh)', 'Annual Export (kWh)', 'NPV (EUR)', 'IRR (%)', 'Discounted Payback (years)',
+    'Annual Cycles', 'Capacity After Warranty (%)', 'Year Below Warranty Capacity',
+    'Annual Savings Net of Tax (EUR)', 'Payback Net of Tax (years)', 'Clipped Solar (kWh)',
+    'Cheap-Rate Import (kWh)', 'Cheap-Rate Import Avoided vs Baseline (kWh)',
+    'Annual Savings without Heat Pump (EUR)', 'Annual Bill After without Heat Pump (EUR)',
+    'Annual Savings Battery Only (EUR)', 'Annual Savings Diverter Only (EUR)', 'Annual Savings Battery and Diverter (EUR)', 'Solar to Hot Water (kWh)', 'Water Heating Cost Avoided (EUR)',
+    'Period', 'Days Simulated', 'Annualisation Factor', 'Flagged Intervals', 'Data Repair', 'Repaired Intervals', 'Note'
+];
+
+// The Note of the summary.csv rows of strategies that need force-charge hours when the tariff has none
+const NO_FORCE_CHARGE_HOURS_NOTE = 'Not representative: the tariff has no force-charge hours';
+
+/**
+ * Reads the configuration file. Plain configurations are used as they are; profile files, single profiles
+ * and form snapshots from the page are converted with `configFromFormState`.
+ * @param {string} file - The path of the JSON file.
+ * @param {string} [profileName] - The name of the profile to use from a profile file.
+ * @returns {Promise<Object>} The configuration for `buildSimulationParameters`.
+ */
+async function readConfig(file, profileName) {
+    const content = JSON.parse(await readFile(file, 'utf8'));
+
+    if (Array.isArray(content.profiles)) {
+        const profile = profileName ? content.profiles.find(p => p.name === profileName) : content.profiles[0];
+        if (!profile) throw new Error(profileName ? `No profile called "${profileName}" in ${file}.` : `${file} does not contain any profiles.`);
+        return configFromFormState(profile.state);
+    }
+    if (content.state?.fields) return configFromFormState(content.state);
+    if (content.fields) return configFromFormState(content);
+    return content;
+}
+
+/**
+ * Builds one row of summary.csv.
+ * @param {string} file - The HDF file's name.
+ * @param {Object} strategy - The strategy from the registry.
+ * @param {number} monthsOfData - The number of months simulated.
+ * @param {Object} summary - The strategy's results.
+ * @param {Object} results - The results of the strategies simulated so far on the same data, by strategy key.
+ * @param {string} period - The period the row covers: the first and last days, or a calendar year.
+ * @param {Object} dataQuality - The data-quality report of the file from `prepareSimulationData`.
+ * @param {string} [note=''] - A note on the row, e.g. NO_FORCE_CHARGE_HOURS_NOTE.
+ * @returns {Array<string>} The row.
+ */
+function createSummaryRow(file, strategy, monthsOfData, summary, results, period, dataQuality, note = '') {
+    const baseline = getBaselineStrategy(strategy);
+    return [
+        file, strategy.isCustom ? `${strategy.id} (${strategy.name})` : strategy.id, monthsOfData,
+        summary.annualSavingsFullBill.toFixed(2), summary.annualSavings.toFixed(2),
+        isFinite(summary.paybackPeriodFullBill) ? summary.paybackPeriodFullBill.toFixed(1) : '',
+        summary.selfSufficiency.toFixed(1), summary.fullBillBefore.total.toFixed(2), summary.fullBillAfter.total.toFixed(2),
+        summary.annualImportAfter.toFixed(1), summary.annualExportAfter.toFixed(1),
+        summary.lifetime.npv.toFixed(2),
+        summary.lifetime.irr === null ? '' : (summary.lifetime.irr * 100).toFixed(1),
+        isFinite(summary.lifetime.discountedPayback) ? summary.lifetime.discountedPayback.toFixed(1) : '',
+        summary.annualCycles.toFixed(0),
+        summary.degradation ? summary.degradation.capacityAtWarrantyEnd.toFixed(1) : '',
+        summary.degradation?.yearBelowEndOfWarranty ?? '',
+        summary.annualSavingsNetOfTax.toFixed(2),
+        isFinite(summary.paybackPeriodNetOfTax) ? summary.paybackPeriodNetOfTax.toFixed(1) : '',
+        summary.annualClippedSolar.toFixed(1),
+        summary.annualCheapRateImport.toFixed(1),
+        // Strategies with a baseline only (e.g. Smart Charge against the Import Minimiser), which is simulated before them
+        baseline ? (results[baseline.key].annualCheapRateImport - summary.annualCheapRateImport).toFixed(1) : '',
+        summary.withoutHeatPump ? summary.withoutHeatPump.annualSavingsFullBill.toFixed(2) : '',
+        summary.withoutHeatPump ? summary.withoutHeatPump.fullBillAfter.total.toFixed(2) : '',
+        summary.withoutDiverter ? summary.withoutDiverter.annualSavingsFullBill.toFixed(2) : '',
+        summary.diverter ? summary.diverter.annualSavingsWithoutBattery.toFixed(2) : '',
+        summary.diverter ? summary.diverter.annualSavingsWithBattery.toFixed(2) : '',
+        summary.diverter ? summary.diverter.annualDiverted.toFixed(1) : '',
+        summary.diverter ? summary.annualWaterHeatingSaving.toFixed(2) : '',
+        period, summary.daysSimulated.toFixed(1), summary.annualisationFactor.toFixed(3),
+        dataQuality.flaggedIntervals, dataQuality.repair, dataQuality.repaired.interpolated + dataQuality.repaired.fromNeighbourWeek,
+        note
+    ].map(String);
+}
+
+/**
+ * Simulates every strategy for one HDF file and writes its output files.
+ * @param {string} hdfPath - The path of the HDF file.
+ * @param {Object} params - The simulation parameters.
+ * @param {Object} options - The parsed command-line options, plus the PVGIS text and the dynamic prices if given, and
+ *   the ids of the strategies that need force-charge hours the tariff does not have (`withoutForceChargeHours`, a Set).
+ * @returns {Promise<Array<Array<string>>>} The file's rows for summary.csv.
+ */
+async function processFile(hdfPath, params, options) {
+    const name = path.basename(hdfPath, path.extname(hdfPath));
+    const file = path.basename(hdfPath);
+    const prepared = prepareSimulationData(await readFile(hdfPath, 'utf8'), options.pvgisText, params.period, params.dataQuality);
+    const { uniqueMonths, coverage, dataQuality } = prepared;
+    const priced = options.prices ? applyDynamicPrices(prepared.data, options.prices) : { data: prepared.data, summary: null };
+    const loads = applyAddedLoads(priced.data, params);
+    const { data } = loads;
+    if (!coverage.isFullYear) {
+        console.warn(`  Warning: the period ${coverage.start} to ${coverage.end} is ${coverage.days.toFixed(0)} days, not a full year. Annual figures are its totals multiplied by ${coverage.scalingFactor.toFixed(3)}.`);
+    }
+    if (dataQuality.flaggedIntervals > 0 && dataQuality.repair === 'leave') {
+        console.warn(`  Warning: ${dataQuality.flaggedIntervals} intervals are missing or suspect and are simulated as they are. Set dataRepair to 'interpolate' or 'neighbour-week' to repair them.`);
+    }
+    if (priced.summary?.missingIntervals > 0) {
+        console.warn(`  Warning: the price file does not cover ${priced.summary.missingIntervals} intervals. The tariff's rates are used there.`);
+    }
+
+    const results = {};
+    const summaryRows = [];
+    const strategyRuns = getStrategyRuns(params);
+    const getNote = (strategy) => options.withoutForceChargeHours.has(strategy.id) ? NO_FORCE_CHARGE_HOURS_NOTE : '';
+    for (const { strategy, params: strategyParams } of strategyRuns) {
+        const { detailedLog, ...summary } = await runSimulation(data, strategyParams);
+        if (hasDegradation(strategyParams)) {
+            const fadedResults = [];
+            for (const run of getDegradationRuns(strategyParams)) fadedResults.push(await runSimulation(data, run.params));
+            applyDegradation(summary, fadedResults, strategyParams);
+        }
+        if (loads.dataWithoutHeatPump) {
+            summary.withoutHeatPump = await runSimulation(loads.dataWithoutHeatPump, strategyParams);
+            delete summary.withoutHeatPump.detailedLog;
+        }
+        if (strategyParams.diverter.enabled) {
+            summary.withoutDiverter = await runSimulation(data, { ...strategyParams, diverter: { ...strategyParams.diverter, enabled: false } });
+            delete summary.withoutDiverter.detailedLog;
+        }
+        results[strategy.key] = summary;
+
+        if (options.format !== 'json') {
+            await writeFile(path.join(options.out, `${name}.${strategy.id}.csv`), createResultsCsv(detailedLog));
+        }
+        if (options.hdf) {
+            await writeFile(path.join(options.out, `${name}.${strategy.id}.hdf.csv`), createSimulatedHdfCsv(detailedLog));
+        }
+        summaryRows.push(createSummaryRow(file, strategy, uniqueMonths, summary, results, `${coverage.start} to ${coverage.end}`, dataQuality, getNote(strategy)));
+    }
+
+    // Each calendar year of the period on its own
+    const years = params.period.compareYears ? splitByCalendarYear(data) : [];
+    const yearResults = [];
+    if (years.length > 1) {
+        for (const { year, data: yearData } of years) {
+            const yearMonths = new Set(yearData.map(row => row.localTime.toISOString().slice(0, 7))).size;
+            const resultsOfYear = {};
+            for (const { strategy, params: strategyParams } of strategyRuns) {
+                const summary = await runSimulation(yearData, strategyParams);
+                delete summary.detailedLog;
+                resultsOfYear[strategy.key] = summary;
+                summaryRows.push(createSummaryRow(file, strategy, yearMonths, summary, resultsOfYear, String(year), dataQuality, getNote(strategy)));
+            }
+            yearResults.push({ year, coverage: getPeriodCoverage(yearData), results: resultsOfYear });
+        }
+    }
+
+    if (options.format !== 'csv') {
+        const output = {
+            file,
+            monthsOfData: uniqueMonths,
+            period: coverage,
+            available: prepared.available,
+            dataQuality,
+            generatedAt: new Date().toISOString(),
+            params,
+            heatPump: loads.heatPump ?? undefined,
+            ev: loads.ev ?? undefined,
+            dynamicPrices: priced.summary ?? undefined,
+            results,
+            withoutForceChargeHours: options.withoutForceChargeHours.size > 0 ? [...options.withoutForceChargeHours] : undefined,
+            years: yearResults.length > 0 ? yearResults : undefined,
+            optimization: options.optimize ? await runOptimizationAnalysis(data, params) : undefined
+        };
+        // Infinite payback periods (no savings) are written as null.
+        await writeFile(path.join(options.out, `${name}.results.json`), JSON.stringify(output, null, 2));
+    }
+    return summaryRows;
+}
+
+/**
+ * Quotes a value for a CSV file if it contains a comma, quote or line break.
+ * @param {string} value - The value to write.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Runs the command line tool.
+ */
+async function main() {
+    const { values: options, positionals: hdfPaths } = parseArgs({
+        allowPositionals: true,
+        options: {
+            config: { type: 'string', short: 'c' },
+            profile: { type: 'string', short: 'p' },
+            out: { type: 'string', short: 'o', default: 'results' },
+            format: { type: 'string', short: 'f', default: 'both' },
+            pvgis: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            years: { type: 'boolean', default: false },
+            prices: { type: 'string' },
+            hdf: { type: 'boolean', default: false },
+            optimize: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!options.config || hdfPaths.length === 0) throw new Error(`A configuration file and at least one HDF file are required.\n\n${USAGE}`);
+    if (!['json', 'csv', 'both'].includes(options.format)) throw new Error(`Unknown format "${options.format}". Use json, csv or both.`);
+
+    const config = await readConfig(options.config, options.profile);
+    if (options.pvgis) config.dataSource = 'pvgis';
+    else if (config.dataSource === 'pvgis') throw new Error('The configuration uses PVGIS data. Pass the PVGIS file with --pvgis.');
+
+    if (options.from || options.to) Object.assign(config, { dateRange: 'custom', dateRangeStart: options.from ?? '', dateRangeEnd: options.to ?? '' });
+    if (options.years) config.compareYears = true;
+    if (options.prices) config.useDynamicPrices = true;
+    else if (config.useDynamicPrices === true || config.useDynamicPrices === 'true') throw new Error('The configuration uses dynamic prices. Pass the price file with --prices.');
+
+    const params = buildSimulationParameters(config);
+    const pvgisText = options.pvgis ? await readFile(options.pvgis, 'utf8') : null;
+    const prices = options.prices ? parseDynamicPriceCsv(await readFile(options.prices, 'utf8')) : null;
+
+    // Without force-charge hours these strategies never charge from the grid, so they work like Self-Consumption.
+    const withoutForceChargeHours = scheduleHasForceChargeHours(params.tariffSchedule)
+        ? []
+        : getStrategyRuns(params).map(run => run.strategy).filter(strategy => strategy.requiresForceChargeHours);
+    if (withoutForceChargeHours.length > 0) {
+        console.warn(`Warning: the tariff has no force-charge hours, so the results of ${withoutForceChargeHours.map(strategy => strategy.name).join(', ')} `
+            + 'are not representative (they work like Self-Consumption). Mark the cheap-rate hours in forceChargeHours of the tariffSchedule.');
+    }
+    await mkdir(options.out, { recursive: true });
+
+    const summaryRows = [];
+    let failures = 0;
+    for (const [index, hdfPath] of hdfPaths.entries()) {
+        console.log(`[${index + 1}/${hdfPaths.length}] ${hdfPath}`);
+        try {
+            summaryRows.push(...await processFile(hdfPath, params, {
+                ...options, pvgisText, prices, withoutForceChargeHours: new Set(withoutForceChargeHours.map(strategy => strategy.id))
+            }));
+        } catch (error) {
+            failures++;
+            console.error(`  Error: ${error.message}`);
+        }
+    }
+
+    const summaryCsv = [SUMMARY_HEADERS, ...summaryRows].map(row => row.map(toCsvField).join(',')).join('\n');
+    await writeFile(path.join(options.out, 'summary.csv'), summaryCsv);
+    console.log(`Wrote results for ${hdfPaths.length - failures} of ${hdfPaths.length} file(s) to ${options.out}`);
+    if (failures > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,11 @@
+/**
+ * @file Heating degree days for Ireland, used by the heat pump model in engine.js to spread a year's heat
+ * demand over the days of the year.
+ *
+ * The values are typical monthly heating degree days (base 15.5 °C) for a lowland Irish site, in line with
+ * Met Éireann's long-term averages. They set the shape of the heating season only: the annual heat demand
+ * entered on the page sets the total, so small differences between sites change the results very little.
+ */
+
+// Heating degree days (°C·days, base 15.5 °C) for January to December.
+export const IRISH_MONTHLY_HEATING_DEGREE_DAYS = [308, 283, 281, 222, 160, 98, 65, 69, 108, 171, 236, 292];
@@ -0,0 +1,3219 @@
+/**
+ * @file The simulation engine of the battery calculator: HDF, PVGIS and dynamic price parsing, Irish local time
+ * handling, the battery simulation, the battery size optimisation and the generated CSV/HDF files.
+ *
+ * This is an ES module with no access to the page (no DOM), so the same code runs in the browser,
+ * in the simulation worker (simulation-worker.js) and in Node (cli.js).
+ */
+
+import { IRISH_MONTHLY_HEATING_DEGREE_DAYS } from './degree-days.js';
+
+// --- CONSTANTS --- //
+export const HOURS_PER_INTERVAL = 0.5; // The duration of each data interval in hours (e.g., 30 minutes).
+export const INTERVALS_PER_DAY = 24 / HOURS_PER_INTERVAL;
+export const DAYS_IN_YEAR = 365;
+export const FLOAT_TOLERANCE = 0.001; // A small value to avoid floating-point inaccuracies in comparisons.
+export const THIRTY_MINUTES_MS = 30 * 60 * 1000; // 30 minutes in milliseconds
+const GENERIC_MPRN = "12345678912"; // Generic MPRN for exported HDF files
+const GENERIC_METER_ID = "SIMULATED_METER"; // Generic Meter ID for exported HDF files
+const ONE_HOUR_MS = 60 * 60 * 1000; // The Irish Summer Time (IST) offset from GMT
+const ONE_DAY_MS = 24 * ONE_HOUR_MS;
+const PROGRESS_INTERVAL_STEPS = 1000; // How often runSimulation reports progress
+const OPTIMIZATION_SIZES = [5, 10, 15, 20, 25, 30, 35, 40]; // Battery sizes (kWh) tested by the optimisation sweep
+const SMART_CHARGE_FORECAST_WEEKS = 4; // Weeks averaged by the Smart Charge 'weekday-average' forecast
+const OPTIMAL_SOC_LEVELS = 100; // SoC steps used by the optimal dispatch (dynamic programming) benchmark
+const OPTIMAL_MIN_SOC_STEP = 0.02; // kWh; smallest SoC step, so small batteries are not over-resolved
+const OPTIMAL_THROUGHPUT_PENALTY = 1e-6; // €/kWh; breaks ties in favour of leaving the battery idle
+const DEGRADATION_CAPACITY_FRACTIONS = [0.9, 0.8, 0.7, 0.6]; // Faded capacities simulated for the degradation projection
+const FLAT_LINE_MIN_INTERVALS = 24; // Unchanged readings in a row (12 hours) reported as a flat-line
+
+// The configuration used when a setting is not given. The keys and defaults match the inputs of the page
+// (element ids, and names for the radio groups), so a saved profile can be used as a configuration.
+// Percentages are entered as percentages (e.g. 90 for 90%).
+export const DEFAULT_CONFIG = {
+    batterySize: 10,
+    usableCapacity: 90,
+    chargeRate: 5,
+    dischargeRate: null, // null: the same as chargeRate (configurations saved before the two were separate)
+    roundtripEfficiency: 90,
+    useEfficiencyCurves: false,
+    chargeEfficiencyCurve: '5:80, 10:88, 20:93, 50:95, 100:94',
+    dischargeEfficiencyCurve: '5:80, 10:88, 20:93, 50:95, 100:94',
+    standbyPower: 0,
+    topology: 'ac',
+    inverterRating: 5,
+    inverterEfficiency: 97,
+    mic: 12,
+    mec: 6,
+    minSoc: 10,
+    maxSoc: 100,
+    strategy: 'self-consumption',
+    forecastMethod: 'weekday-average', // Smart Charge: 'persistence', 'weekday-average' or 'perfect'
+    smartChargeBuffer: 10, // Smart Charge: % added to the forecast need
+    arbitrageReserve: 30, // Export Arbitrage: SoC (%) kept for the home
+    customStrategies: [], // [{name, rules}]: user-defined rule strategies, simulated next to the built-in ones
+    heatPumpEnabled: false,
+    heatPumpHeatDemand: 12000, // kWh of heat per year
+    heatPumpScop: 3.5, // Seasonal coefficient of performance
+    heatPumpProfile: 'continuous', // 'continuous', 'timed' or 'setback' (HEAT_PUMP_PROFILES)
+    evEnabled: false,
+    evAnnualMileage: 15000, // km
+    evEfficiency: 17, // kWh per 100 km, at the wall (including charging losses)
+    evChargerPower: 7.4, // kW
+    evChargingDays: 5, // Days per week the car is charged at home
+    evWindowStart: 2, // Hour the charging window opens (local time)
+    evWindowEnd: 5, // Hour the charging window closes; earlier than the start for a window over midnight
+    evSolarFirst: false, // Charge from surplus solar on charging days before using the window
+    evProtectBattery: false, // The battery does not discharge into the car
+    diverterEnabled: false,
+    diverterTankSize: 200, // Litres
+    diverterElementPower: 3, // kW
+    diverterDailyDemand: 6, // kWh of hot water used per day
+    diverterPriority: 'battery', // 'battery': surplus solar charges the battery first; 'tank': it heats the tank first
+    diverterFuel: 'oil', // How the water is heated otherwise: 'oil', 'gas' or 'electric'
+    diverterFuelCost: null, // € per kWh of hot water from the usual heating; null uses the typical cost of the fuel
+    dataSource: 'hdf',
+    dateRange: 'last-12-months', // 'last-12-months', 'all' (every day in the file) or 'custom' (dateRangeStart to dateRangeEnd)
+    dateRangeStart: '', // YYYY-MM-DD, the first day of a custom range; '' starts at the beginning of the file
+    dateRangeEnd: '', // YYYY-MM-DD, the last day of a custom range; '' runs to the end of the file
+    compareYears: false, // Also simulate each calendar year in the period on its own
+    systemCost: 8000,
+    standingCharge: 0.70,
+    psoLevy: 1.59,
+    vatRate: 9,
+    unitDiscount: 0,
+    oneOffCredits: 0,
+    pricesIncludeVat: true,
+    importTariffType: 'hourly',
+    importPrice: 0.35,
+    exportTariffType: 'flat',
+    exportPrice: 0.25,
+    tariffSchedule: null, // null uses createDefaultTariffSchedule()
+    useDynamicPrices: false, // Prices from a dynamic price file replace the tariff's unit rates where they cover the data
+    dataRepair: 'leave', // How intervals flagged by the data-quality check are treated (DATA_REPAIR_METHODS)
+    analysisYears: 15,
+    discountRate: 4,
+    priceEscalation: 2,
+    exportRateChange: 0,
+    loanAmount: 0,
+    loanApr: 6,
+    loanTerm: 5,
+    calendarFade: 1.5,
+    cycleFade: 3,
+    warrantyYears: 10,
+    endOfWarrantyCapacity: 70,
+    seaiGrant: 0,
+    otherGrants: 0,
+    cegTaxFreeAllowance: 400,
+    marginalTaxRate: 40
+};
+
+
+// --- IRISH LOCAL TIME (Europe/Dublin) --- //
+// HDF timestamps and tariff schedules are in Irish local time, which moves between GMT (UTC+0)
+// in winter and IST (UTC+1) in summer. Internally every row keeps two Dates:
+//  - `timestamp`: the true instant the interval starts (used for ordering, durations and PVGIS, which is UTC).
+//  - `localTime`: a 'wall-clock' Date whose UTC getters return the Dublin local date and time.
+//    All calendar logic (tariff hours, days, months, seasons) reads from `localTime`.
+// The EU rule is applied directly so the result does not depend on the browser's own time zone.
+
+/**
+ * Finds the instant that Irish clocks change in a given month (01:00 UTC on the last Sunday).
+ * @param {number} year - The full year.
+ * @param {number} monthIndex - The month, 0-indexed (2 = March, 9 = October).
+ * @returns {number} The transition instant in milliseconds since the epoch.
+ */
+function getClockChangeUtcMs(year, monthIndex) {
+    const lastDayOfMonth = new Date(Date.UTC(year, monthIndex + 1, 0));
+    const lastSunday = lastDayOfMonth.getUTCDate() - lastDayOfMonth.getUTCDay();
+    return Date.UTC(year, monthIndex, lastSunday, 1, 0, 0);
+}
+
+/**
+ * Returns the offset of Irish local time from UTC at a given instant.
+ * @param {number} utcMs - The instant in milliseconds since the epoch.
+ * @returns {number} 0 during GMT, or ONE_HOUR_MS during Irish Summer Time.
+ */
+function getDublinOffsetMs(utcMs) {
+    const year = new Date(utcMs).getUTCFullYear();
+    const isSummerTime = utcMs >= getClockChangeUtcMs(year, 2) && utcMs < getClockChangeUtcMs(year, 9);
+    return isSummerTime ? ONE_HOUR_MS : 0;
+}
+
+/**
+ * Converts a true UTC instant into a wall-clock Date showing Irish local time through its UTC getters.
+ * @param {Date} date - The true instant.
+ * @returns {Date} The wall-clock Date.
+ */
+export function toDublinWallClock(date) {
+    return new Date(date.getTime() + getDublinOffsetMs(date.getTime()));
+}
+
+/**
+ * Converts an Irish local date and time into the true UTC instant.
+ * Handles the two clock-change days:
+ *  - Spring forward (46 intervals): local times that do not exist are read as GMT.
+ *  - Fall back (50 intervals): local times that occur twice resolve to the earlier (IST) instant,
+ *    unless `isLaterOccurrence` is set, in which case the later (GMT) instant is used.
+ * @param {number} year - The full year.
+ * @param {number} monthIndex - The month, 0-indexed.
+ * @param {number} day - The day of the month.
+ * @param {number} hour - The local hour.
+ * @param {number} minute - The local minute.
+ * @param {boolean} [isLaterOccurrence=false] - For a repeated local time, selects the second (GMT) instant.
+ * @returns {Date} The true instant.
+ */
+export function dublinLocalToUtc(year, monthIndex, day, hour, minute, isLaterOccurrence = false) {
+    const wallClockMs = Date.UTC(year, monthIndex, day, hour, minute, 0);
+    const asSummerTime = wallClockMs - ONE_HOUR_MS;
+    const isValidSummerTime = getDublinOffsetMs(asSummerTime) === ONE_HOUR_MS;
+    const isValidWinterTime = getDublinOffsetMs(wallClockMs) === 0;
+
+    if (isValidSummerTime && (!isValidWinterTime || !isLaterOccurrence)) {
+        return new Date(asSummerTime);
+    }
+    return new Date(wallClockMs);
+}
+
+/**
+ * Checks whether an Irish local date and time occurs twice (the repeated hour when clocks go back).
+ * @returns {boolean} True if the local time is ambiguous.
+ */
+function isAmbiguousDublinTime(year, monthIndex, day, hour, minute) {
+    const wallClockMs = Date.UTC(year, monthIndex, day, hour, minute, 0);
+    return getDublinOffsetMs(wallClockMs - ONE_HOUR_MS) === ONE_HOUR_MS && getDublinOffsetMs(wallClockMs) === 0;
+}
+
+
+// --- DATA PARSING & PREPARATION --- //
+
+// Which ESB Networks download to use, added to the errors for files the calculator cannot use
+const HDF_DOWNLOAD_ADVICE = 'When downloading your data from ESB Networks, choose "30-minute readings in calculated kWh" and upload that file instead.';
+const DAILY_HDF_ERROR = 'This HDF file only has daily readings (daily totals or snapshots of the meter registers), which do not show when in the day '
+    + `you use or export electricity, so a battery cannot be simulated from it. ${HDF_DOWNLOAD_ADVICE}`;
+
+/**
+ * Parses the text content of an HDF (Half-hourly Data File) CSV.
+ * HDF timestamps are read as Irish local time (Europe/Dublin), including the clock-change days.
+ * A reading listed twice (the same read type and interval) is only counted once.
+ * The ESB Networks download variants are told apart by their read types and the step between readings:
+ * - 30-minute readings in calculated kWh are used as they are.
+ * - Readings in kW (average power) are turned into kWh for their interval.
+ * - 15-minute readings are added up into 30-minute intervals.
+ * - Daily totals and register snapshots are rejected with an error naming the download to choose instead.
+ * @param {string} csvText - The raw text from the CSV file.
+ * @param {Object|null} [issues=null] - If given, filled with what the parser had to leave out, for the data-quality
+ *   report: {skippedRows, duplicates (the interval starts in ms of readings listed more than once), conflictingDuplicates},
+ *   and the variant read (`format`, {intervalMinutes, unit}).
+ * @returns {Array<Object>} An array of parsed data objects ({timestamp, localTime, consumption, generation}), sorted by timestamp.
+ */
+export function parseHDF(csvText, issues = null) {
+    const lines = csvText.trim().split('\n');
+    let headerIndex = -1;
+    let header;
+
+    // Find the header row which contains specific key column names.
+    for (let i = 0; i < lines.length; i++) {
+        const lowerLine = lines[i].toLowerCase();
+        if (lowerLine.includes('read date') && lowerLine.includes('read type') && (lowerLine.includes('read value') || lowerLine.includes('read val'))) {
+            headerIndex = i;
+            header = lines[i].split(',').map(h => h.trim().replace(/"/g, ''));
+            break;
+        }
+    }
+
+    if (headerIndex === -1) {
+        throw new Error('Could not find a valid header row in HDF file. Expected "Read Date", "Read Type", and "Read Value" columns.');
+    }
+
+    const dateIndex = header.findIndex(h => h.toLowerCase().includes('read date'));
+    const typeIndex = header.findIndex(h => h.toLowerCase().includes('read type'));
+    const valueIndex = header.findIndex(h => h.toLowerCase().includes('read value') || h.toLowerCase().includes('read val'));
+
+    if (dateIndex === -1 || typeIndex === -1 || valueIndex === -1) {
+        throw new Error('HDF file is missing required columns (Date, Type, or Value).');
+    }
+
+    // Regex to handle DD/MM/YYYY HH:MM or DD-MM-YYYY HH:MM formats.
+    const getDateParts = (line) => {
+        const dateStr = line.split(',')[dateIndex]?.trim().replace(/"/g, '');
+        return dateStr?.match(/(\d{2})[\/-](\d{2})[\/-](\d{4})\s(\d{2}):(\d{2})/);
+    };
+    const toSortableKey = ([, day, month, year, hour, minute]) => `${year}${month}${day}${hour}${minute}`;
+
+    // ESB files are usually listed newest-first. The file order tells us which of the two readings for a
+    // repeated local time (when the clocks go back) belongs to the earlier IST instant.
+    const dataLines = lines.slice(headerIndex + 1).filter(line => getDateParts(line));
+    const isNewestFirst = dataLines.length > 1 && toSortableKey(getDateParts(dataLines[0])) > toSortableKey(getDateParts(dataLines[dataLines.length - 1]));
+    const repeatedLocalTimeCounts = new Map();
+    const report = issues ?? {};
+    Object.assign(report, { skippedRows: 0, duplicates: [], conflictingDuplicates: 0, format: null });
+
+    // First read every row: its read type, the true instant its interval ends and its value.
+    const readings = [];
+    let hasRegisterReadings = false;
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+
+        const values = lines[i].split(',');
+        if (values.length <= Math.max(dateIndex, typeIndex, valueIndex)) {
+            report.skippedRows++;
+            continue;
+        }
+        
+        const dateParts = getDateParts(lines[i]);
+        if (!dateParts) {
+            report.skippedRows++;
+            continue;
+        }
+
+        const readType = values[typeIndex]?.trim().replace(/"/g, '').toLowerCase();
+        const readValue = parseFloat(values[valueIndex]);
+
+        if (!readType || isNaN(readValue)) {
+            report.skippedRows++;
+            continue;
+        }
+
+        // Only the active import and export intervals are used ('reactive' import and export are not energy used).
+        const direction = readType.match(/\bactive (import|export)\b/)?.[1];
+        if (!direction) continue;
+        if (readType.includes('register')) {
+            hasRegisterReadings = true;
+            continue;
+        }
+
+        const [, day, month, year, hour, minute] = dateParts.map(Number);
+
+        // The HDF 'Read Date and End Time' is Irish local time. On the day the clocks go back the same
+        // local time appears twice per read type, so count occurrences to place each on the right instant.
+        let isLaterOccurrence = false;
+        if (isAmbiguousDublinTime(year, month - 1, day, hour, minute)) {
+            const occurrenceKey = `${readType}|${dateParts[0]}`;
+            const seenBefore = repeatedLocalTimeCounts.get(occurrenceKey) || 0;
+            repeatedLocalTimeCounts.set(occurrenceKey, seenBefore + 1);
+            isLaterOccurrence = isNewestFirst ? seenBefore === 0 : seenBefore > 0;
+        }
+
+        // originalTimestamp is the END of the interval
+        const originalTimestamp = dublinLocalToUtc(year, month - 1, day, hour, minute, isLaterOccurrence);
+        
+        if (isNaN(originalTimestamp.getTime())) continue;
+
+        readings.push({ readType, direction, end: originalTimestamp.getTime(), value: readValue, endsAtMidnight: hour === 0 && minute === 0 });
+    }
+
+    if (readings.length === 0) {
+        if (hasRegisterReadings) throw new Error(DAILY_HDF_ERROR);
+        return [];
+    }
+
+    // The shortest step between two readings of the same type is the interval length of the file:
+    // 30 minutes for the usual download, 15 minutes for quarter-hourly readings.
+    let intervalMs = THIRTY_MINUTES_MS;
+    const lastEndByType = new Map();
+    let shortestStep = Infinity;
+    [...readings].sort((a, b) => a.end - b.end).forEach(({ readType, end }) => {
+        const lastEnd = lastEndByType.get(readType);
+        if (lastEnd !== undefined && end > lastEnd) shortestStep = Math.min(shortestStep, end - lastEnd);
+        lastEndByType.set(readType, end);
+    });
+    if (isFinite(shortestStep)) {
+        intervalMs = shortestStep;
+    } else if (readings.every(({ endsAtMidnight }) => endsAtMidnight)) {
+        // One reading per read type gives no step to measure: a single value ending at midnight is a daily total.
+        throw new Error(DAILY_HDF_ERROR);
+    }
+    if (intervalMs >= ONE_DAY_MS - ONE_HOUR_MS) throw new Error(DAILY_HDF_ERROR);
+    if (intervalMs > THIRTY_MINUTES_MS || THIRTY_MINUTES_MS % intervalMs !== 0) {
+        throw new Error(`The HDF file has a reading every ${intervalMs / 60000} minutes, but the calculator needs 30-minute (or 15-minute) readings. ${HDF_DOWNLOAD_ADVICE}`);
+    }
+
+    // Readings in kW are the average power over the interval; readings in kWh are the energy.
+    const isPower = readings.some(({ readType }) => /\(kw\)/.test(readType));
+    const hoursPerReading = intervalMs / ONE_HOUR_MS;
+    report.format = { intervalMinutes: intervalMs / 60000, unit: isPower ? 'kW' : 'kWh' };
+
+    // Use a map to aggregate consumption and generation data into 30-minute buckets.
+    const seenReadings = new Map(); // Value of each reading by read type and interval, to spot duplicates
+    const dataMap = new Map();
+    readings.forEach(({ readType, direction, end, value }) => {
+        // --- *** FIX *** ---
+        // The HDF 'Read Date and End Time' is the END of the interval.
+        // We must subtract the interval length to get the START of the interval,
+        // and key it by the 30-minute interval it falls in, which is what the rest of the simulation uses.
+        // (e.g., 02:00 data refers to the 01:30-02:00 interval, so it's keyed as 01:30)
+        // This is done on the true instant, so intervals that span a clock change keep their length.
+        const intervalStart = end - intervalMs;
+        const halfHourBucketTimestamp = new Date(Math.floor(intervalStart / THIRTY_MINUTES_MS) * THIRTY_MINUTES_MS);
+        // --- *** END FIX *** ---
+
+        const readingKey = `${readType}|${intervalStart}`;
+        if (seenReadings.has(readingKey)) {
+            report.duplicates.push(halfHourBucketTimestamp.getTime());
+            if (seenReadings.get(readingKey) !== value) report.conflictingDuplicates++;
+            return;
+        }
+        seenReadings.set(readingKey, value);
+
+        const key = halfHourBucketTimestamp.toISOString();
+        if (!dataMap.has(key)) {
+            dataMap.set(key, { timestamp: halfHourBucketTimestamp, localTime: toDublinWallClock(halfHourBucketTimestamp), consumption: 0, generation: 0 });
+        }
+
+        const entry = dataMap.get(key);
+        const energy = isPower ? value * hoursPerReading : value;
+        if (direction === 'import') {
+            entry.consumption += energy;
+        } else {
+            entry.generation += energy;
+        }
+    });
+
+    // Convert map to array and sort by timestamp.
+    return Array.from(dataMap.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Parses the text content of a PVGIS hourly data CSV.
+ * @param {string} csvText - The raw text from the PVGIS CSV file.
+ * @returns {Object} An object containing the data array and metadata.
+ */
+export function parsePvgisCsv(csvText) {
+    const lines = csvText.trim().split('\n');
+    let dataStartIndex = -1;
+    let headers = [];
+    const metadata = {
+        specifiedPeakPower: null
+    };
+
+    // Find metadata and the start of the data.
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        // Look for metadata line like: # lat=..., lon=..., peakpower=10, ...
+        if (line.startsWith('#') && line.includes('peakpower=')) {
+            const match = line.match(/peakpower=([0-9.]+)/);
+            if (match && match[1]) {
+                metadata.specifiedPeakPower = parseFloat(match[1]);
+            }
+        }
+
+        if (line.toLowerCase().startsWith('time,p,')) {
+            dataStartIndex = i + 1;
+            headers = line.split(',').map(h => h.trim());
+            break; // Stop searching once we find the data header
+        }
+    }
+
+    if (dataStartIndex === -1) {
+        throw new Error('Could not find a valid data header row in the PVGIS file. Expected a line starting with "time,P,...".');
+    }
+
+    const pIndex = headers.findIndex(h => h === 'P');
+    if (pIndex === -1) throw new Error('PVGIS file is missing the required "P" (power) column.');
+
+    const pvgisData = [];
+    for (let i = dataStartIndex; i < lines.length; i++) {
+        const values = lines[i].split(',');
+        pvgisData.push({ time: values[0], P: parseFloat(values[pIndex]) });
+    }
+    return { data: pvgisData, metadata: metadata };
+}
+
+/**
+ * Calculates summary metrics from raw PVGIS data.
+ * @param {Array<Object>} rawPvgisData - The raw data from `parsePvgisCsv`.
+ * @returns {Object} An object with monthly generation, total generation, and peak power.
+ */
+export function calculatePvgisSummary(rawPvgisData) {
+    // Find the most recent year in the dataset and check for multiple years
+    let latestYear = 0;
+    const allYears = new Set();
+    rawPvgisData.forEach(d => {
+        const year = parseInt(d.time.substring(0, 4), 10);
+        allYears.add(year);
+        if (year > latestYear) {
+            latestYear = year;
+        }
+    });
+
+    // Filter the data to only include the most recent year for the summary
+    const singleYearData = rawPvgisData.filter(d => {
+        const year = parseInt(d.time.substring(0, 4), 10);
+        return year === latestYear;
+    });
+
+    const monthlyGeneration = Array(12).fill(0);
+    let totalAnnualGeneration = 0;
+    let peakPower = 0;
+
+    // Use the single-year data for transformation and calculation
+    const transformedData = transformPvgisData(singleYearData);
+
+    transformedData.forEach(d => {
+        const monthIndex = d.timestamp.getUTCMonth(); // 0-11
+        monthlyGeneration[monthIndex] += d.generation;
+        totalAnnualGeneration += d.generation;
+    });
+
+    // Find peak power from the single-year data as well for consistency
+    singleYearData.forEach(d => {
+        if (d.P > peakPower) peakPower = d.P;
+    });
+
+    return { monthlyGeneration, totalAnnualGeneration, peakPower: peakPower / 1000, yearUsed: latestYear, isMultiYear: allYears.size > 1 };
+}
+
+/**
+ * Filters the parsed data to include only the last 12 full calendar months (in Irish local time).
+ * @param {Array<Object>} data - The full array of parsed data.
+ * @returns {Array<Object>} The filtered data array.
+ */
+export function filterLast12FullMonths(data) {
+    if (data.length === 0) return [];
+
+    const latestTimestamp = data[data.length - 1].localTime;
+    
+    // Find the start of the month of the last data point.
+    const endDate = new Date(latestTimestamp);
+    endDate.setUTCDate(1);
+    endDate.setUTCHours(0, 0, 0, 0);
+
+    // Subtract one year to get the start date.
+    const startDate = new Date(endDate);
+    startDate.setUTCFullYear(startDate.getUTCFullYear() - 1);
+    
+    return data.filter(row => row.localTime >= startDate && row.localTime < endDate);
+}
+
+/**
+ * Filters the parsed data to the local days from `start` to `end`, both included.
+ * @param {Array<Object>} data - The full array of parsed data.
+ * @param {string} start - The first day (YYYY-MM-DD), or '' to start at the beginning of the data.
+ * @param {string} end - The last day (YYYY-MM-DD), or '' to run to the end of the data.
+ * @returns {Array<Object>} The filtered data array.
+ */
+export function filterDateRange(data, start, end) {
+    return data.filter(row => {
+        const day = row.localTime.toISOString().slice(0, 10);
+        return (!start || day >= start) && (!end || day <= end);
+    });
+}
+
+/**
+ * Picks the part of the parsed data to simulate: the last 12 full months, all of it, or a custom range of days.
+ * @param {Array<Object>} data - The full array of parsed data.
+ * @param {Object|null} period - The simulation period (`params.period`); null for the last 12 full months.
+ * @returns {Array<Object>} The data to simulate.
+ */
+export function selectSimulationPeriod(data, period) {
+    switch (period?.range) {
+        case 'all': return data;
+        case 'custom': return filterDateRange(data, period.start, period.end);
+        default: return filterLast12FullMonths(data);
+    }
+}
+
+/**
+ * Describes the days a dataset covers and how its totals are scaled to annual figures.
+ * The days are counted from the start of the first interval to the end of the last, so intervals missing in
+ * between (left unrepaired) count as zero usage instead of shrinking the period and inflating the annual figures.
+ * @param {Array<Object>} data - The simulation data, sorted by timestamp.
+ * @returns {Object} {start, end, days, scalingFactor, isFullYear, missingIntervals}: the first and last local days
+ *   (YYYY-MM-DD), the number of days covered, the factor that turns its totals into annual figures, whether the
+ *   data is (within a day) a whole year, so the annual figures are not extrapolated, and the number of intervals
+ *   missing in the period.
+ */
+export function getPeriodCoverage(data) {
+    const span = data.length > 0 ? data[data.length - 1].timestamp - data[0].timestamp + THIRTY_MINUTES_MS : 0;
+    const days = span / ONE_DAY_MS;
+    return {
+        start: data.length > 0 ? data[0].localTime.toISOString().slice(0, 10) : null,
+        end: data.length > 0 ? data[data.length - 1].localTime.toISOString().slice(0, 10) : null,
+        days,
+        scalingFactor: days > 0 ? DAYS_IN_YEAR / days : 1,
+        isFullYear: Math.abs(days - DAYS_IN_YEAR) <= 1,
+        missingIntervals: Math.max(0, Math.round(span / THIRTY_MINUTES_MS) - data.length)
+    };
+}
+
+/**
+ * Splits the data into calendar years (in Irish local time), for the year-over-year comparison.
+ * @param {Array<Object>} data - The simulation data.
+ * @returns {Array<Object>} The years in order, as {year, data}.
+ */
+export function splitByCalendarYear(data) {
+    const years = new Map();
+    data.forEach(row => {
+        const year = row.localTime.getUTCFullYear();
+        if (!years.has(year)) years.set(year, []);
+        years.get(year).push(row);
+    });
+    return [...years].map(([year, rows]) => ({ year, data: rows }));
+}
+
+/**
+ * Checks if a given year is a leap year.
+ * @param {number} year The year to check.
+ * @returns {boolean} True if it's a leap year.
+ */
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
+}
+
+/**
+ * Transforms raw hourly PVGIS data into 30-minute interval data.
+ * @param {Array<Object>} hourlyData - The raw hourly data from the PVGIS CSV.
+ * @returns {Array<Object>} An array of transformed data points with 30-minute intervals.
+ */
+export function transformPvgisData(hourlyData) {
+    const pvgisData = [];
+    hourlyData.forEach(item => {
+        const timeStr = item.time; // Format: "20230101:0010"
+        const pvgisYear = parseInt(timeStr.substring(0, 4), 10);
+        const month = parseInt(timeStr.substring(4, 6), 10) - 1;
+        const day = parseInt(timeStr.substring(6, 8), 10);
+        const hour = parseInt(timeStr.substring(9, 11), 10);
+
+        const powerInWatts = item.P;
+        // PVGIS gives average power (W) over the hour. To get energy (kWh) for 30 mins,
+        // we multiply by 0.5 hours and divide by 1000.
+        const energyInKwh_30min = (powerInWatts * HOURS_PER_INTERVAL) / 1000;
+
+        // Create two 30-minute intervals for each hour, using the year from the PVGIS data itself.
+        const firstIntervalTs = new Date(Date.UTC(pvgisYear, month, day, hour, 0, 0));
+        const secondIntervalTs = new Date(Date.UTC(pvgisYear, month, day, hour, 30, 0));
+
+        // A safeguard against invalid dates that could be created from malformed CSV data.
+        if (isNaN(firstIntervalTs.getTime())) return;
+
+        pvgisData.push({ timestamp: firstIntervalTs, generation: energyInKwh_30min });
+        pvgisData.push({ timestamp: secondIntervalTs, generation: energyInKwh_30min });
+    });
+    return pvgisData;
+}
+
+/**
+ * Merges simulated PVGIS generation data with the user's consumption data.
+ * @param {Array<Object>} consumptionData - The user's data parsed from HDF.
+ * @param {Array<Object>} generationData - The simulated data from PVGIS.
+ * @returns {Array<Object>} The merged dataset.
+ */
+export function mergePvgisData(consumptionData, generationData) {
+    // Helper to create a year-agnostic key (e.g., "02-29T14:30") from a Date object.
+    const getMonthDayTimeKey = (date) => {
+        const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+        const day = date.getUTCDate().toString().padStart(2, '0');
+        const hours = date.getUTCHours().toString().padStart(2, '0');
+        const minutes = date.getUTCMinutes().toString().padStart(2, '0');
+        return `${month}-${day}T${hours}:${minutes}`;
+    };
+
+    // Both sides are keyed on true UTC instants (PVGIS data is in UTC), not on Irish local time.
+    const genMap = new Map(generationData.map(d => [getMonthDayTimeKey(d.timestamp), d.generation]));
+
+    return consumptionData.map(row => {
+        const key = getMonthDayTimeKey(row.timestamp);
+        let newGeneration = genMap.get(key) || 0;
+
+        // Special handling for leap day (Feb 29). If the consumption data has a Feb 29
+        // but the generation data (from a non-leap year) does not, use Feb 28 data as a fallback.
+        if (newGeneration === 0 && key.startsWith('02-29')) {
+            const fallbackKey = key.replace('02-29', '02-28');
+            newGeneration = genMap.get(fallbackKey) || 0;
+        }
+
+        return { ...row, generation: newGeneration };
+    });
+}
+
+
+/**
+ * Parses a CSV of dynamic (e.g. SEMO day-ahead) prices: a time column, an import price column and optionally an
+ * export price column, separated by commas or semicolons. The first row holds the column names.
+ * - The time is the start of each interval. Times with 'Z' or an offset (ISO 8601) are exact instants; all
+ *   others (YYYY-MM-DD HH:MM or DD/MM/YYYY HH:MM) are Irish local time, with a repeated time when the clocks
+ *   go back read as the later instant the second time it appears.
+ * - Prices are in € per kWh, unless the column name says '/MWh' (€ per MWh) or 'cent'/'c/kWh' (cent per kWh).
+ * - Hourly prices apply to both half-hours of the hour; 15-minute prices are averaged over each half-hour.
+ * @param {string} csvText - The raw text from the CSV file.
+ * @returns {Map<number, Object>} The prices keyed by the UTC start (ms) of each 30-minute interval, as
+ *   {importRate, exportRate} in € per kWh. exportRate is null without an export column.
+ */
+export function parseDynamicPriceCsv(csvText) {
+    const lines = csvText.trim().split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) throw new Error('The price file needs a header row and at least one row of prices.');
+
+    const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const header = lines[0].split(delimiter).map(h => h.trim().replace(/"/g, '').toLowerCase());
+    const timeIndex = Math.max(0, header.findIndex(h => /time|date|start|period/.test(h)));
+    const exportIndex = header.findIndex((h, i) => i !== timeIndex && h.includes('export'));
+    let importIndex = header.findIndex((h, i) => i !== timeIndex && h.includes('import'));
+    if (importIndex === -1) importIndex = header.findIndex((h, i) => i !== timeIndex && i !== exportIndex);
+    if (importIndex === -1) throw new Error('The price file is missing an import price column.');
+
+    // The factor that turns a column's prices into € per kWh
+    const getUnitFactor = (name) => {
+        if (name.includes('mwh')) return 1 / 1000;
+        if (name.includes('cent') || name.includes('c/kwh')) return 1 / 100;
+        return 1;
+    };
+    const importFactor = getUnitFactor(header[importIndex]);
+    const exportFactor = exportIndex === -1 ? 1 : getUnitFactor(header[exportIndex]);
+
+    const seenLocalTimes = new Set();
+    const readTimestamp = (text) => {
+        const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+        const irish = text.match(/^(\d{2})[\/-](\d{2})[\/-](\d{4})\s(\d{2}):(\d{2})/);
+        if (iso?.[6]) return new Date(text.replace(' ', 'T')).getTime();
+        const parts = iso ? iso.slice(1, 6).map(Number) : irish ? [irish[3], irish[2], irish[1], irish[4], irish[5]].map(Number) : null;
+        if (!parts) return NaN;
+
+        const [year, month, day, hour, minute] = parts;
+        let isLaterOccurrence = false;
+        if (isAmbiguousDublinTime(year, month - 1, day, hour, minute)) {
+            const key = parts.join('|');
+            isLaterOccurrence = seenLocalTimes.has(key);
+            seenLocalTimes.add(key);
+        }
+        return dublinLocalToUtc(year, month - 1, day, hour, minute, isLaterOccurrence).getTime();
+    };
+
+    const rows = [];
+    for (const line of lines.slice(1)) {
+        const values = line.split(delimiter).map(v => v.trim().replace(/"/g, ''));
+        const time = readTimestamp(values[timeIndex] ?? '');
+        const importRate = parseFloat(values[importIndex]) * importFactor;
+        if (isNaN(time) || isNaN(importRate)) continue;
+        const exportRate = exportIndex === -1 ? NaN : parseFloat(values[exportIndex]) * exportFactor;
+        rows.push({ time, importRate, exportRate: isNaN(exportRate) ? null : exportRate });
+    }
+    if (rows.length === 0) throw new Error('No prices could be read from the price file. Check the time format and the price columns.');
+    rows.sort((a, b) => a.time - b.time);
+
+    // The shortest step between rows is the price interval; hourly prices cover two half-hours.
+    let step = ONE_HOUR_MS;
+    for (let i = 1; i < rows.length; i++) {
+        if (rows[i].time > rows[i - 1].time) step = Math.min(step, rows[i].time - rows[i - 1].time);
+    }
+    const halfHoursPerRow = step >= ONE_HOUR_MS ? 2 : 1;
+
+    // Average the prices that fall into each half-hour.
+    const buckets = new Map();
+    rows.forEach(({ time, importRate, exportRate }) => {
+        for (let h = 0; h < halfHoursPerRow; h++) {
+            const key = Math.floor(time / THIRTY_MINUTES_MS) * THIRTY_MINUTES_MS + h * THIRTY_MINUTES_MS;
+            if (!buckets.has(key)) buckets.set(key, { importSum: 0, exportSum: 0, count: 0, exportCount: 0 });
+            const bucket = buckets.get(key);
+            bucket.importSum += importRate;
+            bucket.count++;
+            if (exportRate !== null) {
+                bucket.exportSum += exportRate;
+                bucket.exportCount++;
+            }
+        }
+    });
+
+    const prices = new Map();
+    buckets.forEach((bucket, key) => prices.set(key, {
+        importRate: bucket.importSum / bucket.count,
+        exportRate: bucket.exportCount > 0 ? bucket.exportSum / bucket.exportCount : null
+    }));
+    return prices;
+}
+
+/**
+ * Attaches dynamic prices to the simulation data. Intervals the prices do not cover keep the tariff's rates.
+ * @param {Array<Object>} data - The simulation data.
+ * @param {Map<number, Object>} prices - The prices from `parseDynamicPriceCsv`.
+ * @returns {Object} {data, summary}: the rows with `importRate` (and `exportRate` where the file has export
+ *   prices) in € per kWh, and {coveredIntervals, missingIntervals, hasExportPrices, averageImportRate, averageExportRate}.
+ */
+export function applyDynamicPrices(data, prices) {
+    const summary = { coveredIntervals: 0, missingIntervals: 0, hasExportPrices: false, averageImportRate: 0, averageExportRate: null };
+    let exportSum = 0;
+    let exportCount = 0;
+
+    const pricedData = data.map(row => {
+        const price = prices.get(row.timestamp.getTime());
+        if (!price) {
+            summary.missingIntervals++;
+            return row;
+        }
+        summary.coveredIntervals++;
+        summary.averageImportRate += price.importRate;
+        if (price.exportRate === null) return { ...row, importRate: price.importRate };
+        exportSum += price.exportRate;
+        exportCount++;
+        return { ...row, importRate: price.importRate, exportRate: price.exportRate };
+    });
+
+    if (summary.coveredIntervals === 0) {
+        throw new Error('The price file does not cover any of the intervals being simulated. Check that its dates match the simulation period of your HDF data.');
+    }
+    summary.averageImportRate /= summary.coveredIntervals;
+    summary.hasExportPrices = exportCount > 0;
+    summary.averageExportRate = exportCount > 0 ? exportSum / exportCount : null;
+    return { data: pricedData, summary };
+}
+
+/**
+ * Turns the text of an HDF file (and optionally a PVGIS file) into the dataset used by the simulation:
+ * the HDF is parsed, PVGIS generation replaces the HDF export data if given, and the simulation period is kept
+ * (the last 12 full months unless another period is given). The HDF data of the period is checked by
+ * `checkDataQuality` and repaired by `repairData` before PVGIS generation is merged in.
+ * @param {string} hdfText - The raw text of the HDF file.
+ * @param {string|null} [pvgisText=null] - The raw text of a PVGIS hourly data file.
+ * @param {Object|null} [period=null] - The simulation period (`params.period`).
+ * @param {Object|null} [dataQuality=null] - The data-quality settings (`params.dataQuality`). Flagged intervals
+ *   are left as they are without them.
+ * @returns {Object} The dataset (`data`), the number of months it covers (`uniqueMonths`), its coverage from
+ *   `getPeriodCoverage` (`coverage`), the first and last days in the file (`available`, {start, end}) and the
+ *   data-quality report (`dataQuality`, see `checkDataQuality`, with the `repair` method and the `repaired` counts).
+ */
+export function prepareSimulationData(hdfText, pvgisText = null, period = null, dataQuality = null) {
+    const parseIssues = {};
+    const parsedData = parseHDF(hdfText, parseIssues);
+    if (parsedData.length === 0) throw new Error('No valid data rows were parsed from the HDF file. Please check the file format.');
+
+    const available = getPeriodCoverage(parsedData);
+    const periodData = selectSimulationPeriod(parsedData, period);
+    if (periodData.length === 0) {
+        throw new Error(period?.range === 'custom'
+            ? `No data found in the chosen date range. Your file covers ${available.start} to ${available.end}.`
+            : 'No data found within the last 12 full months. Please ensure your file contains a recent and complete year of data.');
+    }
+
+    const repair = dataQuality?.repair ?? 'leave';
+    const { report, flagged } = checkDataQuality(periodData, parseIssues, dataQuality?.maxImportEnergy ?? Infinity, dataQuality?.maxExportEnergy ?? Infinity);
+    const { data: repairedData, repaired } = repairData(periodData, flagged, repair);
+    let data = repairedData;
+
+    if (pvgisText !== null) {
+        const pvgisResult = parsePvgisCsv(pvgisText); // This is the unscaled data
+        data = mergePvgisData(data, transformPvgisData(pvgisResult.data));
+    }
+
+    const uniqueMonths = new Set(data.map(d => d.localTime.toISOString().slice(0, 7))).size;
+    return {
+        data,
+        uniqueMonths,
+        coverage: getPeriodCoverage(data),
+        available: { start: available.start, end: available.end },
+        dataQuality: { ...report, repair, repaired }
+    };
+}
+
+// --- DATA QUALITY --- //
+
+// The ways flagged intervals can be treated: kept as read, interpolated between the good readings either side,
+// or copied from the same time on the same weekday a week before (or, failing that, a week after).
+export const DATA_REPAIR_METHODS = ['leave', 'interpolate', 'neighbour-week'];
+
+/**
+ * Checks the HDF data of the simulation period for missing half-hours, readings listed more than once, impossible
+ * readings (below zero, imports above the MIC or exports above the MEC for one interval) and flat-lines (at least
+ * FLAT_LINE_MIN_INTERVALS readings in a row that do not change, as left by a zero-filled outage or estimated reads).
+ * @param {Array<Object>} data - The parsed HDF data of the period, sorted by timestamp.
+ * @param {Object} parseIssues - The issues `parseHDF` found ({skippedRows, duplicates, conflictingDuplicates, format}).
+ * @param {number} maxImportEnergy - The most energy (kWh) the connection can import in one interval (its MIC).
+ * @param {number} maxExportEnergy - The most energy (kWh) the connection can export in one interval (its MEC).
+ * @returns {Object} {report, flagged}: the report ({fileFormat, expectedIntervals, missingIntervals, duplicates,
+ *   conflictingDuplicates, outliers, flatLineIntervals, skippedRows, flaggedIntervals, days: [{date, intervals,
+ *   missing, duplicates, outliers, flatLine}]}) and the flagged intervals as a Map of interval start (ms) to
+ *   'missing', 'outlier' or 'flat-line'.
+ */
+export function checkDataQuality(data, parseIssues, maxImportEnergy, maxExportEnergy) {
+    const flagged = new Map();
+    const report = {
+        fileFormat: parseIssues?.format ?? null, expectedIntervals: 0, missingIntervals: 0, duplicates: 0, conflictingDuplicates: parseIssues?.conflictingDuplicates ?? 0,
+        outliers: 0, flatLineIntervals: 0, skippedRows: parseIssues?.skippedRows ?? 0, flaggedIntervals: 0, days: []
+    };
+    if (data.length === 0) return { report, flagged };
+
+    const first = data[0].timestamp.getTime();
+    const last = data[data.length - 1].timestamp.getTime();
+    const present = new Set(data.map(row => row.timestamp.getTime()));
+
+    // The per-day counts, keyed by the Irish local date
+    const days = new Map();
+    const getDay = (time) => {
+        const date = toDublinWallClock(new Date(time)).toISOString().slice(0, 10);
+        if (!days.has(date)) days.set(date, { date, intervals: 0, missing: 0, duplicates: 0, outliers: 0, flatLine: 0 });
+        return days.get(date);
+    };
+
+    for (let time = first; time <= last; time += THIRTY_MINUTES_MS) {
+        const day = getDay(time);
+        day.intervals++;
+        report.expectedIntervals++;
+        if (!present.has(time)) {
+            flagged.set(time, 'missing');
+            day.missing++;
+            report.missingIntervals++;
+        }
+    }
+
+    (parseIssues?.duplicates ?? []).filter(time => time >= first && time <= last).forEach(time => {
+        getDay(time).duplicates++;
+        report.duplicates++;
+    });
+
+    data.forEach(row => {
+        const isOutlier = row.consumption < 0 || row.generation < 0 ||
+            row.consumption > maxImportEnergy + FLOAT_TOLERANCE || row.generation > maxExportEnergy + FLOAT_TOLERANCE;
+        if (!isOutlier) return;
+        const time = row.timestamp.getTime();
+        flagged.set(time, 'outlier');
+        getDay(time).outliers++;
+        report.outliers++;
+    });
+
+    // A flat-line is a run of consecutive intervals whose readings do not change.
+    let runStart = 0;
+    for (let i = 1; i <= data.length; i++) {
+        const continues = i < data.length &&
+            data[i].timestamp - data[i - 1].timestamp === THIRTY_MINUTES_MS &&
+            data[i].consumption === data[i - 1].consumption &&
+            data[i].generation === data[i - 1].generation;
+        if (continues) continue;
+        if (i - runStart >= FLAT_LINE_MIN_INTERVALS) {
+            for (let j = runStart; j < i; j++) {
+                const time = data[j].timestamp.getTime();
+                if (flagged.has(time)) continue;
+                flagged.set(time, 'flat-line');
+                getDay(time).flatLine++;
+                report.flatLineIntervals++;
+            }
+        }
+        runStart = i;
+    }
+
+    report.flaggedIntervals = flagged.size;
+    report.days = [...days.values()];
+    return { report, flagged };
+}
+
+/**
+ * Repairs the intervals flagged by `checkDataQuality`. Missing intervals are added and flagged readings are
+ * replaced; the repaired rows carry `dataRepair` ('interpolated' or 'neighbour-week').
+ * - 'interpolate': a straight line between the nearest good readings before and after (or a copy of the
+ *   nearest one at the start or end of the data).
+ * - 'neighbour-week': the reading at the same local time a week before, or a week after if that is flagged
+ *   too. Intervals without a good reading in either week are interpolated.
+ * @param {Array<Object>} data - The parsed HDF data, sorted by timestamp.
+ * @param {Map<number, string>} flagged - The flagged intervals from `checkDataQuality`.
+ * @param {string} method - One of DATA_REPAIR_METHODS.
+ * @returns {Object} {data, repaired}: the repaired data and the number of intervals repaired by each means
+ *   ({interpolated, fromNeighbourWeek}).
+ */
+export function repairData(data, flagged, method) {
+    const repaired = { interpolated: 0, fromNeighbourWeek: 0 };
+    if (method === 'leave' || flagged.size === 0 || data.length === 0) return { data, repaired };
+
+    const first = data[0].timestamp.getTime();
+    const last = data[data.length - 1].timestamp.getTime();
+    const rowsByTime = new Map(data.map(row => [row.timestamp.getTime(), row]));
+
+    // The full 30-minute grid, with null where a reading needs repairing
+    const grid = [];
+    for (let time = first; time <= last; time += THIRTY_MINUTES_MS) {
+        grid.push(flagged.has(time) ? null : rowsByTime.get(time));
+    }
+
+    // The nearest good reading before and after each interval
+    const previousGood = [];
+    const nextGood = [];
+    grid.forEach((row, i) => previousGood.push(row ? i : (i > 0 ? previousGood[i - 1] : -1)));
+    for (let i = grid.length - 1; i >= 0; i--) {
+        nextGood[i] = grid[i] ? i : (i < grid.length - 1 ? nextGood[i + 1] : -1);
+    }
+
+    // Good readings by local time, for the neighbouring-week copies
+    const goodByLocalTime = new Map();
+    grid.forEach(row => { if (row) goodByLocalTime.set(row.localTime.getTime(), row); });
+
+    const interpolate = (i) => {
+        const before = grid[previousGood[i]];
+        const after = grid[nextGood[i]];
+        if (!before || !after) return before ?? after ?? { consumption: 0, generation: 0 };
+        const weight = (i - previousGood[i]) / (nextGood[i] - previousGood[i]);
+        return {
+            consumption: before.consumption + (after.consumption - before.consumption) * weight,
+            generation: before.generation + (after.generation - before.generation) * weight
+        };
+    };
+
+    const repairedData = grid.map((row, i) => {
+        if (row) return row;
+        const timestamp = new Date(first + i * THIRTY_MINUTES_MS);
+        const base = rowsByTime.get(timestamp.getTime()) ?? { timestamp, localTime: toDublinWallClock(timestamp) };
+
+        if (method === 'neighbour-week') {
+            const localTime = base.localTime.getTime();
+            const neighbour = goodByLocalTime.get(localTime - 7 * ONE_DAY_MS) ?? goodByLocalTime.get(localTime + 7 * ONE_DAY_MS);
+            if (neighbour) {
+                repaired.fromNeighbourWeek++;
+                return { ...base, consumption: neighbour.consumption, generation: neighbour.generation, dataRepair: 'neighbour-week' };
+            }
+        }
+
+        const { consumption, generation } = interpolate(i);
+        repaired.interpolated++;
+        return { ...base, consumption, generation, dataRepair: 'interpolated' };
+    });
+
+    return { data: repairedData, repaired };
+}
+
+// --- PARAMETERS --- //
+
+/**
+ * Builds the default tariff schedule: a single all-year period using the Pinergy EV demonstration rates.
+ * @returns {Object} A tariff schedule object.
+ */
+export function createDefaultTariffSchedule() {
+    // --- NEW: Create an array for the 24 default import rates ---
+    const defaultImportRates = Array(24).fill(0.42); // Default standard rate
+
+    // Set Pinergy EV rates (02:00-04:59)
+    defaultImportRates[2] = 0.06; // 02:00 - 02:59
+    defaultImportRates[3] = 0.06; // 03:00 - 03:59
+    defaultImportRates[4] = 0.06; // 04:00 - 04:59
+    // --- END NEW ---
+
+    // --- NEW: Set default export rate to 0.25 ---
+    const defaultExportRates = Array(24).fill(0.25);
+    // --- END NEW ---
+
+    return {
+        periods: [{
+            name: 'All days',
+            dayType: 'all',
+            startDate: '01-01',
+            endDate: '12-31',
+            importRates: defaultImportRates,
+            exportRates: defaultExportRates,
+            forceChargeHours: Array(24).fill(false)
+        }]
+    };
+}
+
+/**
+ * Turns a saved form snapshot (a profile's `state`, or a scenario link) into a configuration.
+ * @param {Object} state - The snapshot ({fields, radios, tariffSchedule, customStrategies}).
+ * @returns {Object} The configuration for `buildSimulationParameters`.
+ */
+export function configFromFormState(state) {
+    return { ...state.fields, ...state.radios, tariffSchedule: state.tariffSchedule || null, customStrategies: state.customStrategies || [] };
+}
+
+/**
+ * Builds the simulation parameters from a configuration. Values may be numbers or the strings read from
+ * the page's inputs; missing settings use `DEFAULT_CONFIG`.
+ * @param {Object} [config={}] - The configuration, keyed like `DEFAULT_CONFIG`.
+ * @returns {Object} An object containing all parameters for the simulation.
+ */
+export function buildSimulationParameters(config = {}) {
+    const settings = { ...DEFAULT_CONFIG, ...config };
+    const batteryCapacity = parseFloat(settings.batterySize);
+    const useCurves = settings.useEfficiencyCurves === true || settings.useEfficiencyCurves === 'true';
+
+    const params = {
+        batteryCapacity: batteryCapacity,
+        usableCapacity: batteryCapacity * (parseFloat(settings.usableCapacity) / 100),
+        usableCapacityPercent: parseFloat(settings.usableCapacity), // Used to scale other battery sizes
+        minSoc: parseFloat(settings.minSoc),
+        maxSoc: parseFloat(settings.maxSoc),
+        maxChargeRate: parseFloat(settings.chargeRate),
+        maxDischargeRate: parseFloat(settings.dischargeRate ?? settings.chargeRate),
+        roundtripEfficiency: parseFloat(settings.roundtripEfficiency) / 100,
+        // Optional one-way efficiency by load; when off, each direction uses the square root of the round-trip efficiency.
+        chargeEfficiencyCurve: useCurves ? parseEfficiencyCurve(settings.chargeEfficiencyCurve, 'charge') : null,
+        dischargeEfficiencyCurve: useCurves ? parseEfficiencyCurve(settings.dischargeEfficiencyCurve, 'discharge') : null,
+        standbyPower: parseFloat(settings.standbyPower) || 0, // W, drawn by the battery system in every interval
+        topology: settings.topology === 'dc' ? 'dc' : 'ac', // 'ac': retrofit battery inverter, 'dc': hybrid inverter
+        inverterRating: parseFloat(settings.inverterRating) || 0, // kW AC, hybrid inverter only
+        inverterEfficiency: (parseFloat(settings.inverterEfficiency) || 100) / 100, // DC/AC conversion, hybrid inverter only
+        systemCost: parseFloat(settings.systemCost),
+        // The cost after grants. Used for the payback periods and the up-front cost of the lifetime analysis.
+        netSystemCost: Math.max(0, parseFloat(settings.systemCost) - (parseFloat(settings.seaiGrant) || 0) - (parseFloat(settings.otherGrants) || 0)),
+        strategy: settings.strategy,
+        smartCharge: {
+            forecastMethod: ['persistence', 'weekday-average', 'perfect'].includes(settings.forecastMethod) ? settings.forecastMethod : DEFAULT_CONFIG.forecastMethod,
+            buffer: Math.max(0, parseFloat(settings.smartChargeBuffer) || 0),
+        },
+        arbitrage: {
+            reserve: Math.min(100, Math.max(0, parseFloat(settings.arbitrageReserve) || 0)),
+        },
+        // Rule strategies, with the strategy id and results key 'custom-1', 'custom-2', ...
+        customStrategies: (settings.customStrategies || []).map((custom, index) => {
+            const name = custom.name?.trim() || `Custom ${index + 1}`;
+            return { key: `custom-${index + 1}`, name, rules: parseStrategyRules(custom.rules, name) };
+        }),
+        heatPump: {
+            enabled: settings.heatPumpEnabled === true || settings.heatPumpEnabled === 'true',
+            annualHeatDemand: Math.max(0, parseFloat(settings.heatPumpHeatDemand) || 0),
+            scop: Math.max(0, parseFloat(settings.heatPumpScop) || 0),
+            profile: Object.keys(HEAT_PUMP_PROFILES).includes(settings.heatPumpProfile) ? settings.heatPumpProfile : DEFAULT_CONFIG.heatPumpProfile,
+        },
+        ev: {
+            enabled: settings.evEnabled === true || settings.evEnabled === 'true',
+            annualMileage: Math.max(0, parseFloat(settings.evAnnualMileage) || 0),
+            efficiency: Math.max(0, parseFloat(settings.evEfficiency) || 0),
+            chargerPower: Math.max(0, parseFloat(settings.evChargerPower) || 0),
+            chargingDays: Math.min(7, Math.max(1, Math.round(parseFloat(settings.evChargingDays) || 7))),
+            windowStart: parseEvHour(settings.evWindowStart, DEFAULT_CONFIG.evWindowStart),
+            windowEnd: parseEvHour(settings.evWindowEnd, DEFAULT_CONFIG.evWindowEnd),
+            solarFirst: settings.evSolarFirst === true || settings.evSolarFirst === 'true',
+            protectBattery: settings.evProtectBattery === true || settings.evProtectBattery === 'true',
+        },
+        diverter: {
+            enabled: settings.diverterEnabled === true || settings.diverterEnabled === 'true',
+            tankSize: Math.max(0, parseFloat(settings.diverterTankSize) || 0),
+            elementPower: Math.max(0, parseFloat(settings.diverterElementPower) || 0),
+            dailyDemand: Math.max(0, parseFloat(settings.diverterDailyDemand) || 0),
+            priority: settings.diverterPriority === 'tank' ? 'tank' : 'battery',
+            fuel: Object.keys(WATER_HEATING_FUEL_COSTS).includes(settings.diverterFuel) ? settings.diverterFuel : DEFAULT_CONFIG.diverterFuel,
+            fuelCost: null,
+        },
+        dataSource: settings.dataSource,
+        period: {
+            range: ['all', 'custom'].includes(settings.dateRange) ? settings.dateRange : DEFAULT_CONFIG.dateRange,
+            start: parseDateSetting(settings.dateRangeStart),
+            end: parseDateSetting(settings.dateRangeEnd),
+            compareYears: settings.compareYears === true || settings.compareYears === 'true',
+        },
+        dataQuality: {
+            repair: DATA_REPAIR_METHODS.includes(settings.dataRepair) ? settings.dataRepair : DEFAULT_CONFIG.dataRepair,
+            maxImportEnergy: (parseFloat(settings.mic) || Infinity) * HOURS_PER_INTERVAL, // kWh the connection can import in one interval
+            maxExportEnergy: (parseFloat(settings.mec) || Infinity) * HOURS_PER_INTERVAL, // kWh it can export in one interval
+        },
+        useDynamicPrices: settings.useDynamicPrices === true || settings.useDynamicPrices === 'true',
+        mic: parseFloat(settings.mic),
+        mec: parseFloat(settings.mec),
+        tariffSchedule: null,
+        bill: {
+            standingChargePerDay: parseFloat(settings.standingCharge) || 0,
+            psoLevyPerMonth: parseFloat(settings.psoLevy) || 0,
+            vatRate: parseFloat(settings.vatRate) || 0,
+            pricesIncludeVat: settings.pricesIncludeVat === true || settings.pricesIncludeVat === 'true',
+            unitDiscount: parseFloat(settings.unitDiscount) || 0,
+            oneOffCredits: parseFloat(settings.oneOffCredits) || 0,
+        },
+        lifetime: {
+            years: Math.max(1, Math.round(parseFloat(settings.analysisYears) || DEFAULT_CONFIG.analysisYears)),
+            discountRate: parseFloat(settings.discountRate) || 0,
+            priceEscalation: parseFloat(settings.priceEscalation) || 0,
+            exportRateChange: parseFloat(settings.exportRateChange) || 0,
+            loanAmount: parseFloat(settings.loanAmount) || 0,
+            loanApr: parseFloat(settings.loanApr) || 0,
+            loanTerm: parseFloat(settings.loanTerm) || 0,
+        },
+        degradation: {
+            calendarFade: parseFloat(settings.calendarFade) || 0,
+            cycleFade: parseFloat(settings.cycleFade) || 0,
+            warrantyYears: Math.max(0, Math.round(parseFloat(settings.warrantyYears) || 0)),
+            endOfWarrantyCapacity: parseFloat(settings.endOfWarrantyCapacity) || 0,
+        },
+        incentives: {
+            seaiGrant: parseFloat(settings.seaiGrant) || 0,
+            otherGrants: parseFloat(settings.otherGrants) || 0,
+            cegTaxFreeAllowance: parseFloat(settings.cegTaxFreeAllowance) || 0,
+            marginalTaxRate: parseFloat(settings.marginalTaxRate) || 0,
+        },
+    };
+
+    if (params.period.range === 'custom' && params.period.start && params.period.end && params.period.start > params.period.end) {
+        throw new Error('The simulation period starts after it ends. Check the From and To dates.');
+    }
+
+    const fuelCost = parseFloat(settings.diverterFuelCost);
+    params.diverter.fuelCost = fuelCost >= 0 ? fuelCost : WATER_HEATING_FUEL_COSTS[params.diverter.fuel];
+
+    const importIsHourly = settings.importTariffType === 'hourly';
+    const exportIsHourly = settings.exportTariffType === 'hourly';
+    const flatImportPrice = parseFloat(settings.importPrice);
+    const flatExportPrice = parseFloat(settings.exportPrice);
+
+    // Copy the schedule so later edits to the configuration don't change the results of a finished simulation.
+    // A flat rate replaces the hourly rates in every period.
+    const schedule = settings.tariffSchedule || createDefaultTariffSchedule();
+    params.tariffSchedule = {
+        periods: schedule.periods.map(period => ({
+            ...period,
+            importRates: importIsHourly ? [...period.importRates] : Array(24).fill(flatImportPrice),
+            exportRates: exportIsHourly ? [...period.exportRates] : Array(24).fill(flatExportPrice),
+            forceChargeHours: [...period.forceChargeHours]
+        }))
+    };
+    return params;
+}
+
+/**
+ * Reads a date setting of the simulation period. Dates are given as YYYY-MM-DD, as date inputs give them.
+ * @param {string} value - The setting's value.
+ * @returns {string} The date, or '' if it is empty or not a valid date.
+ */
+function parseDateSetting(value) {
+    const text = String(value ?? '').trim();
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(new Date(`${text}T00:00:00Z`).getTime()) ? text : '';
+}
+
+/**
+ * Parses a part-load efficiency curve written as "load:efficiency" pairs in percent, e.g. "10:88, 50:95, 100:94".
+ * The load is the power as a percentage of the rated charge or discharge power.
+ * @param {string|Array<Object>} curve - The curve text, or an already parsed curve.
+ * @param {string} direction - 'charge' or 'discharge', for error messages.
+ * @returns {Array<Object>} The points as {load, efficiency} fractions, sorted by load.
+ */
+export function parseEfficiencyCurve(curve, direction) {
+    if (Array.isArray(curve)) return curve;
+    const points = String(curve || '').split(/[,;\n]/).map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const [load, efficiency] = pair.split(':').map(value => parseFloat(value));
+        if (!(load >= 0) || !(efficiency > 0 && efficiency <= 100)) {
+            throw new Error(`Invalid ${direction} efficiency curve point "${pair}". Use load%:efficiency%, e.g. 50:95.`);
+        }
+        return { load: load / 100, efficiency: efficiency / 100 };
+    });
+    if (points.length === 0) throw new Error(`The ${direction} efficiency curve is empty.`);
+    return points.sort((a, b) => a.load - b.load);
+}
+
+// --- HEAT PUMP --- //
+// A heat pump is modelled as a synthetic load added to the home's consumption before the simulation, like the EV.
+// The year's electricity (heat demand / SCOP) is spread over the days in proportion to the Irish heating degree
+// days (degree-days.js), and over the hours of each day with a daily heating profile.
+
+// Relative heat pump power in each local hour (0-23) of the day, by daily heating profile.
+const HEAT_PUMP_PROFILES = {
+    continuous: Array(24).fill(1), // Weather compensation, on all day
+    timed: Array.from({ length: 24 }, (_, hour) => (hour >= 6 && hour < 9) || (hour >= 16 && hour < 22) ? 1 : 0), // 06:00-09:00 and 16:00-22:00
+    setback: Array.from({ length: 24 }, (_, hour) => hour >= 7 && hour < 22 ? 1 : 0.4), // Lower overnight
+};
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]; // A non-leap year; 29 February uses 28 February
+let dailyHeatingDegreeDays = null; // Built on first use by getDailyHeatingDegreeDays
+
+/**
+ * Spreads the monthly heating degree days over the days of a year. Each day's value is blended with the
+ * neighbouring month's average towards the ends of the month, so there is no step between months.
+ * @returns {Object} {days, total}: the degree days of each day by month ([month][day - 1]) and the year's total.
+ */
+function getDailyHeatingDegreeDays() {
+    if (dailyHeatingDegreeDays) return dailyHeatingDegreeDays;
+    const perDay = IRISH_MONTHLY_HEATING_DEGREE_DAYS.map((degreeDays, month) => degreeDays / DAYS_IN_MONTH[month]);
+    let total = 0;
+    const days = DAYS_IN_MONTH.map((dayCount, month) => Array.from({ length: dayCount }, (_, dayIndex) => {
+        const offset = (dayIndex + 0.5) / dayCount - 0.5; // -0.5 at the start of the month, 0.5 at the end
+        const neighbour = offset < 0 ? (month + 11) % 12 : (month + 1) % 12;
+        const value = perDay[month] * (1 - Math.abs(offset)) + perDay[neighbour] * Math.abs(offset);
+        total += value;
+        return value;
+    }));
+    dailyHeatingDegreeDays = { days, total };
+    return dailyHeatingDegreeDays;
+}
+
+/**
+ * Adds the heat pump's electricity use to the simulation data. Without a heat pump the data is returned unchanged.
+ * @param {Array<Object>} data - The simulation data.
+ * @param {Object} heatPump - The heat pump parameters (`params.heatPump`).
+ * @returns {Object} {data, summary}: the rows with the heat pump added to `consumption` (and on its own as
+ *   `heatPumpConsumption`), and the totals over the data {energy, heatDelivered} in kWh, or null without a heat pump.
+ */
+export function addHeatPumpLoad(data, heatPump) {
+    if (!heatPump?.enabled) return { data, summary: null };
+
+    const { days, total } = getDailyHeatingDegreeDays();
+    const profile = HEAT_PUMP_PROFILES[heatPump.profile];
+    const profileTotal = profile.reduce((sum, weight) => sum + weight, 0);
+    const annualEnergy = heatPump.scop > 0 ? heatPump.annualHeatDemand / heatPump.scop : 0;
+    const summary = { energy: 0, heatDelivered: 0 };
+
+    const heatPumpData = data.map(row => {
+        const month = row.localTime.getUTCMonth();
+        const degreeDays = days[month][Math.min(row.localTime.getUTCDate(), DAYS_IN_MONTH[month]) - 1];
+        const heatPumpConsumption = annualEnergy * degreeDays / total * profile[row.localTime.getUTCHours()] * HOURS_PER_INTERVAL / profileTotal;
+        summary.energy += heatPumpConsumption;
+        return { ...row, consumption: row.consumption + heatPumpConsumption, heatPumpConsumption };
+    });
+
+    summary.heatDelivered = summary.energy * heatPump.scop;
+    return { data: heatPumpData, summary };
+}
+
+// --- EV CHARGING --- //
+// An electric car is modelled as a synthetic load added to the home's consumption before the simulation, so every
+// strategy, the "before" figures and the optimisation see the same charging. The car is charged at home on a fixed
+// number of days per week, spread evenly over the week. Each charging day adds one day's share of the annual energy,
+// which is charged in the charging window (and, optionally, from surplus solar on that day first). Energy that does
+// not fit in a window is carried over to the next one.
+
+/**
+ * Reads an hour of the day for the charging window.
+ * @param {number|string} value - The hour (0-24; 24 is the end of the day).
+ * @param {number} fallback - The hour to use if the value is not a number.
+ * @returns {number} The whole hour.
+ */
+function parseEvHour(value, fallback) {
+    const hour = Math.round(parseFloat(value));
+    return Number.isFinite(hour) ? Math.min(24, Math.max(0, hour)) % 24 : fallback;
+}
+
+/**
+ * Checks whether the car is charged at home on a given local day. The charging days are spread evenly over the
+ * week, starting from Sunday (e.g. 1 day: Sunday; 5 days: Tuesday, Wednesday, Friday, Saturday and Sunday).
+ * @param {Date} localTime - A time on the day, in Irish local time.
+ * @param {number} daysPerWeek - The number of charging days per week (1-7).
+ * @returns {boolean} True on a charging day.
+ */
+function isEvChargingDay(localTime, daysPerWeek) {
+    const weekday = (localTime.getUTCDay() + 6) % 7; // Monday = 0
+    return Math.floor((weekday + 1) * daysPerWeek / 7) > Math.floor(weekday * daysPerWeek / 7);
+}
+
+/**
+ * Checks whether an hour is inside the charging window. A window that starts later than it ends runs over
+ * midnight; a window that starts and ends at the same hour is open all day.
+ * @param {number} hour - The local hour.
+ * @param {Object} ev - The EV parameters.
+ * @returns {boolean} True if the car may charge from the grid in this hour.
+ */
+function isInEvWindow(hour, { windowStart, windowEnd }) {
+    if (windowStart < windowEnd) return hour >= windowStart && hour < windowEnd;
+    if (windowStart > windowEnd) return hour >= windowStart || hour < windowEnd;
+    return true;
+}
+
+/**
+ * Adds the EV charging load to the simulation data. Without an EV the data is returned unchanged.
+ * @param {Array<Object>} data - The simulation data.
+ * @param {Object} ev - The EV parameters (`params.ev`).
+ * @returns {Object} {data, summary}: the rows with the charging added to `consumption` (and on its own as
+ *   `evConsumption`), and the totals over the data {energy, solarEnergy, unmetEnergy, chargingDays} in kWh,
+ *   or null without an EV.
+ */
+export function addEvLoad(data, ev) {
+    if (!ev?.enabled) return { data, summary: null };
+
+    const intervalLimit = ev.chargerPower * HOURS_PER_INTERVAL;
+    const dailyNeed = ev.annualMileage * ev.efficiency / 100 / (DAYS_IN_YEAR / 7 * ev.chargingDays);
+    const summary = { energy: 0, solarEnergy: 0, unmetEnergy: 0, chargingDays: 0 };
+    let solarOwed = 0; // Today's energy, waiting for surplus solar
+    let gridOwed = 0; // Energy to charge in the window
+    let currentDay = null;
+    let isChargingDay = false;
+
+    const evData = data.map(row => {
+        const dayKey = row.localTime.toISOString().slice(0, 10);
+        if (dayKey !== currentDay) {
+            currentDay = dayKey;
+            gridOwed += solarOwed;
+            solarOwed = 0;
+            isChargingDay = isEvChargingDay(row.localTime, ev.chargingDays);
+            if (isChargingDay) {
+                summary.chargingDays++;
+                if (ev.solarFirst) solarOwed += dailyNeed;
+                else gridOwed += dailyNeed;
+            }
+        }
+
+        const hour = row.localTime.getUTCHours();
+        const inWindow = isInEvWindow(hour, ev);
+        // Once an evening window opens, whatever solar has not covered today is charged from the grid.
+        if (inWindow && hour >= 12) {
+            gridOwed += solarOwed;
+            solarOwed = 0;
+        }
+
+        let fromSolar = 0;
+        if (ev.solarFirst && isChargingDay) {
+            fromSolar = Math.min(Math.max(0, row.generation - row.consumption), intervalLimit, solarOwed + gridOwed);
+            const fromToday = Math.min(fromSolar, solarOwed);
+            solarOwed -= fromToday;
+            gridOwed -= fromSolar - fromToday;
+        }
+        const fromWindow = inWindow ? Math.min(intervalLimit - fromSolar, gridOwed) : 0;
+        gridOwed -= fromWindow;
+
+        const evConsumption = fromSolar + fromWindow;
+        summary.energy += evConsumption;
+        summary.solarEnergy += fromSolar;
+        return { ...row, consumption: row.consumption + evConsumption, evConsumption };
+    });
+
+    summary.unmetEnergy = solarOwed + gridOwed;
+    return { data: evData, summary };
+}
+
+/**
+ * Adds the heat pump and the EV to the prepared data, as set in the parameters. The heat pump comes first, so a
+ * car charged from surplus solar only gets the solar the heat pump leaves.
+ * @param {Array<Object>} data - The prepared data from the HDF file.
+ * @param {Object} params - The simulation parameters.
+ * @returns {Object} {data, dataWithoutHeatPump, heatPump, ev}: the data with every added load, the same data
+ *   without the heat pump (null without a heat pump), and the summaries of the two loads (null when off).
+ */
+export function applyAddedLoads(data, params) {
+    const heatPump = addHeatPumpLoad(data, params.heatPump);
+    const ev = addEvLoad(heatPump.data, params.ev);
+    return {
+        data: ev.data,
+        dataWithoutHeatPump: heatPump.summary ? addEvLoad(data, params.ev).data : null,
+        heatPump: heatPump.summary,
+        ev: ev.summary
+    };
+}
+
+
+// --- STRATEGIES --- //
+// Every strategy is one entry in STRATEGIES. The page, the simulation worker and the command line build their
+// strategy lists, results tables, charts and downloads from it, so a new strategy only needs a new entry.
+//
+// A strategy decides what the battery does in each interval by returning one of these actions:
+// - {type: 'home'}: Self-Consumption. Solar charges the battery and the battery discharges to the home.
+// - {type: 'charge', target}: charge from the grid (and solar) up to `target` kWh, without discharging.
+// - {type: 'hold'}: keep the stored energy; solar can still charge the battery.
+// - {type: 'export', power, floor}: export up to `power` kW from the battery (within the MEC) down to `floor` kWh,
+//   and export surplus solar instead of storing it. A null floor empties the battery down to the minimum SoC.
+
+const BATTERY_ACTION_HOME = { type: 'home' };
+const HEATING_SEASON_MONTHS = [0, 1, 10, 11]; // Jan, Feb, Nov, Dec
+const PRE_CHARGE_LOOK_AHEAD_HOURS = 4; // How far ahead the Export Maximisers look for a force-charge window
+const CUSTOM_STRATEGY_COLORS = [
+    'rgba(6, 182, 212, 1)', // Cyan-500
+    'rgba(234, 88, 12, 1)', // Orange-600
+    'rgba(132, 204, 22, 1)', // Lime-500
+    'rgba(30, 58, 138, 1)' // Blue-900
+];
+
+/**
+ * Creates the controller shared by the strategies that force-charge in the tariff's force-charge hours.
+ * The look-ahead for pre-emptive exports uses today's tariff period, even when the window wraps past midnight.
+ * @param {Object} context - The simulation context passed to `createController`.
+ * @param {Object} options - {preemptiveExport, winterHold}: whether to export in the hours before a force-charge
+ *   window, and whether to keep the battery (but still export solar) in those hours during the heating season.
+ * @returns {Function} The controller.
+ */
+function createForceChargeController({ maxSoC_kWh }, { preemptiveExport = false, winterHold = false } = {}) {
+    const charge = { type: 'charge', target: maxSoC_kWh };
+    const exportAll = { type: 'export', power: Infinity, floor: null };
+    const exportSolarOnly = { type: 'export', power: 0, floor: null };
+
+    return (index, row, batterySoC, tariffPeriod) => {
+        const hour = row.localTime.getUTCHours();
+        const forceChargeHours = tariffPeriod.forceChargeHours;
+        if (forceChargeHours[hour]) return charge;
+        if (!preemptiveExport) return BATTERY_ACTION_HOME;
+
+        for (let ahead = 1; ahead <= PRE_CHARGE_LOOK_AHEAD_HOURS; ahead++) {
+            if (forceChargeHours[(hour + ahead) % 24]) {
+                return winterHold && HEATING_SEASON_MONTHS.includes(row.localTime.getUTCMonth()) ? exportSolarOnly : exportAll;
+            }
+        }
+        return BATTERY_ACTION_HOME;
+    };
+}
+
+/**
+ * The built-in strategies, in the order they are simulated and shown. Each entry has:
+ * - `id`: the id used in configurations and by the strategy selection; `key`: the key of its results.
+ * - `name`, `description`: shown on the page; `shortName` (optional): used where space is short; `color`: its line in the charts.
+ * - `requiresForceChargeHours`: it cannot run without force-charge hours in the tariff schedule.
+ * - `inputs`: the ids of the settings only this strategy uses.
+ * - `isBenchmark`: an upper bound rather than a real controller; shown apart from the real strategies.
+ * - `baseline` (optional): the id of an earlier strategy it is compared with; the results show how much of the
+ *   baseline's cheap-rate import it avoided.
+ * - `createController(context)`: returns a function (index, row, batterySoC, tariffPeriod) => action, called for every
+ *   interval in order. The context is {data, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy}.
+ * - or `planDispatch(context, onProgress)`: plans the battery move of every interval before the simulation.
+ */
+export const STRATEGIES = [
+    {
+        id: 'self-consumption',
+        key: 'selfConsumption',
+        name: 'Self-Consumption',
+        description: 'Prioritises using your own solar power to reduce grid imports. The battery stores excess solar during the day and discharges to power your home at night.',
+        color: 'rgba(139, 92, 246, 1)', // Violet-500
+        requiresForceChargeHours: false,
+        inputs: [],
+        createController: () => () => BATTERY_ACTION_HOME
+    },
+    {
+        id: 'export-maximiser',
+        key: 'exportMaximiser',
+        name: 'Export Maximiser',
+        description: 'Charges the battery from the grid during designated cheap-rate hours. It will attempt to \'force discharge\' by exporting to the grid right before the cheap window starts to make space.',
+        color: 'rgba(239, 68, 68, 1)', // Red-500
+        requiresForceChargeHours: true,
+        inputs: [],
+        createController: (context) => createForceChargeController(context, { preemptiveExport: true })
+    },
+    {
+        id: 'balanced-export-maximiser',
+        key: 'balancedExportMaximiser',
+        name: 'Balanced Export Maximiser',
+        description: 'A balanced version of the Export Maximiser. It avoids pre-emptive grid export during the winter months (Nov, Dec, Jan, Feb) to preserve battery for higher heating loads.',
+        color: 'rgba(5, 150, 105, 1)', // Emerald-600
+        requiresForceChargeHours: true,
+        inputs: [],
+        createController: (context) => createForceChargeController(context, { preemptiveExport: true, winterHold: true })
+    },
+    {
+        id: 'import-minimiser',
+        key: 'importMinimiser',
+        name: 'Import Minimiser',
+        description: 'Prioritises self-consumption, but *also* force-charges from the grid during cheap rates. It *never* force-discharges, ensuring the battery is full for your own use.',
+        color: 'rgba(59, 130, 246, 1)', // Blue-500
+        requiresForceChargeHours: true,
+        inputs: [],
+        createController: (context) => createForceChargeController(context)
+    },
+    {
+        id: 'smart-charge',
+        key: 'smartCharge',
+        name: 'Smart Charge',
+        description: 'Like the Import Minimiser, but it only force-charges as much as tomorrow needs. At the start of each force-charge window it forecasts the next 24 hours of usage and solar, so on sunny days the battery is left with room for your own solar instead of being filled from the grid.',
+        color: 'rgba(236, 72, 153, 1)', // Pink-500
+        requiresForceChargeHours: true,
+        inputs: ['forecastMethod', 'smartChargeBuffer'],
+        baseline: 'import-minimiser',
+        createController: createSmartChargeController
+    },
+    {
+        id: 'export-arbitrage',
+        key: 'exportArbitrage',
+        name: 'Export Arbitrage',
+        description: 'Uses the hourly import and export rates. Each day it charges from the grid in the cheapest import hours and sells to the grid in the best-paid export hours, but only when the export rate beats the import rate after the battery\'s round-trip losses. It never exports below the household reserve, so the rest is kept for your own use.',
+        color: 'rgba(245, 158, 11, 1)', // Amber-500
+        requiresForceChargeHours: false,
+        inputs: ['arbitrageReserve'],
+        createController: createArbitrageController
+    },
+    {
+        id: 'optimal',
+        key: 'optimal',
+        name: 'Optimal (Perfect Foresight)',
+        shortName: 'Optimal',
+        description: 'A benchmark, not a real controller. It knows the whole year\'s usage, solar and prices in advance and picks the cheapest possible charge and discharge schedule within the battery, MIC and MEC limits. No real strategy can beat it, so it shows how much of the possible savings the other strategies capture.',
+        color: 'rgba(107, 114, 128, 1)', // Gray-500
+        requiresForceChargeHours: false,
+        inputs: [],
+        isBenchmark: true,
+        planDispatch: ({ data, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy }, onProgress) =>
+            planOptimalDispatch(data, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy, onProgress)
+    }
+];
+
+/**
+ * Lists the built-in strategies followed by the custom ones, which have the same shape with the id and key
+ * 'custom-1', 'custom-2', ...
+ * @param {Array<Object>} [customStrategies=[]] - The custom strategies as {key, name, rules}, like
+ *   `params.customStrategies`. The rules are only needed to simulate the strategy.
+ * @returns {Array<Object>} The strategies.
+ */
+export function getStrategies(customStrategies = []) {
+    return [...STRATEGIES, ...customStrategies.map((custom, index) => ({
+        id: custom.key,
+        key: custom.key,
+        name: custom.name,
+        description: 'A custom strategy made of your own rules. Edit it in Custom Strategies below.',
+        color: CUSTOM_STRATEGY_COLORS[index % CUSTOM_STRATEGY_COLORS.length],
+        requiresForceChargeHours: false,
+        inputs: [],
+        isCustom: true,
+        createController: (context) => createRuleController(context, custom.rules)
+    }))];
+}
+
+/**
+ * Finds the strategy that a set of parameters simulates.
+ * @param {Object} params - The simulation parameters.
+ * @returns {Object} The strategy.
+ */
+export function getStrategy(params) {
+    const strategy = getStrategies(params.customStrategies).find(candidate => candidate.id === params.strategy);
+    if (!strategy) throw new Error(`Unknown strategy: ${params.strategy}`);
+    return strategy;
+}
+
+/**
+ * Finds the strategy whose results stand for figures that are the same for every strategy, such as the bill
+ * before the battery, the consumption or the simulated months: the first real (not benchmark) strategy.
+ * @param {Array<Object>} [strategies=STRATEGIES] - The strategies simulated, from `getStrategies`.
+ * @returns {Object|undefined} The strategy, or undefined if none is a real strategy.
+ */
+export function getReferenceStrategy(strategies = STRATEGIES) {
+    return strategies.find(strategy => !strategy.isBenchmark);
+}
+
+/**
+ * Finds the strategy a strategy is compared with (its `baseline`).
+ * @param {Object} strategy - The strategy from the registry.
+ * @returns {Object|undefined} The baseline strategy, or undefined if it has none.
+ */
+export function getBaselineStrategy(strategy) {
+    return strategy.baseline ? STRATEGIES.find(candidate => candidate.id === strategy.baseline) : undefined;
+}
+
+/**
+ * Lists one simulation per strategy, built-in and custom.
+ * @param {Object} params - The simulation parameters.
+ * @returns {Array<Object>} The runs as {strategy, params}, where `strategy` is the registry entry.
+ */
+export function getStrategyRuns(params) {
+    return getStrategies(params.customStrategies).map(strategy => ({ strategy, params: { ...params, strategy: strategy.id } }));
+}
+
+
+// --- SIMULATION CORE --- //
+
+/**
+ * Finds the tariff period that applies on a given local day.
+ * Periods are checked from last to first, so later periods override earlier ones.
+ * The first period is the base schedule and applies whenever no other period does.
+ * @param {Object} schedule - The tariff schedule.
+ * @param {Date} localTime - A wall-clock Date in Irish local time.
+ * @returns {Object} The matching tariff period.
+ */
+export function getTariffPeriod(schedule, localTime) {
+    const dayOfWeek = localTime.getUTCDay();
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+    const monthDay = `${String(localTime.getUTCMonth() + 1).padStart(2, '0')}-${String(localTime.getUTCDate()).padStart(2, '0')}`;
+
+    for (let i = schedule.periods.length - 1; i > 0; i--) {
+        const period = schedule.periods[i];
+        const matchesDayType = period.dayType === 'all' || (period.dayType === 'weekend') === isWeekend;
+        // A start date after the end date wraps over the new year (e.g. 01/11 to 28/02).
+        const matchesDate = period.startDate <= period.endDate
+            ? monthDay >= period.startDate && monthDay <= period.endDate
+            : monthDay >= period.startDate || monthDay <= period.endDate;
+        if (matchesDayType && matchesDate) return period;
+    }
+    return schedule.periods[0];
+}
+
+/**
+ * Checks whether any period of a tariff schedule has at least one force-charge hour selected.
+ * @param {Object} schedule - The tariff schedule.
+ * @returns {boolean} True if a force-charge hour is set.
+ */
+export function scheduleHasForceChargeHours(schedule) {
+    return schedule.periods.some(period => period.forceChargeHours.some(h => h === true));
+}
+
+/**
+ * Finds the import and export rates of one interval: its dynamic prices when the data has them
+ * (`applyDynamicPrices`), otherwise the hourly rates of the tariff period.
+ * @param {Object} row - The data row.
+ * @param {Object} tariffPeriod - The tariff period in force for the row's local day.
+ * @returns {Object} {importRate, exportRate} in € per kWh.
+ */
+export function getIntervalRates(row, tariffPeriod) {
+    const hour = row.localTime.getUTCHours();
+    return {
+        importRate: row.importRate ?? tariffPeriod.importRates[hour],
+        exportRate: row.exportRate ?? tariffPeriod.exportRates[hour]
+    };
+}
+
+/**
+ * Finds the tariff period for the local day that starts at a data row, with the day's dynamic prices (averaged
+ * per hour) in place of its hourly rates, so the strategies that plan a day from the hourly rates see that
+ * day's prices. Without dynamic prices on the day the period is returned unchanged.
+ * @param {Array<Object>} data - The simulation data.
+ * @param {number} startIndex - The index of the day's first row.
+ * @param {Object} schedule - The tariff schedule.
+ * @returns {Object} The tariff period for the day.
+ */
+export function getDayTariffPeriod(data, startIndex, schedule) {
+    const period = getTariffPeriod(schedule, data[startIndex].localTime);
+    const day = data[startIndex].localTime.getUTCDate();
+    const sums = { importRates: Array(24).fill(0), exportRates: Array(24).fill(0) };
+    const counts = { importRates: Array(24).fill(0), exportRates: Array(24).fill(0) };
+    let hasPrices = false;
+
+    for (let i = startIndex; i < data.length && data[i].localTime.getUTCDate() === day; i++) {
+        const row = data[i];
+        const hour = row.localTime.getUTCHours();
+        if (row.importRate !== undefined) {
+            sums.importRates[hour] += row.importRate;
+            counts.importRates[hour]++;
+            hasPrices = true;
+        }
+        if (row.exportRate !== undefined) {
+            sums.exportRates[hour] += row.exportRate;
+            counts.exportRates[hour]++;
+            hasPrices = true;
+        }
+    }
+    if (!hasPrices) return period;
+
+    const averageRates = (key) => period[key].map((rate, hour) => counts[key][hour] > 0 ? sums[key][hour] / counts[key][hour] : rate);
+    return { ...period, importRates: averageRates('importRates'), exportRates: averageRates('exportRates') };
+}
+
+/**
+ * The core simulation engine that processes the data step-by-step.
+ * @param {Array<Object>} data - The time-series data to simulate over.
+ * @param {Object} params - The simulation parameters.
+ * @param {Function} [onProgress] - Called with the completed fraction (0-1) every few thousand steps.
+ *   It may return a promise, e.g. to let the page repaint or to cancel by throwing.
+ * @returns {Promise<Object>} An object containing the aggregated results.
+ */
+export async function runSimulation(data, params, onProgress = null) {
+    const minSoC_kWh = params.usableCapacity * (params.minSoc / 100);
+    const maxSoC_kWh = params.usableCapacity * (params.maxSoc / 100);
+    let batterySoC = minSoC_kWh; // Start simulation with battery at minimum SoC.
+
+    const monthlyData = {}; 
+    const detailedLog = [];
+    const efficiencySqrt = Math.sqrt(params.roundtripEfficiency);
+    const standbyEnergy = params.standbyPower / 1000 * HOURS_PER_INTERVAL;
+
+    // State variables for tracking the daily force charges
+    let dailyMaxSoC = minSoC_kWh;
+    let forceChargeScheduledToday = false;
+    let forceChargeTarget_kWh = maxSoC_kWh; // The target of the latest force charge
+    let tariffPeriod = data.length > 0 ? getTariffPeriod(params.tariffSchedule, data[0].localTime) : null; // Rates for the current local day
+    let dayTariffPeriod = data.length > 0 ? getDayTariffPeriod(data, 0, params.tariffSchedule) : null; // The same, with the day's dynamic prices for the strategies
+
+    // The hot-water tank with the battery, and the same tank in a home with the diverter but no battery
+    const tank = createHotWaterTank(params.diverter);
+    const tankWithoutBattery = createHotWaterTank(params.diverter);
+
+    // A strategy either picks an action in every interval or, like the optimal benchmark, plans the whole year
+    // first (half of the progress) and then replays the plan.
+    const strategy = getStrategy(params);
+    const context = { data, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy };
+    const plan = strategy.planDispatch
+        ? await strategy.planDispatch(context, onProgress ? fraction => onProgress(fraction / 2) : null)
+        : null;
+    const controller = plan ? null : strategy.createController(context);
+
+    for (let i = 0; i < data.length; i++) {
+        const row = data[i];
+        const prevRow = i > 0 ? data[i - 1] : null;
+
+        // --- Progress Update & Day Rollover Logic ---
+        if (onProgress && i > 0 && i % PROGRESS_INTERVAL_STEPS === 0) {
+            await onProgress(plan ? 0.5 + i / data.length / 2 : i / data.length);
+        }
+        
+        const mKey = row.localTime.toISOString().slice(0, 7);
+        if (!monthlyData[mKey]) {
+            monthlyData[mKey] = { costWithoutBattery: 0, costWithBattery: 0, exportRevenue: 0, exportRevenueWithoutBattery: 0, savings: 0, importWithoutBattery: 0, exportWithoutBattery: 0, importWithBattery: 0, exportWithBattery: 0, cheapRateImport: 0, consumption: 0, generation: 0, chargedToBattery: 0, dischargedFromBattery: 0, standbyConsumption: 0, clippedSolar: 0, missedFullCharges: 0, divertedToTank: 0, hotWaterFromSolar: 0, waterHeatingSaving: 0, exportRevenueDiverterOnly: 0, waterHeatingSavingDiverterOnly: 0 };
+        }
+
+        // Check if the (local) day has changed to reset daily tracking variables
+        if (prevRow && row.localTime.getUTCDate() !== prevRow.localTime.getUTCDate()) {
+            // If a force charge was scheduled but the battery didn't reach near its target, log it.
+            if (forceChargeScheduledToday && dailyMaxSoC < (forceChargeTarget_kWh * 0.99)) {
+                const prevMKey = prevRow.localTime.toISOString().slice(0, 7);
+                if (monthlyData[prevMKey]) monthlyData[prevMKey].missedFullCharges++;
+            }
+            // Reset daily trackers
+            dailyMaxSoC = batterySoC;
+            forceChargeScheduledToday = false;
+            tariffPeriod = getTariffPeriod(params.tariffSchedule, row.localTime);
+            dayTariffPeriod = getDayTariffPeriod(data, i, params.tariffSchedule);
+        }
+
+        const hour = row.localTime.getUTCHours();
+        const { importRate, exportRate } = getIntervalRates(row, tariffPeriod);
+        const hotWaterFromSolar = tank.drawHotWater(hour);
+        const diverterSpace = tank.getSpace();
+
+        // --- Core Simulation Step ---
+        let result;
+        if (plan) {
+            result = runPlannedTimeStep(row, batterySoC, plan[i], params, standbyEnergy, diverterSpace);
+        } else {
+            const action = controller(i, row, batterySoC, dayTariffPeriod);
+            if (action.type === 'charge') {
+                forceChargeScheduledToday = true;
+                forceChargeTarget_kWh = action.target;
+            }
+            result = runSingleTimeStep(row, batterySoC, params, action, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy, diverterSpace);
+        }
+
+        // Update state for the next iteration
+        batterySoC = result.newSoC;
+        tank.addHeat(result.divertedToTank);
+        
+        // --- Log & Aggregate Results ---
+        const m = monthlyData[mKey];
+        m.consumption += row.consumption; 
+        m.generation += row.generation; 
+        m.importWithBattery += result.gridImport; 
+        m.exportWithBattery += result.gridExport;
+        m.chargedToBattery += result.toBattery; 
+        m.dischargedFromBattery += result.fromBattery;
+        m.standbyConsumption += standbyEnergy;
+        m.clippedSolar += result.clippedSolar;
+        m.divertedToTank += result.divertedToTank;
+        m.hotWaterFromSolar += hotWaterFromSolar;
+        m.waterHeatingSaving += hotWaterFromSolar * params.diverter.fuelCost;
+        if (tariffPeriod.forceChargeHours[hour]) m.cheapRateImport += result.gridImport;
+        m.costWithBattery += result.gridImport * importRate; 
+        m.exportRevenue += result.gridExport * exportRate;
+        
+        // Calculate baseline cost for comparison. Without a battery the home still earns
+        // export income on its surplus solar (limited by the MEC), which must be netted off the savings.
+        const energyImportWithoutBattery = Math.max(0, row.consumption - row.generation);
+        const energyExportWithoutBattery = Math.min(Math.max(0, row.generation - row.consumption), params.mec * HOURS_PER_INTERVAL);
+        m.costWithoutBattery += energyImportWithoutBattery * importRate;
+        m.exportRevenueWithoutBattery += energyExportWithoutBattery * exportRate;
+        m.importWithoutBattery += energyImportWithoutBattery;
+        m.exportWithoutBattery += energyExportWithoutBattery;
+
+        // The diverter on its own: it heats the tank with the surplus before it is exported.
+        const hotWaterFromSolarWithoutBattery = tankWithoutBattery.drawHotWater(hour);
+        const divertedWithoutBattery = Math.min(Math.max(0, row.generation - row.consumption), tankWithoutBattery.getSpace());
+        tankWithoutBattery.addHeat(divertedWithoutBattery);
+        const exportDiverterOnly = Math.min(Math.max(0, row.generation - row.consumption) - divertedWithoutBattery, params.mec * HOURS_PER_INTERVAL);
+        m.exportRevenueDiverterOnly += exportDiverterOnly * exportRate;
+        m.waterHeatingSavingDiverterOnly += hotWaterFromSolarWithoutBattery * params.diverter.fuelCost;
+
+        detailedLog.push({ 
+            timestamp: row.timestamp, 
+            localTime: row.localTime, 
+            consumption: row.consumption, 
+            generation: row.generation, 
+            gridImport: result.gridImport, 
+            gridExport: result.gridExport, 
+            batteryCharge: result.toBattery, 
+            batteryDischarge: result.fromBattery, 
+            batterySoC: batterySoC,
+            chargeEfficiency: result.chargeEfficiency,
+            dischargeEfficiency: result.dischargeEfficiency,
+            standbyConsumption: standbyEnergy,
+            clippedSolar: result.clippedSolar,
+            divertedToTank: result.divertedToTank,
+            tankHeat: tank.getHeat(),
+            dataRepair: row.dataRepair ?? null
+        });
+
+        if (forceChargeScheduledToday) {
+            dailyMaxSoC = Math.max(dailyMaxSoC, batterySoC);
+        }
+    }
+    
+    return aggregateFinalResults(monthlyData, detailedLog, getPeriodCoverage(data).days, params);
+}
+
+/**
+ * Looks up the one-way efficiency at a given power. Without a curve the flat efficiency is used.
+ * @param {Array<Object>|null} curve - The part-load curve from `parseEfficiencyCurve`.
+ * @param {number} energy - The energy on the AC side in this interval (kWh).
+ * @param {number} ratedPower - The rated power in this direction (kW).
+ * @param {number} flatEfficiency - The efficiency to use without a curve.
+ * @returns {number} The efficiency as a fraction.
+ */
+function getEfficiencyAtLoad(curve, energy, ratedPower, flatEfficiency) {
+    if (!curve) return flatEfficiency;
+    const load = ratedPower > 0 ? (energy / HOURS_PER_INTERVAL) / ratedPower : 0;
+    const upperIndex = curve.findIndex(point => point.load >= load);
+    if (upperIndex === -1) return curve[curve.length - 1].efficiency;
+    if (upperIndex === 0) return curve[0].efficiency;
+
+    const lower = curve[upperIndex - 1];
+    const upper = curve[upperIndex];
+    return lower.efficiency + (upper.efficiency - lower.efficiency) * (load - lower.load) / (upper.load - lower.load);
+}
+
+/**
+ * Works out how much energy the battery can deliver towards a request, at the efficiency of that power level.
+ * @param {number} requested - The energy wanted on the AC side (kWh), already limited by the discharge power.
+ * @param {number} available - The energy in the battery above the minimum SoC (kWh).
+ * @param {Object} params - The simulation parameters.
+ * @param {number} efficiencySqrt - The flat one-way efficiency.
+ * @returns {Object} {delivered, drawn, efficiency}: the AC energy delivered and the energy taken from the battery.
+ */
+function planDischarge(requested, available, params, efficiencySqrt) {
+    let efficiency = getEfficiencyAtLoad(params.dischargeEfficiencyCurve, requested, params.maxDischargeRate, efficiencySqrt);
+    let delivered = Math.min(requested, available * efficiency);
+    if (delivered < requested) {
+        // Limited by the stored energy: the power, and with it the efficiency, is lower than requested.
+        efficiency = getEfficiencyAtLoad(params.dischargeEfficiencyCurve, delivered, params.maxDischargeRate, efficiencySqrt);
+        delivered = Math.min(delivered, available * efficiency);
+    }
+    return { delivered, drawn: delivered / efficiency, efficiency };
+}
+
+/**
+ * Works out how much energy the battery can take from a supply, at the efficiency of that power level.
+ * @param {number} offered - The energy available on the AC side (kWh), already limited by the charge power.
+ * @param {number} space - The room left in the battery below the maximum SoC (kWh).
+ * @param {Object} params - The simulation parameters.
+ * @param {number} efficiencySqrt - The flat one-way efficiency.
+ * @returns {Object} {used, stored, efficiency}: the AC energy used and the energy added to the battery.
+ */
+function planCharge(offered, space, params, efficiencySqrt) {
+    let efficiency = getEfficiencyAtLoad(params.chargeEfficiencyCurve, offered, params.maxChargeRate, efficiencySqrt);
+    let used = Math.min(offered, space / efficiency);
+    if (used < offered) {
+        // Limited by the space in the battery: the power, and with it the efficiency, is lower than offered.
+        efficiency = getEfficiencyAtLoad(params.chargeEfficiencyCurve, used, params.maxChargeRate, efficiencySqrt);
+        used = Math.min(used, space / efficiency);
+    }
+    return { used, stored: used * efficiency, efficiency };
+}
+
+/**
+ * Executes the logic for a single time interval (e.g., 30 minutes).
+ * This function is the heart of the simulation's decision-making process.
+ *
+ * Energy is routed according to the system topology:
+ * - AC-coupled (retrofit): the solar inverter and the battery inverter are separate, so solar and battery
+ *   each reach the home on the AC side. The battery efficiency covers its own inverter.
+ * - DC-coupled (hybrid inverter): solar charges the battery on the DC side without passing through the inverter.
+ *   Everything that reaches the home or grid (solar and battery) shares the inverter's AC rating and pays its
+ *   conversion loss, and so does grid charging. Solar that can be neither stored nor converted is clipped.
+ * @param {Object} action - The strategy's action for this interval (see STRATEGIES).
+ * @param {number} standbyEnergy - The standby consumption of the battery system in this interval (kWh).
+ * @param {number} [diverterSpace=0] - The heat the hot-water diverter can take in this interval (kWh).
+ * @returns {Object} The results of this single time step, with the efficiencies used (null if there was no flow),
+ *   the solar energy that was clipped or curtailed (AC equivalent) and the solar sent to the hot-water tank.
+ */
+function runSingleTimeStep(row, currentSoC, params, action, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy, diverterSpace = 0) {
+    let { consumption: homeConsumption, generation: solarGeneration } = row;
+    let batterySoC = currentSoC;
+    let gridImport = 0, gridExport = 0, toBattery = 0, fromBattery = 0, clippedSolar = 0, divertedToTank = 0;
+    let chargeEfficiency = null, dischargeEfficiency = null;
+
+    // The battery system's standby consumption is an extra load on the home, met like any other.
+    homeConsumption += standbyEnergy;
+
+    // Conversion between the battery side and the AC side. For an AC-coupled system the battery efficiency
+    // already covers the conversion and there is no shared inverter limit.
+    const isDcCoupled = params.topology === 'dc';
+    const inverterEfficiency = isDcCoupled ? params.inverterEfficiency : 1;
+    const inverterPower = isDcCoupled ? params.inverterRating : Infinity;
+    let inverterOutputLeft = inverterPower * HOURS_PER_INTERVAL; // AC energy the inverter can still deliver
+
+    const availableEnergyInBattery = Math.max(0, batterySoC - minSoC_kWh);
+    const spaceInBattery = Math.max(0, maxSoC_kWh - batterySoC);
+
+    const isForceChargeHour = action.type === 'charge';
+    const isHold = action.type === 'hold';
+    const isExport = action.type === 'export';
+
+    // Sends solar that is not used or stored through the inverter to the grid; anything over the inverter rating is clipped.
+    const exportSolar = (solar) => {
+        const exported = Math.min(solar * inverterEfficiency, inverterOutputLeft);
+        inverterOutputLeft -= exported;
+        gridExport += exported;
+        clippedSolar += solar * inverterEfficiency - exported;
+    };
+
+    // Sends surplus solar (on the AC side, within the inverter rating) to the hot-water tank through the diverter.
+    const divertSolar = () => {
+        if (diverterSpace - divertedToTank <= 0 || excessSolar <= 0) return;
+        const diverted = Math.min(excessSolar * inverterEfficiency, diverterSpace - divertedToTank, inverterOutputLeft);
+        divertedToTank += diverted;
+        excessSolar -= diverted / inverterEfficiency;
+        inverterOutputLeft -= diverted;
+    };
+
+    // 1. Direct Solar Self-Consumption
+    // The readings are AC generation; for a hybrid system they are converted back to the DC output of the panels.
+    let remainingDemand = homeConsumption;
+    let excessSolar = solarGeneration / inverterEfficiency;
+    const selfConsumptionFromSolar = Math.min(remainingDemand, excessSolar * inverterEfficiency, inverterOutputLeft);
+    remainingDemand -= selfConsumptionFromSolar;
+    excessSolar -= selfConsumptionFromSolar / inverterEfficiency;
+    inverterOutputLeft -= selfConsumptionFromSolar;
+
+    // The car's charging, when the battery must not discharge into it. Solar covers the rest of the home first.
+    const protectedEvLoad = params.ev.protectBattery ? row.evConsumption || 0 : 0;
+
+    // 2. Discharge from Battery to meet Home Demand (unless force charging or holding the charge)
+    if (!isForceChargeHour && !isHold) {
+        const requested = Math.min(Math.max(0, remainingDemand - protectedEvLoad) / inverterEfficiency, params.maxDischargeRate * HOURS_PER_INTERVAL, inverterOutputLeft / inverterEfficiency);
+        const discharge = planDischarge(requested, availableEnergyInBattery, params, efficiencySqrt);
+        if (discharge.delivered > FLOAT_TOLERANCE) {
+            const deliveredToHome = discharge.delivered * inverterEfficiency;
+            batterySoC -= discharge.drawn;
+            fromBattery += discharge.drawn;
+            remainingDemand -= deliveredToHome;
+            inverterOutputLeft -= deliveredToHome;
+            dischargeEfficiency = discharge.efficiency;
+        }
+    }
+    
+    // 3. Import from Grid for remaining home demand
+    gridImport += remainingDemand;
+
+    // 4. Handle Excess Solar Generation
+    // With a diverter, the hot-water tank takes the surplus before the battery ('tank' priority) or after it.
+    if (params.diverter.priority === 'tank') divertSolar();
+    if (excessSolar > 0) {
+        if (isExport) {
+            // Exporting from the battery. Do NOT charge. Export all solar (after the tank) to help empty the battery.
+            divertSolar();
+            exportSolar(excessSolar);
+        } else {
+            // Prioritize charging battery with solar.
+            const charge = planCharge(Math.min(excessSolar, params.maxChargeRate * HOURS_PER_INTERVAL), spaceInBattery, params, efficiencySqrt);
+            if (charge.used > FLOAT_TOLERANCE) {
+                batterySoC += charge.stored;
+                toBattery += charge.used;
+                chargeEfficiency = charge.efficiency;
+                excessSolar -= charge.used;
+            }
+            divertSolar();
+            exportSolar(excessSolar); // Export any solar left over
+        }
+    }
+
+    // 5a. Export from the battery, e.g. to make space just before a force-charge window
+    // (not while the car charges if the battery must not discharge into it)
+    if (isExport && protectedEvLoad <= FLOAT_TOLERANCE) {
+        const currentExportPower = gridExport / HOURS_PER_INTERVAL;
+        const availableExportCapacity = params.mec - currentExportPower;
+        const dischargePower = Math.min(params.maxDischargeRate, action.power, availableExportCapacity / inverterEfficiency, inverterOutputLeft / HOURS_PER_INTERVAL / inverterEfficiency);
+        // Without a floor the battery is emptied down to the minimum SoC, as it stood at the start of the interval.
+        const dischargeable = action.floor === null ? availableEnergyInBattery : Math.max(0, batterySoC - action.floor);
+        const discharge = planDischarge(Math.max(0, dischargePower * HOURS_PER_INTERVAL), dischargeable, params, efficiencySqrt);
+
+        if (discharge.delivered > FLOAT_TOLERANCE) {
+            const exported = discharge.delivered * inverterEfficiency;
+            batterySoC -= discharge.drawn;
+            fromBattery += discharge.drawn;
+            gridExport += exported;
+            inverterOutputLeft -= exported;
+            dischargeEfficiency = discharge.efficiency;
+        }
+    }
+
+    // 5b. Force Charge from Grid (through the inverter for a hybrid system)
+    if (isForceChargeHour) {
+        const homeImportPower = remainingDemand / HOURS_PER_INTERVAL; // Remaining demand is now home import
+        const availableGridPowerForCharge = params.mic - homeImportPower;
+
+        const chargePower = Math.min(params.maxChargeRate, availableGridPowerForCharge * inverterEfficiency, inverterPower * inverterEfficiency);
+        const spaceBelowTarget = Math.min(spaceInBattery, Math.max(0, action.target - batterySoC));
+        const charge = planCharge(Math.max(0, chargePower * HOURS_PER_INTERVAL), spaceBelowTarget, params, efficiencySqrt);
+
+        if (charge.used > FLOAT_TOLERANCE) {
+            batterySoC += charge.stored;
+            toBattery += charge.used;
+            gridImport += charge.used / inverterEfficiency;
+            chargeEfficiency = charge.efficiency;
+        }
+    }
+
+    // 6. Final Clipping: Ensure grid export does not exceed the Maximum Export Capacity (MEC)
+    if (gridExport / HOURS_PER_INTERVAL > params.mec) {
+        clippedSolar += gridExport - params.mec * HOURS_PER_INTERVAL;
+        gridExport = params.mec * HOURS_PER_INTERVAL;
+    }
+
+    return {
+        gridImport, gridExport, toBattery, fromBattery, chargeEfficiency, dischargeEfficiency, clippedSolar, divertedToTank,
+        newSoC: batterySoC
+    };
+}
+
+// --- HOT-WATER DIVERTER --- //
+// An immersion diverter heats the hot-water tank with surplus solar that would otherwise be exported, so it competes
+// with the battery. The tank holds heat up to its capacity, loses a little every hour and is drawn on in the morning
+// and evening. Hot water the tank cannot supply comes from the home's usual water heating, so every kWh of solar heat
+// used saves that heating's cost. The tank starts cold.
+
+const WATER_HEAT_CAPACITY = 4.186 / 3600; // kWh per litre per °C
+const TANK_TEMPERATURE_RISE = 45; // °C from the cold feed (about 15 °C) to the diverter's cut-off (about 60 °C)
+const TANK_STANDING_LOSS_PER_DAY = 1.5; // kWh lost per day by a full tank; less when it is cooler
+// Typical cost of a kWh of hot water from the usual water heating, including its efficiency (€/kWh).
+export const WATER_HEATING_FUEL_COSTS = { oil: 0.12, gas: 0.13, electric: 0.35 };
+// Share of the day's hot water used in each local hour: mornings (07:00-09:00) and evenings (18:00-22:00).
+const HOT_WATER_DRAW_PROFILE = Array.from({ length: 24 }, (_, hour) => (hour >= 7 && hour < 9) ? 0.2 : (hour >= 18 && hour < 22) ? 0.15 : 0);
+
+/**
+ * Creates the thermal state of a hot-water tank heated by a diverter.
+ * @param {Object} diverter - The diverter parameters (`params.diverter`).
+ * @returns {Object} The tank: `drawHotWater(hour)` takes one interval's hot water and standing loss and returns the
+ *   heat supplied by the tank (kWh), `getSpace()` is the heat the diverter can add in the next interval (kWh, within
+ *   the element power), `addHeat(kWh)` stores diverted solar and `getHeat()` is the heat stored (kWh).
+ */
+function createHotWaterTank(diverter) {
+    const capacity = diverter.enabled ? diverter.tankSize * WATER_HEAT_CAPACITY * TANK_TEMPERATURE_RISE : 0;
+    const lossFraction = capacity > 0 ? TANK_STANDING_LOSS_PER_DAY / INTERVALS_PER_DAY / capacity : 0;
+    let heat = 0;
+
+    return {
+        drawHotWater(hour) {
+            const supplied = Math.min(heat, diverter.dailyDemand * HOT_WATER_DRAW_PROFILE[hour] * HOURS_PER_INTERVAL);
+            heat -= supplied;
+            heat -= heat * lossFraction;
+            return supplied;
+        },
+        getSpace() {
+            return Math.min(capacity - heat, diverter.elementPower * HOURS_PER_INTERVAL);
+        },
+        addHeat(energy) {
+            heat = Math.min(capacity, heat + energy);
+        },
+        getHeat() {
+            return heat;
+        }
+    };
+}
+
+// --- SMART CHARGE --- //
+// The "Smart Charge" strategy is the Import Minimiser with a charge target. At the start of each force-charge window
+// it forecasts the home's consumption and solar for the next 24 hours and charges only as much as the battery is
+// expected to need, so sunny days are not started with a battery full of grid energy.
+
+/**
+ * Creates the Smart Charge controller: force-charges in the force-charge hours, to the target worked out at the
+ * start of each window.
+ * @param {Object} context - The simulation context (see STRATEGIES).
+ * @returns {Function} The controller.
+ */
+function createSmartChargeController({ data, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy }) {
+    const forecast = createForecaster(data, params.smartCharge.forecastMethod);
+    let charge = { type: 'charge', target: maxSoC_kWh };
+    let wasForceChargeHour = false;
+
+    return (index, row, batterySoC, tariffPeriod) => {
+        const isForceChargeHour = tariffPeriod.forceChargeHours[row.localTime.getUTCHours()];
+        if (isForceChargeHour && !wasForceChargeHour) {
+            charge = { type: 'charge', target: getSmartChargeTarget(data, index, forecast, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy) };
+        }
+        wasForceChargeHour = isForceChargeHour;
+        return isForceChargeHour ? charge : BATTERY_ACTION_HOME;
+    };
+}
+
+/**
+ * Creates the consumption and generation forecast used by the Smart Charge strategy.
+ * - 'persistence': the same time on the previous day.
+ * - 'weekday-average': the average of the same time on the same weekday over the last `SMART_CHARGE_FORECAST_WEEKS`
+ *   weeks, falling back to the previous day until a week of history is available.
+ * - 'perfect': the actual readings (perfect foresight, to show what a perfect forecast is worth).
+ * Past readings are matched by local clock time, so days either side of a clock change line up.
+ * @param {Array<Object>} data - The simulation data.
+ * @param {string} method - The forecast method.
+ * @returns {Function} Takes an interval index and returns the forecast {consumption, generation}, or null without history.
+ */
+function createForecaster(data, method) {
+    if (method === 'perfect') return index => data[index];
+
+    const indexByLocalTime = new Map(data.map((row, index) => [row.localTime.getTime(), index]));
+    const daysBack = method === 'persistence' ? [1] : Array.from({ length: SMART_CHARGE_FORECAST_WEEKS }, (_, week) => (week + 1) * 7);
+    const findHistory = (localMs, days) => days
+        .map(dayCount => indexByLocalTime.get(localMs - dayCount * ONE_DAY_MS))
+        .filter(index => index !== undefined);
+
+    return index => {
+        const localMs = data[index].localTime.getTime();
+        let history = findHistory(localMs, daysBack);
+        if (history.length === 0 && method === 'weekday-average') history = findHistory(localMs, [1]);
+        if (history.length === 0) return null;
+        return {
+            consumption: history.reduce((sum, past) => sum + data[past].consumption, 0) / history.length,
+            generation: history.reduce((sum, past) => sum + data[past].generation, 0) / history.length
+        };
+    };
+}
+
+/**
+ * Works out the Smart Charge target at the start of a force-charge window: the least stored energy that covers the
+ * forecast shortfalls over the next 24 hours, allowing for surplus solar that refills the battery in between, plus
+ * the safety buffer. Force-charge hours are left out, since the home runs from the grid then.
+ * Without enough history (at the start of the data) the battery is charged to the maximum, like the Import Minimiser.
+ * @param {Array<Object>} data - The simulation data.
+ * @param {number} startIndex - The first interval of the force-charge window.
+ * @param {Function} forecast - The forecast from `createForecaster`.
+ * @param {Object} params - The simulation parameters.
+ * @param {number} minSoC_kWh - The minimum SoC (kWh).
+ * @param {number} maxSoC_kWh - The maximum SoC (kWh).
+ * @param {number} efficiencySqrt - The flat one-way efficiency.
+ * @param {number} standbyEnergy - The standby consumption per interval (kWh).
+ * @returns {number} The target SoC (kWh), between the minimum and maximum SoC.
+ */
+function getSmartChargeTarget(data, startIndex, forecast, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy) {
+    const range = Math.max(0, maxSoC_kWh - minSoC_kWh);
+    const endIndex = Math.min(data.length, startIndex + INTERVALS_PER_DAY);
+    let drawn = 0; // Net energy taken from the battery since the start of the window (kWh)
+    let needed = 0;
+    let intervals = 0, forecastIntervals = 0;
+
+    for (let j = startIndex; j < endIndex; j++) {
+        const localTime = data[j].localTime;
+        if (getTariffPeriod(params.tariffSchedule, localTime).forceChargeHours[localTime.getUTCHours()]) continue;
+        intervals++;
+        const expected = forecast(j);
+        if (!expected) continue;
+        forecastIntervals++;
+
+        const shortfall = expected.consumption + standbyEnergy - expected.generation;
+        drawn += shortfall > 0 ? shortfall / efficiencySqrt : shortfall * efficiencySqrt;
+        drawn = Math.max(drawn, -range); // Solar cannot store more than the battery holds
+        needed = Math.max(needed, drawn);
+    }
+
+    if (forecastIntervals < intervals / 2) return maxSoC_kWh;
+    return Math.min(maxSoC_kWh, minSoC_kWh + needed * (1 + params.smartCharge.buffer / 100));
+}
+
+
+// --- EXPORT ARBITRAGE --- //
+// The "Export Arbitrage" strategy ranks each day's hourly rates. It charges from the grid in the cheapest import
+// hours and discharges to the grid in the best-paid export hours, but only while an export hour pays more than its
+// matching charge hour costs after the round-trip losses. Exports stop at a reserve SoC kept for the home.
+
+/**
+ * Creates the Export Arbitrage controller. Days share tariff periods, so the charge and export hours are worked
+ * out once per period. With dynamic prices every day has its own period (`getDayTariffPeriod`) and its own plan.
+ * @param {Object} context - The simulation context (see STRATEGIES).
+ * @returns {Function} The controller.
+ */
+function createArbitrageController({ params, minSoC_kWh, maxSoC_kWh }) {
+    const reserveSoC_kWh = Math.max(minSoC_kWh, Math.min(maxSoC_kWh, params.usableCapacity * (params.arbitrage.reserve / 100)));
+    const charge = { type: 'charge', target: maxSoC_kWh };
+    const exportToReserve = { type: 'export', power: Infinity, floor: reserveSoC_kWh };
+    const slotsByPeriod = new Map();
+
+    return (index, row, batterySoC, tariffPeriod) => {
+        if (!slotsByPeriod.has(tariffPeriod)) slotsByPeriod.set(tariffPeriod, planArbitrageSlots(tariffPeriod, params, reserveSoC_kWh, maxSoC_kWh));
+        const slots = slotsByPeriod.get(tariffPeriod);
+        const hour = row.localTime.getUTCHours();
+        if (slots.chargeHours[hour]) return charge;
+        if (slots.exportHours[hour]) return exportToReserve;
+        return BATTERY_ACTION_HOME;
+    };
+}
+
+/**
+ * Picks the charge and export hours of a tariff period. The cheapest import hours are paired with the best export
+ * hours, one pair at a time, while the pair is profitable after the round-trip efficiency, until there are enough
+ * hours to fill the battery from the reserve and to empty it back down. Hours with the same export rate are
+ * ranked by how soon they come before the first charge hour, so the battery is not emptied long before it can refill.
+ * @param {Object} tariffPeriod - The tariff period.
+ * @param {Object} params - The simulation parameters.
+ * @param {number} reserveSoC_kWh - The SoC kept for the home (kWh).
+ * @param {number} maxSoC_kWh - The maximum SoC (kWh).
+ * @returns {Object} {chargeHours, exportHours}: 24 flags each, by local hour.
+ */
+function planArbitrageSlots(tariffPeriod, params, reserveSoC_kWh, maxSoC_kWh) {
+    const { importRates, exportRates } = tariffPeriod;
+    const chargeHours = Array(24).fill(false);
+    const exportHours = Array(24).fill(false);
+    const range = Math.max(0, maxSoC_kWh - reserveSoC_kWh);
+    const hoursToFill = params.maxChargeRate > 0 ? Math.ceil(range / params.maxChargeRate) : 0;
+    const hoursToEmpty = params.maxDischargeRate > 0 ? Math.ceil(range / params.maxDischargeRate) : 0;
+    if (hoursToFill === 0 || hoursToEmpty === 0) return { chargeHours, exportHours };
+
+    const hours = [...Array(24).keys()];
+    const byImport = [...hours].sort((a, b) => importRates[a] - importRates[b] || a - b);
+    const firstChargeHour = byImport[0];
+    const hoursBeforeCharge = (hour) => (firstChargeHour - hour + 24) % 24 || 24;
+    const byExport = hours
+        .filter(hour => importRates[hour] > importRates[firstChargeHour]) // Never export in the cheapest import hours
+        .sort((a, b) => exportRates[b] - exportRates[a] || hoursBeforeCharge(a) - hoursBeforeCharge(b));
+
+    const pairs = Math.min(Math.max(hoursToFill, hoursToEmpty), byExport.length);
+    for (let k = 0; k < pairs; k++) {
+        const chargeHour = byImport[Math.min(k, hoursToFill - 1)];
+        const exportHour = byExport[Math.min(k, hoursToEmpty - 1)];
+        if (chargeHours[exportHour] || exportHours[chargeHour] || chargeHour === exportHour) break;
+        if (exportRates[exportHour] * params.roundtripEfficiency <= importRates[chargeHour]) break;
+        chargeHours[chargeHour] = true;
+        exportHours[exportHour] = true;
+    }
+    return { chargeHours, exportHours };
+}
+
+
+// --- CUSTOM STRATEGIES --- //
+// A custom strategy is a list of rules, one per line, such as "hours 16-19 and soc 30-100 => export 3".
+// In every interval the first rule whose conditions all match decides what the battery does. When no rule
+// matches, the battery works like Self-Consumption.
+
+const RULE_COMPARISONS = {
+    '<': (value, limit) => value < limit,
+    '<=': (value, limit) => value <= limit,
+    '>': (value, limit) => value > limit,
+    '>=': (value, limit) => value >= limit
+};
+
+/**
+ * Parses the rules of a custom strategy. Each line is `conditions => action`; empty lines and lines starting
+ * with # are ignored. Conditions are joined with "and"; a rule without conditions always matches.
+ *
+ * Conditions:
+ * - `hours 16-19`: local hours, start inclusive and end exclusive; the window may wrap past midnight (23-8).
+ * - `months 11-2` or `months 6,7,8`: months 1-12; a range may wrap over the new year.
+ * - `soc 20-80`: the SoC as a percentage of the usable capacity, inclusive.
+ * - `import < 0.10`, `export >= 0.20`: the interval's unit rate in €/kWh (<, <=, > or >=).
+ * - `surplus > 1`: solar generation minus consumption in kW (negative while the home imports).
+ *
+ * Actions:
+ * - `charge 80`: charge from the grid (and solar) up to 80% SoC, without discharging.
+ * - `hold`: keep the stored energy for later; solar can still charge the battery.
+ * - `home`: discharge to the home only, as Self-Consumption does.
+ * - `export 3` or `export 3 to 40`: export up to 3 kW from the battery (within the MEC), stopping at the minimum
+ *   SoC or at 40%. Surplus solar is exported too.
+ * @param {string|Array<Object>} text - The rules, or already parsed rules.
+ * @param {string} name - The strategy's name, for error messages.
+ * @returns {Array<Object>} The rules as {conditions, action}.
+ */
+export function parseStrategyRules(text, name) {
+    if (Array.isArray(text)) return text;
+
+    const rules = [];
+    String(text ?? '').split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim().toLowerCase();
+        if (!line || line.startsWith('#')) return;
+        const fail = (message) => { throw new Error(`Invalid rule on line ${index + 1} of "${name}": ${message}`); };
+
+        const parts = line.split('=>');
+        if (parts.length !== 2) fail('write it as "conditions => action".');
+        const conditions = parts[0].trim() ? parts[0].split(/\s+and\s+/).map(condition => parseRuleCondition(condition.trim(), fail)) : [];
+        rules.push({ conditions, action: parseRuleAction(parts[1].trim(), fail) });
+    });
+    if (rules.length === 0) throw new Error(`The custom strategy "${name}" has no rules.`);
+    return rules;
+}
+
+/**
+ * Parses one condition of a custom strategy rule.
+ * @param {string} text - The condition, e.g. "hours 16-19".
+ * @param {Function} fail - Throws the error for the rule's line.
+ * @returns {Object} The condition.
+ */
+function parseRuleCondition(text, fail) {
+    const parseNumber = (value) => {
+        const number = parseFloat(value);
+        if (!Number.isFinite(number)) fail(`"${value}" is not a number.`);
+        return number;
+    };
+    const parseRange = (value, min, max) => {
+        const match = value.match(/^(-?[\d.]+)\s*-\s*(-?[\d.]+)$/);
+        if (!match) fail(`"${value}" is not a range like ${min}-${max}.`);
+        const range = [parseNumber(match[1]), parseNumber(match[2])];
+        if (range.some(bound => bound < min || bound > max)) fail(`"${value}" must be between ${min} and ${max}.`);
+        return range;
+    };
+
+    const [keyword, ...rest] = text.split(/\s+/);
+    const argument = rest.join(' ');
+    switch (keyword) {
+        case 'hours': {
+            const [start, end] = parseRange(argument, 0, 24);
+            const hours = Array.from({ length: 24 }, (_, hour) => start <= end ? hour >= start && hour < end : hour >= start || hour < end);
+            return { type: 'hours', hours };
+        }
+        case 'months': {
+            const months = Array(12).fill(false);
+            if (argument.includes('-')) {
+                const [start, end] = parseRange(argument, 1, 12);
+                for (let month = 1; month <= 12; month++) months[month - 1] = start <= end ? month >= start && month <= end : month >= start || month <= end;
+            } else {
+                argument.split(',').forEach(value => {
+                    const month = parseNumber(value.trim());
+                    if (month < 1 || month > 12) fail(`month ${value.trim()} must be between 1 and 12.`);
+                    months[Math.round(month) - 1] = true;
+                });
+            }
+            return { type: 'months', months };
+        }
+        case 'soc': {
+            const [min, max] = parseRange(argument, 0, 100);
+            return { type: 'soc', min, max };
+        }
+        case 'import':
+        case 'export':
+        case 'surplus': {
+            const match = argument.match(/^(<=|>=|<|>)\s*(-?[\d.]+)$/);
+            if (!match) fail(`write the ${keyword} condition like "${keyword} > 0.20".`);
+            return { type: keyword, comparison: match[1], value: parseNumber(match[2]) };
+        }
+        default:
+            return fail(`unknown condition "${keyword}". Use hours, months, soc, import, export or surplus.`);
+    }
+}
+
+/**
+ * Parses the action of a custom strategy rule.
+ * @param {string} text - The action, e.g. "export 3 to 40".
+ * @param {Function} fail - Throws the error for the rule's line.
+ * @returns {Object} The action.
+ */
+function parseRuleAction(text, fail) {
+    let match;
+    if (text === 'hold' || text === 'home') return { type: text };
+    if ((match = text.match(/^charge\s+([\d.]+)$/))) {
+        const soc = parseFloat(match[1]);
+        if (!(soc >= 0 && soc <= 100)) fail('the charge level must be between 0 and 100%.');
+        return { type: 'charge', soc };
+    }
+    if ((match = text.match(/^export\s+([\d.]+)(?:\s+to\s+([\d.]+))?$/))) {
+        const soc = match[2] === undefined ? null : parseFloat(match[2]);
+        if (soc !== null && !(soc >= 0 && soc <= 100)) fail('the export floor must be between 0 and 100%.');
+        return { type: 'export', power: parseFloat(match[1]), soc };
+    }
+    return fail(`unknown action "${text}". Use charge <SoC %>, hold, home or export <kW> [to <SoC %>].`);
+}
+
+/**
+ * Finds the action of the first rule whose conditions all match an interval.
+ * @param {Array<Object>} rules - The rules from `parseStrategyRules`.
+ * @param {Object} row - The interval's data.
+ * @param {number} socPercent - The SoC at the start of the interval, as a percentage of the usable capacity.
+ * @param {Object} tariffPeriod - The tariff period in force for this local day.
+ * @returns {Object} The action; Self-Consumption ('home') when no rule matches.
+ */
+function findRuleAction(rules, row, socPercent, tariffPeriod) {
+    const hour = row.localTime.getUTCHours();
+    const matches = (condition) => {
+        switch (condition.type) {
+            case 'hours': return condition.hours[hour];
+            case 'months': return condition.months[row.localTime.getUTCMonth()];
+            case 'soc': return socPercent >= condition.min - FLOAT_TOLERANCE && socPercent <= condition.max + FLOAT_TOLERANCE;
+            case 'import': return RULE_COMPARISONS[condition.comparison](getIntervalRates(row, tariffPeriod).importRate, condition.value);
+            case 'export': return RULE_COMPARISONS[condition.comparison](getIntervalRates(row, tariffPeriod).exportRate, condition.value);
+            case 'surplus': return RULE_COMPARISONS[condition.comparison]((row.generation - row.consumption) / HOURS_PER_INTERVAL, condition.value);
+            default: return false;
+        }
+    };
+    return rules.find(rule => rule.conditions.every(matches))?.action ?? BATTERY_ACTION_HOME;
+}
+
+/**
+ * Creates the controller of a custom strategy, which turns the matching rule's action into a battery action.
+ * @param {Object} context - The simulation context (see STRATEGIES).
+ * @param {Array<Object>} rules - The rules from `parseStrategyRules`.
+ * @returns {Function} The controller.
+ */
+function createRuleController({ params, minSoC_kWh, maxSoC_kWh }, rules) {
+    const socToKWh = (percent) => Math.max(minSoC_kWh, Math.min(maxSoC_kWh, params.usableCapacity * (percent / 100)));
+
+    return (index, row, batterySoC, tariffPeriod) => {
+        const action = findRuleAction(rules, row, params.usableCapacity > 0 ? batterySoC / params.usableCapacity * 100 : 0, tariffPeriod);
+        switch (action.type) {
+            case 'charge': return { type: 'charge', target: socToKWh(action.soc) };
+            case 'export': return { type: 'export', power: action.power, floor: action.soc === null ? minSoC_kWh : socToKWh(action.soc) };
+            default: return action;
+        }
+    };
+}
+
+
+// --- OPTIMAL DISPATCH --- //
+// The "Optimal (perfect foresight)" benchmark knows the whole year's consumption, generation and prices in advance.
+// It finds the battery schedule with the lowest unit-rate cost by dynamic programming over a grid of SoC levels,
+// with the same SoC, power, MIC, MEC and inverter limits as the other strategies. No real controller can do
+// better, so it is an upper bound on the savings; force-charge hours do not apply to it.
+
+/**
+ * Lists the battery moves allowed in one interval: a whole number of SoC steps up or down, within the charge
+ * and discharge power. The idle move comes first so it wins ties.
+ * @param {Object} params - The simulation parameters.
+ * @param {number} step - The SoC step (kWh).
+ * @param {number} efficiencySqrt - The flat one-way efficiency.
+ * @returns {Array<Object>} The moves as {levels, stored, drawn, charged, delivered, efficiency}, where `charged`
+ *   and `delivered` are the energy on the supply side (AC, or DC for a hybrid system).
+ */
+function getBatteryMoves(params, step, efficiencySqrt) {
+    const moves = [{ levels: 0, stored: 0, drawn: 0, charged: 0, delivered: 0, efficiency: null }];
+    if (!(step > 0)) return moves;
+    const maxCharge = params.maxChargeRate * HOURS_PER_INTERVAL;
+    const maxDischarge = params.maxDischargeRate * HOURS_PER_INTERVAL;
+
+    for (let levels = 1; ; levels++) {
+        const stored = levels * step;
+        // The efficiency depends on the power, which depends on the efficiency: a few fixed-point passes settle it.
+        let charged = stored / efficiencySqrt;
+        for (let pass = 0; pass < 4; pass++) charged = stored / getEfficiencyAtLoad(params.chargeEfficiencyCurve, charged, params.maxChargeRate, efficiencySqrt);
+        if (charged > maxCharge + FLOAT_TOLERANCE) break;
+        moves.push({ levels, stored, drawn: 0, charged, delivered: 0, efficiency: stored / charged });
+    }
+    for (let levels = 1; ; levels++) {
+        const drawn = levels * step;
+        let delivered = drawn * efficiencySqrt;
+        for (let pass = 0; pass < 4; pass++) delivered = drawn * getEfficiencyAtLoad(params.dischargeEfficiencyCurve, delivered, params.maxDischargeRate, efficiencySqrt);
+        if (delivered > maxDischarge + FLOAT_TOLERANCE) break;
+        moves.push({ levels: -levels, stored: 0, drawn, charged: 0, delivered, efficiency: delivered / drawn });
+    }
+    return moves;
+}
+
+/**
+ * Works out the grid flows of one interval for a given battery move, following the system topology.
+ * @param {Object} row - The interval's data.
+ * @param {Object} move - A move from `getBatteryMoves`.
+ * @param {Object} params - The simulation parameters.
+ * @param {number} standbyEnergy - The standby consumption of the battery system in this interval (kWh).
+ * @returns {Object|null} {gridImport, gridExport, clippedSolar}, or null if the move breaks the MIC, MEC or
+ *   inverter limit (charging that pushes import over the MIC, or discharging into an export that is curtailed).
+ */
+function resolveBatteryMove(row, move, params, standbyEnergy) {
+    const homeConsumption = row.consumption + standbyEnergy;
+    let clippedSolar = 0;
+    let surplus; // AC energy left after the home's demand; negative when the home imports
+
+    if (params.topology === 'dc') {
+        const inverterEfficiency = params.inverterEfficiency;
+        const inverterLimit = params.inverterRating * HOURS_PER_INTERVAL;
+        const dcSurplus = row.generation / inverterEfficiency - move.charged + move.delivered;
+        if (dcSurplus >= 0) {
+            const acOutput = Math.min(dcSurplus * inverterEfficiency, inverterLimit);
+            if (move.delivered > 0 && acOutput < dcSurplus * inverterEfficiency - FLOAT_TOLERANCE) return null;
+            clippedSolar = dcSurplus * inverterEfficiency - acOutput;
+            surplus = acOutput - homeConsumption;
+        } else {
+            const acInput = -dcSurplus / inverterEfficiency;
+            if (acInput > inverterLimit + FLOAT_TOLERANCE) return null;
+            surplus = -acInput - homeConsumption;
+        }
+    } else {
+        surplus = row.generation - homeConsumption - move.charged + move.delivered;
+    }
+
+    // The battery may only cover the rest of the home while the car charges, if it must not discharge into the car.
+    if (move.delivered > 0 && params.ev.protectBattery && row.evConsumption > 0) {
+        const deliveredToHome = move.delivered * (params.topology === 'dc' ? params.inverterEfficiency : 1);
+        if (deliveredToHome > Math.max(0, homeConsumption - row.evConsumption - row.generation) + FLOAT_TOLERANCE) return null;
+    }
+
+    const gridImport = Math.max(0, -surplus);
+    let gridExport = Math.max(0, surplus);
+    if (move.charged > 0 && gridImport > params.mic * HOURS_PER_INTERVAL + FLOAT_TOLERANCE) return null;
+    if (gridExport > params.mec * HOURS_PER_INTERVAL) {
+        if (move.delivered > 0) return null;
+        clippedSolar += gridExport - params.mec * HOURS_PER_INTERVAL;
+        gridExport = params.mec * HOURS_PER_INTERVAL;
+    }
+    return { gridImport, gridExport, clippedSolar };
+}
+
+/**
+ * Finds the cheapest battery schedule for the whole dataset by backward dynamic programming over SoC levels,
+ * starting from the minimum SoC like the other strategies.
+ * @param {Array<Object>} data - The simulation data.
+ * @param {Object} params - The simulation parameters.
+ * @param {number} minSoC_kWh - The minimum SoC (kWh).
+ * @param {number} maxSoC_kWh - The maximum SoC (kWh).
+ * @param {number} efficiencySqrt - The flat one-way efficiency.
+ * @param {number} standbyEnergy - The standby consumption per interval (kWh).
+ * @param {Function|null} [onProgress=null] - Awaited with the fraction complete every `PROGRESS_INTERVAL_STEPS` intervals.
+ * @returns {Promise<Array<Object>>} The move to make in each interval.
+ */
+async function planOptimalDispatch(data, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, standbyEnergy, onProgress = null) {
+    const range = Math.max(0, maxSoC_kWh - minSoC_kWh);
+    const levelCount = Math.max(1, Math.min(OPTIMAL_SOC_LEVELS, Math.round(range / OPTIMAL_MIN_SOC_STEP)));
+    const step = range / levelCount;
+    const moves = getBatteryMoves(params, step, efficiencySqrt);
+    const stateCount = levelCount + 1;
+
+    const decisions = new Int16Array(data.length * stateCount); // Best move index for each interval and SoC level
+    let nextValues = new Float64Array(stateCount); // Cost from the next interval to the end; nothing is owed at the end
+    let values = new Float64Array(stateCount);
+    const moveCosts = new Float64Array(moves.length);
+    const periodCache = new Map();
+
+    for (let i = data.length - 1; i >= 0; i--) {
+        if (onProgress && i % PROGRESS_INTERVAL_STEPS === 0 && i < data.length - 1) {
+            await onProgress((data.length - i) / data.length);
+        }
+        const row = data[i];
+        const dayKey = row.localTime.toISOString().slice(0, 10);
+        if (!periodCache.has(dayKey)) periodCache.set(dayKey, getTariffPeriod(params.tariffSchedule, row.localTime));
+        const { importRate, exportRate } = getIntervalRates(row, periodCache.get(dayKey));
+
+        moves.forEach((move, index) => {
+            const flows = resolveBatteryMove(row, move, params, standbyEnergy);
+            moveCosts[index] = flows
+                ? flows.gridImport * importRate - flows.gridExport * exportRate
+                    + OPTIMAL_THROUGHPUT_PENALTY * (move.charged + move.delivered)
+                : Infinity;
+        });
+
+        const offset = i * stateCount;
+        for (let state = 0; state < stateCount; state++) {
+            let best = Infinity;
+            let bestMove = 0;
+            for (let m = 0; m < moves.length; m++) {
+                const next = state + moves[m].levels;
+                if (next < 0 || next >= stateCount) continue;
+                const value = moveCosts[m] + nextValues[next];
+                if (value < best) {
+                    best = value;
+                    bestMove = m;
+                }
+            }
+            values[state] = best;
+            decisions[offset + state] = bestMove;
+        }
+        [values, nextValues] = [nextValues, values];
+    }
+
+    const plan = new Array(data.length);
+    let state = 0;
+    for (let i = 0; i < data.length; i++) {
+        const move = moves[decisions[i * stateCount + state]];
+        plan[i] = move;
+        state += move.levels;
+    }
+    return plan;
+}
+
+/**
+ * Replays one interval of the optimal plan, in the same form as `runSingleTimeStep`.
+ * @param {Object} row - The interval's data.
+ * @param {number} currentSoC - The SoC at the start of the interval (kWh).
+ * @param {Object} move - The planned move.
+ * @param {Object} params - The simulation parameters.
+ * @param {number} standbyEnergy - The standby consumption of the battery system in this interval (kWh).
+ * @param {number} [diverterSpace=0] - The heat the hot-water diverter can take in this interval (kWh).
+ * @returns {Object} The results of this single time step.
+ */
+function runPlannedTimeStep(row, currentSoC, move, params, standbyEnergy, diverterSpace = 0) {
+    const { gridImport, gridExport: plannedExport, clippedSolar } = resolveBatteryMove(row, move, params, standbyEnergy);
+    // The plan is made without the diverter; it takes exported solar (not battery exports) as the plan is replayed.
+    const divertedToTank = Math.min(diverterSpace, plannedExport, Math.max(0, row.generation - row.consumption));
+    return {
+        gridImport, clippedSolar, divertedToTank,
+        gridExport: plannedExport - divertedToTank,
+        toBattery: move.charged,
+        fromBattery: move.drawn,
+        chargeEfficiency: move.charged > 0 ? move.efficiency : null,
+        dischargeEfficiency: move.delivered > 0 ? move.efficiency : null,
+        newSoC: currentSoC + move.stored - move.drawn
+    };
+}
+
+/**
+ * Calculates final summary statistics after the simulation loop is complete.
+ * @param {Object} monthlyData - Aggregated data for each month.
+ * @param {Array<Object>} detailedLog - The detailed log from the simulation.
+ * @param {number} daysInData - The days the simulated data covers (`getPeriodCoverage`).
+ * @param {Object} params - The simulation parameters.
+ * @returns {Object} The final results object.
+ */
+export function aggregateFinalResults(monthlyData, detailedLog, daysInData, params) {
+    let totalConsumption = 0, totalImportWithBattery = 0, totalExportWithBattery = 0,
+        totalSavings = 0, totalBillBefore = 0, totalBillAfter = 0, totalCharged = 0, totalDischarged = 0, totalClipped = 0, totalCheapRateImport = 0,
+        totalImportCostBefore = 0, totalExportRevenueBefore = 0, totalImportCostAfter = 0, totalExportRevenueAfter = 0,
+        totalDiverted = 0, totalHotWaterFromSolar = 0, totalWaterHeatingSaving = 0, totalExportRevenueDiverterOnly = 0, totalWaterHeatingSavingDiverterOnly = 0;
+
+    Object.values(monthlyData).forEach(m => { 
+        // The unit-rate figures compare the import cost without a battery with the net cost after it, as they always have.
+        // The export income earned without a battery and a diverter's water heating saving are only in the full-bill figures below.
+        m.savings = m.costWithoutBattery - (m.costWithBattery - m.exportRevenue);
+        totalSavings += m.savings; 
+        totalBillBefore += m.costWithoutBattery; 
+        totalBillAfter += (m.costWithBattery - m.exportRevenue); 
+        totalImportCostBefore += m.costWithoutBattery;
+        totalExportRevenueBefore += m.exportRevenueWithoutBattery;
+        totalImportCostAfter += m.costWithBattery;
+        totalExportRevenueAfter += m.exportRevenue;
+        totalConsumption += m.consumption; 
+        totalImportWithBattery += m.importWithBattery; 
+        totalExportWithBattery += m.exportWithBattery;
+        totalCharged += m.chargedToBattery;
+        totalDischarged += m.dischargedFromBattery;
+        totalClipped += m.clippedSolar;
+        totalCheapRateImport += m.cheapRateImport;
+        totalDiverted += m.divertedToTank;
+        totalHotWaterFromSolar += m.hotWaterFromSolar;
+        totalWaterHeatingSaving += m.waterHeatingSaving;
+        totalExportRevenueDiverterOnly += m.exportRevenueDiverterOnly;
+        totalWaterHeatingSavingDiverterOnly += m.waterHeatingSavingDiverterOnly;
+    });
+    
+    const scalingFactor = daysInData > 0 ? DAYS_IN_YEAR / daysInData : 1;
+
+    const annualSavings = totalSavings * scalingFactor;
+
+    // Complete bills for a full year, including standing charges, PSO levy, VAT, discounts and credits.
+    const fullBillBefore = calculateFullBill(totalImportCostBefore * scalingFactor, totalExportRevenueBefore * scalingFactor, params.bill, DAYS_IN_YEAR);
+    const fullBillAfter = calculateFullBill(totalImportCostAfter * scalingFactor, totalExportRevenueAfter * scalingFactor, params.bill, DAYS_IN_YEAR);
+    const annualWaterHeatingSaving = totalWaterHeatingSaving * scalingFactor;
+    // Without the battery the diverter only gives up export income, so the import charges are the same as before.
+    const fullBillDiverterOnly = calculateFullBill(totalImportCostBefore * scalingFactor, totalExportRevenueDiverterOnly * scalingFactor, params.bill, DAYS_IN_YEAR);
+    // The battery is measured against the same home without it, which keeps its diverter if it has one.
+    // The diverter's own saving is reported separately, so only the change the battery makes to it counts here.
+    const withoutBattery = params.diverter.enabled
+        ? { fullBill: fullBillDiverterOnly, waterHeatingSaving: totalWaterHeatingSavingDiverterOnly * scalingFactor }
+        : { fullBill: fullBillBefore, waterHeatingSaving: 0 };
+    const annualSavingsFullBill = withoutBattery.fullBill.total - fullBillAfter.total + (annualWaterHeatingSaving - withoutBattery.waterHeatingSaving);
+
+    // Income tax on Clean Export Guarantee income above the tax-free allowance, with and without the battery.
+    const exportTaxBefore = calculateExportTax(withoutBattery.fullBill.exportCredit, params.incentives);
+    const exportTaxAfter = calculateExportTax(fullBillAfter.exportCredit, params.incentives);
+    const annualSavingsNetOfTax = annualSavingsFullBill - (exportTaxAfter - exportTaxBefore);
+    const netCost = params.netSystemCost;
+
+    return { 
+        annualSavings: annualSavings, 
+        paybackPeriod: (params.systemCost > 0 && annualSavings > 0 ? params.systemCost / annualSavings : Infinity), // Before grants, as it always was
+        annualSavingsFullBill: annualSavingsFullBill,
+        paybackPeriodFullBill: (netCost > 0 && annualSavingsFullBill > 0 ? netCost / annualSavingsFullBill : Infinity),
+        exportTaxBefore: exportTaxBefore,
+        exportTaxAfter: exportTaxAfter,
+        annualSavingsNetOfTax: annualSavingsNetOfTax,
+        paybackPeriodNetOfTax: (netCost > 0 && annualSavingsNetOfTax > 0 ? netCost / annualSavingsNetOfTax : Infinity),
+        selfSufficiency: totalConsumption > 0 ? (1 - (totalImportWithBattery / totalConsumption)) * 100 : 0, 
+        annualBillBefore: totalBillBefore * scalingFactor, 
+        annualBillAfter: totalBillAfter * scalingFactor, 
+        fullBillBefore: fullBillBefore,
+        fullBillAfter: fullBillAfter,
+        annualImportAfter: totalImportWithBattery * scalingFactor,
+        annualExportAfter: totalExportWithBattery * scalingFactor,
+        annualClippedSolar: totalClipped * scalingFactor,
+        annualCheapRateImport: totalCheapRateImport * scalingFactor, // Grid import during force-charge hours
+        annualWaterHeatingSaving,
+        withoutBattery, // The baseline of the battery's full-bill savings: {fullBill, waterHeatingSaving}
+        // The hot-water diverter with the battery, and on its own (the same home without the battery).
+        // Its savings are against the home with neither.
+        diverter: params.diverter.enabled ? {
+            annualDiverted: totalDiverted * scalingFactor,
+            annualHotWaterFromSolar: totalHotWaterFromSolar * scalingFactor,
+            annualSavingsWithoutBattery: fullBillBefore.total - fullBillDiverterOnly.total + withoutBattery.waterHeatingSaving,
+            annualSavingsWithBattery: fullBillBefore.total - fullBillAfter.total + annualWaterHeatingSaving
+        } : null,
+        // Equivalent full cycles: the average of the energy charged and discharged, divided by the usable capacity.
+        annualCycles: params.usableCapacity > 0 ? ((totalCharged + totalDischarged) / 2) * scalingFactor / params.usableCapacity : 0,
+        lifetime: calculateLifetimeFinancials([splitAnnualSavings(withoutBattery.fullBill, fullBillAfter, params.bill, annualWaterHeatingSaving - withoutBattery.waterHeatingSaving)], params),
+        daysSimulated: daysInData,
+        annualisationFactor: scalingFactor, // The factor the totals were multiplied by to give annual figures
+        monthlyData, 
+        detailedLog: detailedLog
+    };
+}
+
+/**
+ * Builds a complete electricity bill from the unit-rate costs of a billing period.
+ * Unit charges are discounted, standing charges and the PSO levy are added, VAT is applied to the total,
+ * and then one-off credits and export income (which carries no VAT) are deducted.
+ * @param {number} importCost - The cost of imported energy at the entered unit rates (€).
+ * @param {number} exportRevenue - The income from exported energy (€).
+ * @param {Object} bill - The bill parameters from `getSimulationParameters`.
+ * @param {number} days - The number of days in the billing period.
+ * @returns {Object} The bill broken into its components, with the grand total in `total`.
+ */
+export function calculateFullBill(importCost, exportRevenue, bill, days) {
+    const vatMultiplier = 1 + bill.vatRate / 100;
+    // Convert VAT-inclusive inputs to net amounts so VAT is applied once, after any discount.
+    const toNet = (value) => bill.pricesIncludeVat ? value / vatMultiplier : value;
+    const months = days / (DAYS_IN_YEAR / 12);
+
+    const unitCharges = toNet(importCost) * (1 - bill.unitDiscount / 100);
+    const standingCharges = toNet(bill.standingChargePerDay) * days;
+    const psoLevy = toNet(bill.psoLevyPerMonth) * months;
+    const vat = (unitCharges + standingCharges + psoLevy) * (bill.vatRate / 100);
+    const credits = bill.oneOffCredits * (days / DAYS_IN_YEAR);
+
+    return {
+        unitCharges,
+        standingCharges,
+        psoLevy,
+        vat,
+        credits,
+        exportCredit: exportRevenue,
+        total: unitCharges + standingCharges + psoLevy + vat - credits - exportRevenue
+    };
+}
+
+/**
+ * Calculates the income tax on a year's Clean Export Guarantee (CEG) income. The first part of the income
+ * (the tax-free allowance, €400 a year at the time of writing) is exempt; the rest is taxed at the marginal rate.
+ * @param {number} exportIncome - The export income for the year (€).
+ * @param {Object} incentives - The incentive parameters (uses `cegTaxFreeAllowance` and `marginalTaxRate`).
+ * @returns {number} The tax due (€).
+ */
+export function calculateExportTax(exportIncome, incentives) {
+    return Math.max(0, exportIncome - incentives.cegTaxFreeAllowance) * (incentives.marginalTaxRate / 100);
+}
+
+
+// --- LIFETIME FINANCIALS --- //
+// The first year's savings are projected over the analysis period. Import savings grow with the electricity
+// price escalation and export income with the export rate change; export income is taxed each year above the
+// CEG allowance. Loan repayments are paid from the savings, and only the part of the cost (after grants) not
+// covered by the loan is paid up front (year 0).
+
+/**
+ * Splits the first year's full-bill savings into the part from lower import charges (including VAT)
+ * and the export income with and without the battery, because the two change at different rates over time
+ * and export income is taxed above an allowance.
+ * Standing charges, the PSO levy and credits are the same with and without a battery, so they cancel out.
+ * @param {Object} fullBillBefore - The annual bill without a battery (from `calculateFullBill`), with the diverter if there is one.
+ * @param {Object} fullBillAfter - The annual bill with the battery.
+ * @param {Object} bill - The bill parameters.
+ * @param {number} [waterHeatingSaving=0] - The change the battery makes to the water heating cost avoided by a
+ *   hot-water diverter (€), which is counted with the import savings and rises with energy prices.
+ * @returns {Object} {importSavings, exportIncomeBefore, exportIncomeAfter} in € for the first year.
+ */
+function splitAnnualSavings(fullBillBefore, fullBillAfter, bill, waterHeatingSaving = 0) {
+    return {
+        importSavings: (fullBillBefore.unitCharges - fullBillAfter.unitCharges) * (1 + bill.vatRate / 100) + waterHeatingSaving,
+        exportIncomeBefore: fullBillBefore.exportCredit,
+        exportIncomeAfter: fullBillAfter.exportCredit
+    };
+}
+
+/**
+ * Calculates the extra export income from the battery after income tax.
+ * @param {Object} split - The savings split from `splitAnnualSavings`.
+ * @param {Object} incentives - The incentive parameters.
+ * @param {number} [growth=1] - The factor by which export rates have changed since the first year.
+ * @returns {number} The after-tax export gain (€).
+ */
+function calculateNetExportGain(split, incentives, growth = 1) {
+    const before = split.exportIncomeBefore * growth;
+    const after = split.exportIncomeAfter * growth;
+    return (after - calculateExportTax(after, incentives)) - (before - calculateExportTax(before, incentives));
+}
+
+/**
+ * Calculates the loan repayments in each year of the analysis, for a loan repaid in equal monthly instalments.
+ * @param {number} amount - The amount borrowed (€).
+ * @param {number} aprPercent - The annual percentage rate (%).
+ * @param {number} termYears - The term of the loan in years.
+ * @param {number} years - The length of the analysis in years.
+ * @returns {Array<number>} The total repaid in each year, for years 1 to `years` (index 0 is year 1).
+ */
+export function calculateLoanRepayments(amount, aprPercent, termYears, years) {
+    const repayments = Array(years).fill(0);
+    const months = Math.round(termYears * 12);
+    if (amount <= 0 || months <= 0) return repayments;
+
+    const monthlyRate = aprPercent / 100 / 12;
+    const monthlyPayment = monthlyRate > 0 ? amount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months)) : amount / months;
+    for (let month = 0; month < months; month++) {
+        const yearIndex = Math.floor(month / 12);
+        if (yearIndex < years) repayments[yearIndex] += monthlyPayment;
+    }
+    return repayments;
+}
+
+/**
+ * Calculates the net present value of a series of yearly cash flows.
+ * @param {Array<number>} cashFlows - The cash flows, starting with year 0 (not discounted).
+ * @param {number} rate - The discount rate as a fraction (e.g. 0.04).
+ * @returns {number} The net present value (€).
+ */
+function calculateNpv(cashFlows, rate) {
+    return cashFlows.reduce((npv, cashFlow, year) => npv + cashFlow / Math.pow(1 + rate, year), 0);
+}
+
+/**
+ * Finds the internal rate of return (the discount rate at which the NPV is zero) by bisection.
+ * @param {Array<number>} cashFlows - The cash flows, starting with year 0.
+ * @returns {number|null} The IRR as a fraction, or null if the cash flows have no IRR (e.g. they never turn positive).
+ */
+function calculateIrr(cashFlows) {
+    let low = -0.99;
+    let high = 10;
+    let npvLow = calculateNpv(cashFlows, low);
+    if (npvLow * calculateNpv(cashFlows, high) > 0) return null;
+
+    for (let i = 0; i < 200 && high - low > 1e-7; i++) {
+        const mid = (low + high) / 2;
+        const npvMid = calculateNpv(cashFlows, mid);
+        if (npvLow * npvMid <= 0) {
+            high = mid;
+        } else {
+            low = mid;
+            npvLow = npvMid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Finds when the cumulative cash flow turns positive for good, interpolating within the year.
+ * @param {Array<number>} cashFlows - The (discounted) cash flows, starting with year 0.
+ * @returns {number} The payback in years, 0 if never negative, or Infinity if not reached within the analysis.
+ */
+function calculatePaybackYears(cashFlows) {
+    const cumulative = [];
+    cashFlows.reduce((total, cashFlow) => { cumulative.push(total + cashFlow); return total + cashFlow; }, 0);
+
+    let lastNegativeYear = -1;
+    cumulative.forEach((total, year) => { if (total < 0) lastNegativeYear = year; });
+    if (lastNegativeYear === -1) return 0;
+    if (lastNegativeYear === cumulative.length - 1) return Infinity;
+    return lastNegativeYear + (-cumulative[lastNegativeYear] / cashFlows[lastNegativeYear + 1]);
+}
+
+/**
+ * Builds the lifetime cash flows of a battery and the investment measures derived from them.
+ * @param {Array<Object>} yearlySavings - The savings of each year at today's prices (as from `splitAnnualSavings`),
+ *   e.g. from a degradation projection. The last entry is used for any later years, so a single entry means no change.
+ * @param {Object} params - The simulation parameters (uses `netSystemCost`, `lifetime` and `incentives`).
+ * @returns {Object} The yearly cash flows and the NPV, IRR, discounted payback and total net cash flow.
+ */
+export function calculateLifetimeFinancials(yearlySavings, params) {
+    const { years, discountRate, priceEscalation, exportRateChange, loanAmount, loanApr, loanTerm } = params.lifetime;
+    const loanRepayments = calculateLoanRepayments(loanAmount, loanApr, loanTerm, years);
+    const rate = discountRate / 100;
+
+    const cashFlows = [-(params.netSystemCost - loanAmount)];
+    const yearly = [{ year: 0, savings: 0, loanRepayment: 0, netCashFlow: cashFlows[0] }];
+    for (let year = 1; year <= years; year++) {
+        const split = yearlySavings[Math.min(year, yearlySavings.length) - 1];
+        const savings = split.importSavings * Math.pow(1 + priceEscalation / 100, year - 1)
+            + calculateNetExportGain(split, params.incentives, Math.pow(1 + exportRateChange / 100, year - 1));
+        const loanRepayment = loanRepayments[year - 1];
+        cashFlows.push(savings - loanRepayment);
+        yearly.push({ year, savings, loanRepayment, netCashFlow: savings - loanRepayment });
+    }
+
+    let cumulative = 0;
+    let discountedCumulative = 0;
+    yearly.forEach(entry => {
+        cumulative += entry.netCashFlow;
+        discountedCumulative += entry.netCashFlow / Math.pow(1 + rate, entry.year);
+        entry.cumulativeCashFlow = cumulative;
+        entry.discountedCumulativeCashFlow = discountedCumulative;
+    });
+
+    return {
+        yearly,
+        npv: calculateNpv(cashFlows, rate),
+        irr: calculateIrr(cashFlows),
+        discountedPayback: calculatePaybackYears(cashFlows.map((cashFlow, year) => cashFlow / Math.pow(1 + rate, year))),
+        totalNetCashFlow: cumulative
+    };
+}
+
+
+// --- DEGRADATION --- //
+// Usable capacity fades with age (calendar fade) and with use (cycle fade, from the energy put through the battery).
+// The simulation is repeated at a few faded capacities; the savings and cycles of any capacity in between are
+// interpolated, and the capacity is projected year by year. Round-trip efficiency and power limits stay the same.
+
+/**
+ * Checks whether the degradation settings fade the battery at all.
+ * @param {Object} params - The simulation parameters.
+ * @returns {boolean} True if there is calendar or cycle fade.
+ */
+export function hasDegradation(params) {
+    return params.degradation.calendarFade > 0 || params.degradation.cycleFade > 0;
+}
+
+/**
+ * Lists the extra simulations needed for the degradation projection of one strategy: the same system with
+ * its usable capacity faded to each of `DEGRADATION_CAPACITY_FRACTIONS`.
+ * @param {Object} params - The simulation parameters of the strategy.
+ * @returns {Array<Object>} The runs, each as {fraction, params}.
+ */
+export function getDegradationRuns(params) {
+    return DEGRADATION_CAPACITY_FRACTIONS.map(fraction => ({
+        fraction,
+        params: { ...params, usableCapacity: params.usableCapacity * fraction }
+    }));
+}
+
+/**
+ * Interpolates (or extrapolates) the savings and cycles at a capacity fraction between the simulated points.
+ * @param {Array<Object>} points - {fraction, importSavings, exportIncomeBefore, exportIncomeAfter, cycles},
+ *   sorted by descending fraction.
+ * @param {number} fraction - The remaining fraction of the original usable capacity.
+ * @returns {Object} The interpolated {importSavings, exportIncomeBefore, exportIncomeAfter, cycles}.
+ */
+function interpolateDegradationPoint(points, fraction) {
+    let index = points.findIndex(point => point.fraction <= fraction);
+    if (index === -1) index = points.length - 1; // Below the lowest point: extend the last segment.
+    if (index === 0) return points[0];
+
+    const upper = points[index - 1];
+    const lower = points[index];
+    const weight = (upper.fraction - fraction) / (upper.fraction - lower.fraction);
+    const mix = key => upper[key] + (lower[key] - upper[key]) * weight;
+    return {
+        importSavings: mix('importSavings'),
+        exportIncomeBefore: mix('exportIncomeBefore'),
+        exportIncomeAfter: mix('exportIncomeAfter'),
+        cycles: Math.max(0, mix('cycles'))
+    };
+}
+
+/**
+ * Projects the usable capacity and savings of a battery year by year.
+ * Each year's savings and cycles are those of the capacity at the start of the year.
+ * @param {Object} result - The full-capacity result of `runSimulation`.
+ * @param {Array<Object>} fadedResults - The results of the runs from `getDegradationRuns`, in the same order.
+ * @param {Object} params - The simulation parameters (uses `degradation`, `lifetime`, `bill` and `incentives`).
+ * @returns {Object} The yearly projection, the capacity at the end of the warranty and the year the battery
+ *   falls below the end-of-warranty capacity (null if not within the projection).
+ */
+export function projectDegradation(result, fadedResults, params) {
+    const { calendarFade, cycleFade, warrantyYears, endOfWarrantyCapacity } = params.degradation;
+    const toPoint = (fraction, r) => ({ fraction, cycles: r.annualCycles, ...splitAnnualSavings(r.withoutBattery.fullBill, r.fullBillAfter, params.bill, r.annualWaterHeatingSaving - r.withoutBattery.waterHeatingSaving) });
+    const points = [toPoint(1, result), ...fadedResults.map((r, index) => toPoint(DEGRADATION_CAPACITY_FRACTIONS[index], r))];
+
+    const years = Math.max(params.lifetime.years, warrantyYears);
+    const yearly = [];
+    let capacityPercent = 100;
+    let yearBelowEndOfWarranty = null;
+
+    for (let year = 1; year <= years; year++) {
+        const point = interpolateDegradationPoint(points, capacityPercent / 100);
+        const startCapacityPercent = capacityPercent;
+        capacityPercent = Math.max(0, capacityPercent - calendarFade - point.cycles * cycleFade / 1000);
+        if (yearBelowEndOfWarranty === null && capacityPercent < endOfWarrantyCapacity) yearBelowEndOfWarranty = year;
+
+        yearly.push({
+            year,
+            startCapacityPercent,
+            endCapacityPercent: capacityPercent,
+            cycles: point.cycles,
+            importSavings: point.importSavings,
+            exportIncomeBefore: point.exportIncomeBefore,
+            exportIncomeAfter: point.exportIncomeAfter,
+            savings: point.importSavings + calculateNetExportGain(point, params.incentives), // At today's prices, after tax
+            isWithinWarranty: year <= warrantyYears
+        });
+    }
+
+    return {
+        yearly,
+        warrantyYears,
+        endOfWarrantyCapacity,
+        capacityAtWarrantyEnd: warrantyYears > 0 ? yearly[warrantyYears - 1].endCapacityPercent : 100,
+        yearBelowEndOfWarranty,
+        isBelowWithinWarranty: yearBelowEndOfWarranty !== null && yearBelowEndOfWarranty <= warrantyYears
+    };
+}
+
+/**
+ * Adds the degradation projection to a result and recalculates its lifetime financials with the faded savings.
+ * @param {Object} result - The full-capacity result of `runSimulation`; it is updated in place.
+ * @param {Array<Object>} fadedResults - The results of the runs from `getDegradationRuns`, in the same order.
+ * @param {Object} params - The simulation parameters.
+ * @returns {Object} The updated result.
+ */
+export function applyDegradation(result, fadedResults, params) {
+    result.degradation = projectDegradation(result, fadedResults, params);
+    result.lifetime = calculateLifetimeFinancials(result.degradation.yearly, params);
+    return result;
+}
+
+
+// --- OPTIMISATION --- //
+
+/**
+ * Lists the battery sizes tested by the optimisation sweep, including the user's selected size.
+ * @param {number} selectedSize - The battery size entered by the user (kWh).
+ * @returns {Array<number>} The sizes to test, in ascending order.
+ */
+function getOptimizationSizes(selectedSize) {
+    const sizesToTest = [...OPTIMIZATION_SIZES];
+    // Ensure the user's selected size is in the test set
+    if (!sizesToTest.includes(selectedSize)) {
+        sizesToTest.push(selectedSize);
+        sizesToTest.sort((a, b) => a - b);
+    }
+    return sizesToTest;
+}
+
+/**
+ * Lists every battery size and strategy combination of the optimisation sweep.
+ * The runs do not depend on each other, so they can be simulated in any order or in parallel.
+ * @param {Object} baseParams - The user's original simulation parameters.
+ * @returns {Array<Object>} The runs of the built-in strategies, each as {size, strategy, key, params}.
+ */
+export function getOptimizationRuns(baseParams) {
+    return getOptimizationSizes(baseParams.batteryCapacity).flatMap(size =>
+        STRATEGIES.map(strategy => ({
+            size,
+            strategy: strategy.id,
+            key: strategy.key,
+            params: {
+                ...baseParams,
+                strategy: strategy.id,
+                batteryCapacity: size,
+                usableCapacity: size * (baseParams.usableCapacityPercent / 100)
+            }
+        }))
+    );
+}
+
+/**
+ * Groups the annual savings of the optimisation runs into one savings curve per strategy.
+ * @param {Array<Object>} runs - The runs from `getOptimizationRuns`.
+ * @param {Array<number>} savings - The annual savings of each run, in the same order as `runs`.
+ * @returns {Object} The curves ({selfConsumptionResults, ..., sizes}), each an array of {size, savings}.
+ */
+export function collectOptimizationResults(runs, savings) {
+    const optimizationData = {};
+    STRATEGIES.forEach(strategy => { optimizationData[`${strategy.key}Results`] = []; });
+    runs.forEach((run, index) => {
+        optimizationData[`${run.key}Results`].push({ size: run.size, savings: savings[index] });
+    });
+    optimizationData.sizes = [...new Set(runs.map(run => run.size))];
+    return optimizationData;
+}
+
+/**
+ * Runs the simulation for a range of battery sizes to find the optimal one.
+ * The runs are made one after another; the page spreads them over its simulation workers instead.
+ * @param {Array<Object>} data - The time-series data.
+ * @param {Object} baseParams - The user's original simulation parameters.
+ * @returns {Promise<Object>} The savings curves from `collectOptimizationResults`.
+ */
+export async function runOptimizationAnalysis(data, baseParams) {
+    const runs = getOptimizationRuns(baseParams);
+    const savings = [];
+    for (const run of runs) {
+        savings.push((await runSimulation(data, run.params)).annualSavings);
+    }
+    return collectOptimizationResults(runs, savings);
+}
+
+
+// --- FILE OUTPUT --- //
+
+/**
+ * Formats a Date object into the DD-MM-YYYY HH:MM format required for HDF files.
+ * @param {Date} date - The wall-clock Date to format (its UTC getters hold Irish local time).
+ * @returns {string} The formatted date string.
+ */
+export function formatDateForHDF(date) {
+    const pad = (num) => num.toString().padStart(2, '0');
+    const day = pad(date.getUTCDate());
+    const month = pad(date.getUTCMonth() + 1); // getUTCMonth() is 0-indexed
+    const year = date.getUTCFullYear();
+    const hours = pad(date.getUTCHours());
+    const minutes = pad(date.getUTCMinutes());
+    return `${day}-${month}-${year} ${hours}:${minutes}`;
+}
+
+/**
+ * Creates the interval-by-interval results CSV of a simulation.
+ * @param {Array<Object>} detailedLog - The detailed log from `runSimulation`.
+ * @returns {string} The CSV text.
+ */
+export function createResultsCsv(detailedLog) {
+    const headers = ["Timestamp (UTC)", "Local Time (Europe/Dublin)", "Consumption (kWh)", "Generation (kWh)", "Grid Import (kWh)", "Grid Export (kWh)", "Battery Charge (kWh)", "Battery Discharge (kWh)", "Battery SoC (kWh)", "Charge Efficiency (%)", "Discharge Efficiency (%)", "Standby (kWh)", "Clipped PV (kWh)", "Diverted to Hot Water (kWh)", "Hot Water Tank Heat (kWh)", "Data Repair"]; 
+    const pad = (num) => num.toString().padStart(2, '0');
+
+    // Format timestamps to a more standard and sortable format
+    const formatTimestamp = (ts) => `${ts.getUTCFullYear()}-${pad(ts.getUTCMonth() + 1)}-${pad(ts.getUTCDate())} ${pad(ts.getUTCHours())}:${pad(ts.getUTCMinutes())}:00`;
+
+    const rows = detailedLog.map(log => {
+        return [ 
+            formatTimestamp(log.timestamp), 
+            formatTimestamp(log.localTime), 
+            log.consumption.toFixed(4), 
+            log.generation.toFixed(4), 
+            log.gridImport.toFixed(4), 
+            log.gridExport.toFixed(4), 
+            log.batteryCharge.toFixed(4), 
+            log.batteryDischarge.toFixed(4), 
+            log.batterySoC.toFixed(4),
+            log.chargeEfficiency === null ? '' : (log.chargeEfficiency * 100).toFixed(1),
+            log.dischargeEfficiency === null ? '' : (log.dischargeEfficiency * 100).toFixed(1),
+            log.standbyConsumption.toFixed(4),
+            log.clippedSolar.toFixed(4),
+            log.divertedToTank.toFixed(4),
+            log.tankHeat.toFixed(4),
+            log.dataRepair ?? ''
+        ].join(',');
+    });
+
+    return [headers.join(','), ...rows].join('\n'); 
+}
+
+/**
+ * Creates a new HDF-compatible CSV holding the simulated grid import and export of a simulation.
+ * The file is anonymous: it uses a generic MPRN and meter serial number.
+ * @param {Array<Object>} detailedLog - The detailed log from `runSimulation`.
+ * @returns {string} The CSV text.
+ */
+export function createSimulatedHdfCsv(detailedLog) {
+    const headers = "MPRN,Meter Serial Number,Read Value,Read Type,Read Date and End Time";
+    const rows = [];
+
+    detailedLog.forEach(log => {
+        // --- *** FIX *** ---
+        // The log.timestamp is the START of the interval (e.g., 01:30).
+        // The HDF format requires the END of the interval (e.g., 02:00).
+        // We must add 30 minutes back before formatting.
+        // The addition is done on the true instant and then written in Irish local time,
+        // so the clock-change days keep their 46 or 50 intervals like a real HDF.
+        const intervalEndTime = new Date(log.timestamp.getTime() + THIRTY_MINUTES_MS);
+        const formattedTimestamp = formatDateForHDF(toDublinWallClock(intervalEndTime));
+        // --- *** END FIX ---
+
+        // Create the Active Import row
+        const importRow = [
+            GENERIC_MPRN,
+            GENERIC_METER_ID,
+            log.gridImport.toFixed(4),
+            "Active Import Interval (kWh)",
+            formattedTimestamp
+        ].join(',');
+
+        // Create the Active Export row
+        const exportRow = [
+            GENERIC_MPRN,
+            GENERIC_METER_ID,
+            log.gridExport.toFixed(4),
+            "Active Export Interval (kWh)",
+            formattedTimestamp
+        ].join(',');
+
+        rows.push(importRow);
+        rows.push(exportRow);
+    });
+
+    return [headers, ...rows].join('\n');
+}
+
+
+// --- ENGINE TASKS --- //
+
+/**
+ * Runs one unit of work for a simulation worker, or for the main thread when workers are unavailable.
+ * The context keeps the prepared dataset between tasks, so it is only sent to each worker once.
+ * Task types:
+ *  - `prepare`: parses the HDF (and optional PVGIS) text and keeps the data of the simulation `period`,
+ *    checked and repaired as set by `dataQuality`. The prices in `priceText` (a dynamic price CSV) are attached,
+ *    and the heat pump and EV in `params` are added, so the page does none of this work on its main thread.
+ *    The result is that of `prepareSimulationData`, with the data including the added loads and with
+ *    `dynamicPrices` (from `applyDynamicPrices`), `dataWithoutHeatPump`, `heatPump` and `ev` (from `applyAddedLoads`).
+ *  - `setData`: keeps a dataset that was prepared elsewhere, and optionally named variants of it
+ *    (e.g. `withoutHeatPump`, or one calendar year for the year-over-year comparison).
+ *  - `simulate`: runs one simulation, on the named `variant` of the dataset if given. The detailed log is
+ *    dropped unless `includeLog` is set, which keeps the results of the optimisation sweep small.
+ * @param {Object} task - The task, with a `type` and its inputs.
+ * @param {Object} context - State shared by the tasks of one worker.
+ * @param {Function} [onProgress] - Called with the completed fraction (0-1) during a simulation.
+ * @returns {Promise<Object|null>} The result of the task.
+ */
+export async function runTask(task, context, onProgress = null) {
+    switch (task.type) {
+        case 'prepare': {
+            const prepared = prepareSimulationData(task.hdfText, task.pvgisText, task.period, task.dataQuality);
+            // Dynamic prices are attached to the data, so every strategy and the "before" bill use them.
+            const priced = task.priceText != null ? applyDynamicPrices(prepared.data, parseDynamicPriceCsv(task.priceText)) : { data: prepared.data, summary: null };
+            // The heat pump and EV are added before any simulation, so every strategy and the "before" figures include them.
+            const loads = task.params ? applyAddedLoads(priced.data, task.params) : { data: priced.data, dataWithoutHeatPump: null, heatPump: null, ev: null };
+            context.data = loads.data;
+            context.variants = loads.dataWithoutHeatPump ? { withoutHeatPump: loads.dataWithoutHeatPump } : {};
+            return { ...prepared, ...loads, dynamicPrices: priced.summary };
+        }
+        case 'setData':
+            context.data = task.data;
+            context.variants = task.variants || {};
+            return null;
+        case 'simulate': {
+            const data = task.variant ? context.variants?.[task.variant] : context.data;
+            if (!data) throw new Error('No data has been loaded for the simulation.');
+            const result = await runSimulation(data, task.params, onProgress);
+            if (!task.includeLog) delete result.detailedLog;
+            return result;
+        }
+        default:
+            throw new Error(`Unknown engine task: ${task.type}`);
+    }
+}
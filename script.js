@@ -5,8 +5,115 @@
  * the potential savings and performance of a battery system.
  *
  * @author Your Name/Team
- * @version 2.6.1
+ * @version 2.31.0
  * @changelog
+ * - v2.31.0:
+ * - (Feature) parseHDF reads the other ESB Networks interval downloads: readings in kW are converted to kWh, and 15-minute readings are added up into 30-minute intervals. The interval length is found from the step between readings.
+ * - (Feature) Daily totals and register snapshots are rejected with an error naming the download to choose instead.
+ * - (Fix) Reactive import and export readings are no longer added to the consumption and generation.
+ * - (UI) The Data Quality card says when the file was converted.
+ * - v2.30.0:
+ * - (Feature) Data-quality check: after parsing, the simulation period is checked for missing half-hours, readings listed twice, impossible readings (below zero, imports above the MIC or exports above the MEC) and flat-lines of 12 hours or more, such as zero-filled outage days or estimated reads (checkDataQuality in engine.js). parseHDF now counts a reading listed twice only once and reports the rows it skips.
+ * - (Feature) Flagged half-hours can be left as they are, interpolated, or copied from the same weekday of a neighbouring week (repairData). The repair is recorded in the results, in a Data Repair column of the results CSV and in summary.csv.
+ * - (UI) A Data Quality card with a calendar of the affected days, and a warning when problems are found and left unrepaired.
+ * - (Note) The annual figures are scaled by the days from the first to the last interval (getPeriodCoverage), so missing half-hours left unrepaired count as zero instead of inflating the annualisation factor. The note under the comparison table says how many were left missing.
+ * - v2.29.0:
+ * - (Feature) Simulation period: the last 12 full months (as before), all the data in the file, or a custom range of days (selectSimulationPeriod in engine.js). Files longer than a year can now be used in full.
+ * - (Feature) Year-over-year comparison: each calendar year of the period is also simulated on its own and shown in its own column, with the bill before and every strategy's savings.
+ * - (UI) A note under the comparison table gives the simulated days and, when they are not a whole year, the factor the totals were multiplied by to give the annual figures. The results include daysSimulated and annualisationFactor; summary.csv gains Period, Days Simulated and Annualisation Factor columns and the command line takes --from, --to and --years.
+ * - v2.28.0:
+ * - (Feature) Dynamic prices: a CSV of 30-minute or hourly import (and optionally export) prices, such as SEMO day-ahead prices, is read by parseDynamicPriceCsv and attached to each interval (applyDynamicPrices). The costs of every strategy, the optimal benchmark, the custom rule price conditions and the "before" bill use the interval's price (getIntervalRates) instead of the hourly rate.
+ * - (Feature) Export Arbitrage plans each day from that day's prices, averaged per hour (getDayTariffPeriod).
+ * - (UI) A Dynamic Prices section under Financials, a warning when the file does not cover all the data, and the average prices and coverage in the "before" summary. The command line takes the file with --prices.
+ * - (Performance) The price file is read and attached, and the heat pump and EV loads are added, by the worker's prepare task (runTask in engine.js) instead of on the page's main thread.
+ * - v2.27.0:
+ * - (Feature) Hot-water immersion diverter: tank size, element power, daily hot water use and a priority (battery first or tank first). Step 4 of runSingleTimeStep sends surplus solar to the tank before or after the battery, and runSimulation tracks the heat in the tank.
+ * - (Feature) The water heating cost avoided (oil, gas or electric, in € per kWh of hot water) counts as a saving, including in the lifetime analysis.
+ * - (UI) The comparison table shows the savings of the battery only and the diverter only, the solar sent to hot water and the heating cost avoided. The results CSV and summary.csv include them.
+ * - (Note) With a diverter, the battery's savings, payback and lifetime figures compare the home with the battery and the diverter against the home with the diverter only, so the diverter's own saving is not credited to the battery. The savings of both together are shown separately.
+ * - v2.26.0:
+ * - (Feature) Heat pump: annual heat demand, SCOP and a daily heating profile add the heat pump's electricity to the consumption (addHeatPumpLoad in engine.js), spread over the year with Irish heating degree days (degree-days.js).
+ * - (UI) With a heat pump, the "before" summary shows the bill without it, and the comparison table shows each strategy's savings and bill without it. The strategies are simulated on both datasets (setData variants in the engine tasks).
+ * - (CLI) The results JSON and summary.csv include the heat pump totals and the figures without the heat pump.
+ * - v2.25.0:
+ * - (Feature) EV charging: annual mileage, efficiency, charger power, home-charging days and a charging window add a synthetic charging load to the consumption (addEvLoad in engine.js) before any simulation.
+ * - (Feature) Options to charge the car from surplus solar first and to stop the battery discharging into the car (also respected by the optimal benchmark).
+ * - (UI) The "before" summary shows the EV's annual energy and its solar share. The command line applies the same EV settings.
+ * - v2.24.0:
+ * - (Refactor) Strategy registry: each strategy is one entry in STRATEGIES (engine.js) with its id, name, description, chart colour, required force-charge hours, own inputs and a controller that picks the battery action for each interval. The simulation step carries out the action instead of checking strategy names.
+ * - (Refactor) The strategy radios, option panels, comparison table, HDF buttons, daily view, CSV export, charts and degradation table are built from the registry and the custom strategies.
+ * - (Refactor) Figures that are the same for every strategy come from the first real strategy in the registry, and Smart Charge is compared with the baseline its entry names (`baseline`), so no strategy key is hard-coded. The no-force-charge-hours warning lists every strategy that needs them.
+ * - (UI) The force-charge hours error names the strategy; missed force charges are shown in the monthly summary for every strategy that has any.
+ * - v2.23.0:
+ * - (Feature) Custom strategies: ordered rules written in a strategy editor, e.g. "hours 17-19 and soc 40-100 => export 3 to 40". Conditions cover time windows, months, SoC, prices and solar surplus; actions charge from the grid, hold, discharge to the home or export.
+ * - (Feature) Custom strategies are simulated next to the built-in ones and appear in the comparison table, the daily view, the CSV export and the HDF downloads. They are saved with profiles and scenario links.
+ * - v2.22.0:
+ * - (Feature) "Export Arbitrage" strategy: ranks each day's hourly import and export rates, charges from the grid in the cheapest hours and exports in the best-paid hours while the margin beats the round-trip losses. Exports respect the MEC and stop at a reserve SoC kept for the home.
+ * - (Fix) Smart Charge no longer shares its chart colour with Self-Consumption.
+ * - v2.21.0:
+ * - (Feature) "Smart Charge" strategy: the Import Minimiser with a charge target. At the start of each force-charge window it forecasts the next 24 hours of usage and solar (previous day, same-weekday average or perfect foresight) and charges only what the battery is expected to need, plus a buffer.
+ * - (UI) A note under the comparison table shows how much cheap-rate import Smart Charge avoided compared with the Import Minimiser.
+ * - v2.20.0:
+ * - (Feature) "Optimal (perfect foresight)" benchmark: the cheapest battery schedule for the whole year, found by dynamic programming over SoC levels with the same SoC, power, MIC, MEC and inverter limits.
+ * - (UI) The optimal results are shown as an upper-bound column in the comparison table and as dashed lines in the optimisation and cash-flow charts. It can also be selected for the daily view.
+ * - (Refactor) The comparison table rows take a value getter instead of one argument per strategy.
+ * - v2.19.0:
+ * - (Feature) System topology: AC-coupled retrofit or DC-coupled hybrid inverter, with the inverter's AC rating and conversion efficiency.
+ * - (Engine) For a hybrid system solar charges the battery on the DC side; solar and battery output share the inverter rating and grid charging goes through the inverter.
+ * - (Feature) Solar clipped by the inverter rating or curtailed by the export limit (MEC) is reported in the comparison table and the results CSV.
+ * - v2.18.0:
+ * - (Feature) Separate charge and discharge power limits. Saved profiles and links without a discharge power use the charge power.
+ * - (Feature) Optional part-load efficiency curves for charging and discharging, in place of the flat round-trip efficiency.
+ * - (Feature) Standby consumption (W) of the battery system, added to the home's demand in every interval.
+ * - (Export) The results CSV has the charge/discharge efficiency and standby energy of every interval.
+ * - v2.17.0:
+ * - (Feature) Grants & Tax: SEAI and other grants are taken off the system cost for the payback periods and the lifetime analysis.
+ * - (Feature) Clean Export Guarantee income above the tax-free allowance (€400 a year) is taxed at the marginal rate, with and without the battery.
+ * - (UI) The comparison table shows the annual savings and payback net of tax; the lifetime cash flows are after tax.
+ * - v2.16.0:
+ * - (Feature) Battery degradation: usable capacity fades each year with age (calendar fade) and with the energy put through the battery (cycle fade).
+ * - (Engine) Each strategy is re-simulated at 90/80/70/60% of its capacity; the yearly savings of the faded battery feed the lifetime analysis.
+ * - (UI) Year-by-year table of projected capacity and savings, with a warning when a battery would fall below its end-of-warranty capacity within the warranty.
+ * - v2.15.0:
+ * - (Feature) Lifetime analysis: the first year's savings are projected over a chosen number of years with electricity price escalation and export rate changes.
+ * - (Feature) Optional loan (amount, APR, term): repayments come out of the savings and only the rest of the cost is paid up front.
+ * - (UI) The comparison table shows NPV, IRR and discounted payback for each strategy, with a cumulative cash-flow chart.
+ * - (Note) The results views (comparison table, lifetime chart, "before" summary, daily SoC and degradation table) use the parameters the results were simulated with (simulationParams), not the form as it is now.
+ * - v2.14.0:
+ * - (Refactor) engine.js is now a DOM-free ES module. script.js and the simulation worker import it (module script / module worker).
+ * - (Engine) Added buildSimulationParameters(config): getSimulationParameters now reads the form through collectFormState and builds the parameters in the engine.
+ * - (Engine) The results CSV and simulated HDF text are built by createResultsCsv and createSimulatedHdfCsv; the page only downloads them.
+ * - (Feature) Added cli.js, a Node command-line tool that runs a batch of HDF files with a JSON configuration (or an exported profile) and writes JSON/CSV results.
+ * - (Tests) `npm test` runs the engine's tests in test/ with Node's built-in test runner (node:test).
+ * - v2.13.0:
+ * - (Refactor) Moved parsing and the simulation engine into engine.js (BatteryEngine), which has no access to the page.
+ * - (Performance) HDF parsing, the strategy simulations and the battery size optimisation run in a pool of Web Workers (simulation-worker.js), with the independent runs in parallel.
+ * - (Feature) Added a Cancel button and combined progress reporting for each batch of simulations.
+ * - (Engine) runSimulation reports progress through an optional callback instead of updating the page. Falls back to the main thread where workers are blocked.
+ * - v2.12.0:
+ * - (Feature) Shareable scenario links: the Share button encodes the whole configuration, including the hourly rate and force-charge tables, into the URL fragment.
+ * - (Feature) Opening a scenario link restores the form on load. Uploaded HDF and PVGIS files are never included.
+ * - v2.11.0:
+ * - (Feature) Configuration profiles: save the whole form (system, strategy, tariffs, force-charge hours, bill details) under a name in the browser.
+ * - (Feature) Profiles can be renamed, duplicated, deleted, and exported/imported as JSON files.
+ * - v2.10.0:
+ * - (Feature) Tariff library: pick a built-in Irish supplier plan (tariff-library.js) to fill the rates, force-charge hours, standing charge and export rate.
+ * - (Feature) Custom tariff plans can be saved in the browser and shared as JSON files (import/export).
+ * - (Refactor) Added downloadFile() for all generated downloads.
+ * - v2.9.0:
+ * - (Feature) Full bill model: daily standing charge, PSO levy, VAT, unit-rate discounts and one-off credits (calculateFullBill).
+ * - (UI) The comparison table shows complete annual bills and savings per strategy, with the unit-rate-only figures next to them.
+ * - (Note) The unit-rate savings, payback and bills keep their original definition: the payback divides the system cost before grants by the unit-rate savings. Only the full-bill figures net off the export income the home already earned without a battery, and use the cost after grants.
+ * - v2.8.0:
+ * - (Feature) Tariff schedules: rates and force-charge hours can now vary by day type (weekday/weekend) and by date range (e.g. winter rates).
+ * - (UI) Added a tariff period editor above the hourly tables. The tables show the selected period.
+ * - (Engine) runSimulation, runSingleTimeStep and generateBeforeSummary look up rates from the period in force on each local day.
+ * - v2.7.0:
+ * - (Fix) HDF timestamps are now read as Irish local time (Europe/Dublin) and stored as true UTC instants.
+ * - (Fix) Tariff hours, force-charge windows, days and months now follow Irish local time, so they are no longer an hour out during summer time.
+ * - (Fix) Clock-change days are handled correctly (46 intervals in spring, 50 in autumn).
+ * - (exportSimulatedHDF) Writes interval end times in Irish local time, matching the ESB format.
+ * - (exportResultsToCSV) Added a 'Local Time (Europe/Dublin)' column.
  * - v2.6.1:
  * - (Fix) Removed duplicate event listeners in updateUIWithResults to prevent multiple HDF downloads.
  * - v2.6.0:
@@ -18,21 +125,41 @@
  * - (exportSimulatedHDF) Now adds 30 minutes to internal 'Start Time' to create a valid HDF 'End Time'.
  */
 
+import {
+    HOURS_PER_INTERVAL, INTERVALS_PER_DAY, DAYS_IN_YEAR, FLOAT_TOLERANCE, STRATEGIES, getStrategies, getStrategyRuns,
+    getReferenceStrategy, getBaselineStrategy,
+    parsePvgisCsv, calculatePvgisSummary, createDefaultTariffSchedule, configFromFormState, buildSimulationParameters,
+    getTariffPeriod, scheduleHasForceChargeHours, calculateFullBill, getOptimizationRuns, collectOptimizationResults,
+    hasDegradation, getDegradationRuns, applyDegradation, parseStrategyRules, WATER_HEATING_FUEL_COSTS,
+    getIntervalRates, splitByCalendarYear, getPeriodCoverage, runTask, createResultsCsv, createSimulatedHdfCsv
+} from './engine.js';
+
 document.addEventListener('DOMContentLoaded', () => {
 
     // --- CONSTANTS --- //
-    const HOURS_PER_INTERVAL = 0.5; // The duration of each data interval in hours (e.g., 30 minutes).
-    const INTERVALS_PER_DAY = 24 / HOURS_PER_INTERVAL;
-    const DAYS_IN_YEAR = 365;
-    const FLOAT_TOLERANCE = 0.001; // A small value to avoid floating-point inaccuracies in comparisons.
-    const GENERIC_MPRN = "12345678912"; // Generic MPRN for exported HDF files
-    const GENERIC_METER_ID = "SIMULATED_METER"; // Generic Meter ID for exported HDF files
-    const THIRTY_MINUTES_MS = 30 * 60 * 1000; // 30 minutes in milliseconds
+    const CUSTOM_TARIFFS_STORAGE_KEY = 'homeBatteryCalculator.customTariffPlans'; // localStorage key for saved tariff plans
+    const PROFILES_STORAGE_KEY = 'homeBatteryCalculator.profiles'; // localStorage key for saved configuration profiles
+    const PROFILE_FILE_FORMAT = 'home-battery-calculator-profiles'; // Identifies exported profile files
+    const FORM_STATE_VERSION = 1; // Bumped if the saved form state changes shape
+    const SHARE_LINK_PARAM = 'scenario'; // URL fragment key that holds a shared configuration
+    const SIMULATION_WORKER_URL = 'simulation-worker.js';
+    const MAX_SIMULATION_WORKERS = 4; // Upper limit on parallel simulations, whatever the number of CPU cores
+    const CANCELLED_MESSAGE = 'Simulation cancelled.';
 
     // --- APPLICATION STATE --- //
-    let fullData = []; // Holds the filtered 12-month dataset from the user's file.
+    let fullData = []; // Holds the dataset of the simulation period from the user's file, with any heat pump and EV added.
+    let dataAvailable = null; // The first and last days in the user's file ({start, end}), which may be more than was simulated.
+    let dataQualityReport = null; // The data-quality report of the simulation period from prepareSimulationData, with the repair applied.
+    let yearResults = []; // With the year-over-year comparison, one entry per calendar year: {year, coverage, results by strategy key}.
+    let dataWithoutHeatPump = null; // The same dataset without the heat pump, or null without a heat pump.
+    let heatPumpSummary = null; // The heat pump totals from addHeatPumpLoad, or null without a heat pump.
+    let evSummary = null; // The EV charging totals from addEvLoad, or null without an EV.
+    let dynamicPriceSummary = null; // The coverage of the dynamic price file from applyDynamicPrices, or null without one.
     let simulationResults = {}; // Stores results. Will hold keys for each strategy.
+    let simulationParams = null; // The parameters the results on show were simulated with; the form may have changed since.
     let isSimulating = false; // Flag to prevent multiple simulations from running at once.
+    let activeRunner = null; // The worker pool (or main-thread runner) of the simulation in progress, used to cancel it.
+    let isCancelRequested = false; // Set by Cancel, including while the runner is still starting and activeRunner is null.
 
     // Chart.js instances. Stored globally to be destroyed and recreated on updates.
     let energyChartInstance = null;
@@ -40,7 +167,14 @@ document.addEventListener('DOMContentLoaded', () => {
     let monthlyConsumptionChartInstance = null;
     let optimizationChartInstance = null;
     let pvgisMonthlyChartInstance = null;
+    let lifetimeChartInstance = null;
     let pvgisUnscaledData = null; // Cache for the originally uploaded PVGIS data.
+    let tariffSchedule = null; // The weekday/weekend and seasonal tariff periods edited in the Financials section.
+    let selectedTariffPeriodIndex = 0; // The tariff period currently shown in the hourly rate tables.
+    let customTariffPlans = []; // Tariff plans saved or imported by the user (persisted in localStorage).
+    let profiles = []; // Named configuration profiles saved by the user (persisted in localStorage).
+    let customStrategies = []; // User-defined rule strategies as {name, rules}, saved with the form state.
+    let simulatedStrategies = []; // The strategies (from getStrategies) of the results on show, built-in and custom.
 
     // --- INITIALIZATION --- //
 
@@ -51,6 +185,11 @@ document.addEventListener('DOMContentLoaded', () => {
         setupUI();
         setupEventListeners();
         updateFinancialsUI(); // Initial call to set the correct UI state based on default values.
+        updateEfficiencyCurveUI();
+        updateAddedLoadsUI();
+        updateDiverterUI();
+        updateDynamicPricesUI();
+        updateSimulationPeriodUI();
 
         // Trigger change events to ensure the UI reflects the default checked radio buttons.
         document.getElementById('importTariffHourly').dispatchEvent(new Event('change'));
@@ -62,7 +201,13 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function setupUI() {
         createHourlyRateInputs();
+        renderStrategySelection();
+        customTariffPlans = loadCustomTariffPlans();
+        populateTariffPlanSelector();
+        profiles = loadProfiles();
+        populateProfileSelector();
         lucide.createIcons(); // Initialize Lucide icons used in the HTML.
+        restoreScenarioFromUrl(); // Async: applied once the shared link has been decoded.
     }
 
     /**
@@ -70,28 +215,42 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function setupEventListeners() {
         document.getElementById('calculateBtn').addEventListener('click', runFullSimulation);
+        document.getElementById('cancelBtn').addEventListener('click', cancelSimulation);
         document.getElementById('exportBtn').addEventListener('click', exportResultsToCSV);
 
-        // --- HDF EXPORT LISTENERS ---
-        // These buttons are in the HTML from the start, just hidden.
-        // We add the listeners here *once* on page load.
-        document.getElementById('exportHdfScBtn')?.addEventListener('click', () => exportSimulatedHDF('selfConsumption'));
-        document.getElementById('exportHdfEmBtn')?.addEventListener('click', () => exportSimulatedHDF('exportMaximiser'));
-        document.getElementById('exportHdfBemBtn')?.addEventListener('click', () => exportSimulatedHDF('balancedExportMaximiser'));
-        document.getElementById('exportHdfImBtn')?.addEventListener('click', () => exportSimulatedHDF('importMinimiser'));
-        // --- END HDF EXPORT LISTENERS ---
-
         // Daily view navigation
         document.getElementById('monthSelector').addEventListener('change', e => updateDaySelector(e.target.value));
         document.getElementById('daySelector').addEventListener('change', e => updateDailyView(e.target.value));
         document.getElementById('prevDayBtn').addEventListener('click', () => navigateDay(-1));
         document.getElementById('nextDayBtn').addEventListener('click', () => navigateDay(1));
 
-        // Strategy radio buttons
-        document.querySelectorAll('input[name="strategy"]').forEach(radio => {
-            radio.addEventListener('change', handleStrategyChange);
+        // System topology (AC-coupled or hybrid inverter)
+        document.querySelectorAll('input[name="topology"]').forEach(radio => {
+            radio.addEventListener('change', handleTopologyChange);
         });
 
+        // Custom strategy editor
+        document.getElementById('customStrategySelector').addEventListener('change', showSelectedCustomStrategy);
+        document.getElementById('saveCustomStrategyBtn').addEventListener('click', saveCustomStrategy);
+        document.getElementById('deleteCustomStrategyBtn').addEventListener('click', deleteCustomStrategy);
+
+        // Part-load efficiency curves
+        document.getElementById('useEfficiencyCurves').addEventListener('change', updateEfficiencyCurveUI);
+
+        // Added loads (heat pump and EV)
+        document.getElementById('heatPumpEnabled').addEventListener('change', updateAddedLoadsUI);
+        document.getElementById('evEnabled').addEventListener('change', updateAddedLoadsUI);
+
+        // Hot-water diverter
+        document.getElementById('diverterEnabled').addEventListener('change', updateDiverterUI);
+        document.getElementById('diverterFuel').addEventListener('change', updateDiverterUI);
+
+        // Dynamic prices
+        document.getElementById('useDynamicPrices').addEventListener('change', updateDynamicPricesUI);
+
+        // Simulation period
+        document.getElementById('dateRange').addEventListener('change', updateSimulationPeriodUI);
+
         // Data source radio buttons
         document.querySelectorAll('input[name="dataSource"]').forEach(radio => {
             radio.addEventListener('change', handleDataSourceChange);
@@ -103,6 +262,37 @@ document.addEventListener('DOMContentLoaded', () => {
             pvgisFileEl.addEventListener('change', handlePvgisFileChange);
         }
 
+        // Tariff schedule periods (weekday/weekend and seasonal rates)
+        ['tariffPeriodSelector', 'tariffPeriodName', 'tariffPeriodDayType', 'tariffPeriodStart', 'tariffPeriodEnd'].forEach(id => {
+            document.getElementById(id).addEventListener('change', handleTariffPeriodChange);
+        });
+        document.getElementById('addTariffPeriodBtn').addEventListener('click', addTariffPeriod);
+        document.getElementById('removeTariffPeriodBtn').addEventListener('click', removeTariffPeriod);
+
+        // Configuration profiles
+        document.getElementById('profileSelector').addEventListener('change', handleProfileChange);
+        document.getElementById('saveProfileBtn').addEventListener('click', saveSelectedProfile);
+        document.getElementById('newProfileBtn').addEventListener('click', () => createProfile());
+        document.getElementById('renameProfileBtn').addEventListener('click', renameSelectedProfile);
+        document.getElementById('duplicateProfileBtn').addEventListener('click', duplicateSelectedProfile);
+        document.getElementById('deleteProfileBtn').addEventListener('click', deleteSelectedProfile);
+        document.getElementById('exportProfilesBtn').addEventListener('click', exportProfiles);
+        document.getElementById('importProfilesBtn').addEventListener('click', () => document.getElementById('profilesFile').click());
+        document.getElementById('profilesFile').addEventListener('change', handleProfilesFileChange);
+
+        // Shareable scenario links
+        document.getElementById('shareScenarioBtn').addEventListener('click', shareScenario);
+        document.getElementById('shareLinkOutput').addEventListener('focus', e => e.target.select());
+        window.addEventListener('hashchange', restoreScenarioFromUrl);
+
+        // Tariff library
+        document.getElementById('tariffPlanSelector').addEventListener('change', handleTariffPlanChange);
+        document.getElementById('saveTariffPlanBtn').addEventListener('click', saveCurrentTariffPlan);
+        document.getElementById('deleteTariffPlanBtn').addEventListener('click', deleteSelectedTariffPlan);
+        document.getElementById('exportTariffPlansBtn').addEventListener('click', exportTariffPlans);
+        document.getElementById('importTariffPlansBtn').addEventListener('click', () => document.getElementById('tariffPlansFile').click());
+        document.getElementById('tariffPlansFile').addEventListener('change', handleTariffPlansFileChange);
+
         // Tariff type radio buttons (Flat vs Hourly)
         document.querySelectorAll('input[name="importTariffType"], input[name="exportTariffType"]').forEach(radio => {
             radio.addEventListener('change', handleTariffTypeChange);
@@ -124,24 +314,24 @@ document.addEventListener('DOMContentLoaded', () => {
 
     /**
      * Dynamically generates the HTML tables for hourly import/export rate inputs.
+     * The tables always show the tariff period currently selected in the schedule editor.
      */
     function createHourlyRateInputs() {
-        const createTable = (type, defaultValues) => {
+        const createTable = (type, values, forceChargeHours) => {
             let tableHTML = `<table class="tariff-table"><thead><tr>
-                <th class="border-r border-gray-200">Time</th>
+                <th class="border-r border-gray-200" title="Irish local time (adjusts for summer time)">Time</th>
                 <th class="text-center">Rate (€/kWh)</th>
                 <th class="force-control-col hidden text-center" title="Force Charge Period"><i data-lucide="zap" class="h-4 w-4 inline-block"></i></th>
             </tr></thead><tbody>`;
 
             for (let i = 0; i < 24; i++) {
-                // Check if defaultValues is an array or a single value
-                const defaultValue = Array.isArray(defaultValues) ? defaultValues[i] : defaultValues;
                 const hour = i.toString().padStart(2, '0');
+                const checked = forceChargeHours[i] ? 'checked' : '';
                 tableHTML += `<tr>
                     <td class="border-r border-gray-200">${hour}:00-${hour}:59</td>
-                    <td class="text-center"><input type="number" id="${type}-rate-${i}" class="input-field rate-input" value="${defaultValue}" step="0.01"></td>
+                    <td class="text-center"><input type="number" id="${type}-rate-${i}" class="input-field rate-input" value="${values[i]}" step="0.01"></td>
                     <td class="force-control-col hidden text-center">
-                        <label class="force-cb-label"><input type="checkbox" id="${type}-force-charge-${i}" class="h-4 w-4"></label>
+                        <label class="force-cb-label"><input type="checkbox" id="${type}-force-charge-${i}" class="h-4 w-4" ${checked}></label>
                     </td>
                 </tr>`;
             }
@@ -149,21 +339,167 @@ document.addEventListener('DOMContentLoaded', () => {
             return tableHTML;
         };
 
-        // --- NEW: Create an array for the 24 default import rates ---
-        const defaultImportRates = Array(24).fill('0.42'); // Default standard rate
+        if (!tariffSchedule) tariffSchedule = createDefaultTariffSchedule();
+        const period = tariffSchedule.periods[selectedTariffPeriodIndex];
+
+        document.getElementById('hourlyImportGrid').innerHTML = createTable('import', period.importRates, period.forceChargeHours);
+        document.getElementById('hourlyExportGrid').innerHTML = createTable('export', period.exportRates, Array(24).fill(false));
+        renderTariffPeriodControls();
+    }
+
+    /**
+     * Reads the visible hourly tables back into the selected period of the tariff schedule.
+     */
+    function saveVisibleTariffPeriod() {
+        const period = tariffSchedule?.periods[selectedTariffPeriodIndex];
+        if (!period || !document.getElementById('import-rate-0')) return;
+
+        for (let i = 0; i < 24; i++) {
+            period.importRates[i] = parseFloat(document.getElementById(`import-rate-${i}`).value);
+            period.exportRates[i] = parseFloat(document.getElementById(`export-rate-${i}`).value);
+            period.forceChargeHours[i] = document.getElementById(`import-force-charge-${i}`).checked;
+        }
+    }
+
+    /**
+     * Populates the tariff period selector and the day type / date range fields for the selected period.
+     * The first period is the base schedule: it covers every day and cannot be restricted or removed.
+     */
+    function renderTariffPeriodControls() {
+        const selector = document.getElementById('tariffPeriodSelector');
+        selector.innerHTML = '';
+        tariffSchedule.periods.forEach((period, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = index === 0 ? `${period.name} (base)` : `${period.name} (${describeTariffPeriod(period)})`;
+            selector.appendChild(option);
+        });
+        selector.value = selectedTariffPeriodIndex;
+
+        const period = tariffSchedule.periods[selectedTariffPeriodIndex];
+        const isBasePeriod = selectedTariffPeriodIndex === 0;
+        document.getElementById('tariffPeriodName').value = period.name;
+        document.getElementById('tariffPeriodDayType').value = period.dayType;
+        document.getElementById('tariffPeriodStart').value = toDayMonthLabel(period.startDate);
+        document.getElementById('tariffPeriodEnd').value = toDayMonthLabel(period.endDate);
+        ['tariffPeriodDayType', 'tariffPeriodStart', 'tariffPeriodEnd', 'removeTariffPeriodBtn'].forEach(id => {
+            document.getElementById(id).disabled = isBasePeriod;
+        });
+    }
+
+    /**
+     * Builds a short description of when a tariff period applies, e.g. "Weekends, 01/11-28/02".
+     * @param {Object} period - A tariff period.
+     * @returns {string} The description.
+     */
+    function describeTariffPeriod(period) {
+        const dayTypeLabels = { all: 'All days', weekday: 'Weekdays', weekend: 'Weekends' };
+        const isAllYear = period.startDate === '01-01' && period.endDate === '12-31';
+        const dateRange = isAllYear ? 'all year' : `${toDayMonthLabel(period.startDate)}-${toDayMonthLabel(period.endDate)}`;
+        return `${dayTypeLabels[period.dayType]}, ${dateRange}`;
+    }
 
-        // Set Pinergy EV rates (02:00-04:59)
-        defaultImportRates[2] = '0.06'; // 02:00 - 02:59
-        defaultImportRates[3] = '0.06'; // 03:00 - 03:59
-        defaultImportRates[4] = '0.06'; // 04:00 - 04:59
-        // --- END NEW ---
+    /**
+     * Escapes text for safe insertion into HTML.
+     * @param {string} text - The text to escape.
+     * @returns {string} The escaped text.
+     */
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
 
-        // --- NEW: Set default export rate to 0.25 ---
-        const defaultExportRate = '0.25';
-        // --- END NEW ---
+    /**
+     * Converts a stored 'MM-DD' date into the 'DD/MM' format shown to users.
+     * @param {string} monthDay - The stored date.
+     * @returns {string} The display date.
+     */
+    function toDayMonthLabel(monthDay) {
+        const [month, day] = monthDay.split('-');
+        return `${day}/${month}`;
+    }
 
-        document.getElementById('hourlyImportGrid').innerHTML = createTable('import', defaultImportRates);
-        document.getElementById('hourlyExportGrid').innerHTML = createTable('export', defaultExportRate);
+    /**
+     * Converts a 'DD/MM' date typed by the user into the stored 'MM-DD' format.
+     * @param {string} label - The display date.
+     * @returns {string|null} The stored date, or null if the input is not a valid day of the year.
+     */
+    function fromDayMonthLabel(label) {
+        const match = label.trim().match(/^(\d{1,2})[\/-](\d{1,2})$/);
+        if (!match) return null;
+        const day = parseInt(match[1], 10);
+        const month = parseInt(match[2], 10);
+        const date = new Date(Date.UTC(2024, month - 1, day)); // A leap year, so 29/02 is accepted.
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Handles changes to the tariff period selector and its detail fields.
+     * @param {Event} e - The change event object.
+     */
+    function handleTariffPeriodChange(e) {
+        const period = tariffSchedule.periods[selectedTariffPeriodIndex];
+
+        switch (e.target.id) {
+            case 'tariffPeriodSelector':
+                saveVisibleTariffPeriod();
+                selectedTariffPeriodIndex = parseInt(e.target.value, 10);
+                createHourlyRateInputs();
+                updateFinancialsUI();
+                lucide.createIcons();
+                return;
+            case 'tariffPeriodName':
+                period.name = e.target.value.trim() || `Period ${selectedTariffPeriodIndex + 1}`;
+                break;
+            case 'tariffPeriodDayType':
+                period.dayType = e.target.value;
+                break;
+            case 'tariffPeriodStart':
+            case 'tariffPeriodEnd': {
+                const monthDay = fromDayMonthLabel(e.target.value);
+                if (!monthDay) {
+                    setStatus('Please enter tariff period dates as DD/MM, e.g. 01/11.', 'warning');
+                    break;
+                }
+                period[e.target.id === 'tariffPeriodStart' ? 'startDate' : 'endDate'] = monthDay;
+                break;
+            }
+        }
+        renderTariffPeriodControls();
+    }
+
+    /**
+     * Adds a new tariff period, copying the rates of the currently selected period as a starting point.
+     */
+    function addTariffPeriod() {
+        saveVisibleTariffPeriod();
+        const source = tariffSchedule.periods[selectedTariffPeriodIndex];
+        tariffSchedule.periods.push({
+            name: 'Weekend',
+            dayType: 'weekend',
+            startDate: '01-01',
+            endDate: '12-31',
+            importRates: [...source.importRates],
+            exportRates: [...source.exportRates],
+            forceChargeHours: [...source.forceChargeHours]
+        });
+        selectedTariffPeriodIndex = tariffSchedule.periods.length - 1;
+        createHourlyRateInputs();
+        updateFinancialsUI();
+        updateEfficiencyCurveUI();
+        lucide.createIcons();
+    }
+
+    /**
+     * Removes the selected tariff period. The base period cannot be removed.
+     */
+    function removeTariffPeriod() {
+        if (selectedTariffPeriodIndex === 0) return;
+        tariffSchedule.periods.splice(selectedTariffPeriodIndex, 1);
+        selectedTariffPeriodIndex = 0;
+        createHourlyRateInputs();
+        updateFinancialsUI();
+        lucide.createIcons();
     }
     
     /**
@@ -171,14 +507,18 @@ document.addEventListener('DOMContentLoaded', () => {
      * Manages the "Force Charge" column and related warnings.
      */
     function updateFinancialsUI() {
-        const strategy = document.querySelector('input[name="strategy"]:checked')?.value || 'self-consumption';
-        
-        const requiresForceCharge = strategy === 'export-maximiser' || strategy === 'balanced-export-maximiser' || strategy === 'import-minimiser';
+        const strategy = getSelectedStrategy();
+        const requiresForceCharge = strategy.requiresForceChargeHours;
+
+        // Show only the option panels with the selected strategy's own inputs
+        document.querySelectorAll('.strategy-options').forEach(panel => {
+            panel.classList.toggle('hidden', !strategy.inputs.some(id => panel.contains(document.getElementById(id))));
+        });
 
         // Toggle visibility of the "Force Charge" column in tariff tables
         document.querySelectorAll('.force-control-col').forEach(c => c.classList.toggle('hidden', !requiresForceCharge));
         
-        // Show or hide the warning message for the Export Maximiser strategy
+        // Show or hide the warning message for strategies that need force-charge hours
         document.getElementById('force-charge-warning').classList.toggle('hidden', !requiresForceCharge);
         
         // For strategies requiring force charge, force the import tariff to be 'Hourly'
@@ -192,19 +532,67 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Show the description for the currently selected strategy
         document.querySelectorAll('.strategy-description').forEach(el => el.classList.add('hidden'));
-        const descEl = document.getElementById(`desc-${strategy}`);
+        const descEl = document.getElementById(`desc-${strategy.id}`);
         if (descEl) {
             descEl.classList.remove('hidden');
         }
     }
 
+    /**
+     * Shows the inverter inputs when a DC-coupled (hybrid) system is selected.
+     * @param {Event} e The change event from a topology radio button.
+     */
+    function handleTopologyChange(e) {
+        document.getElementById('inverterInputs').classList.toggle('hidden', e.target.value !== 'dc');
+    }
+
+    /**
+     * Shows the efficiency curve inputs only when the curves are switched on.
+     */
+    function updateEfficiencyCurveUI() {
+        const useCurves = document.getElementById('useEfficiencyCurves').checked;
+        document.getElementById('efficiencyCurveInputs').classList.toggle('hidden', !useCurves);
+    }
+
+    /**
+     * Shows the heat pump and EV inputs only when each load is switched on.
+     */
+    function updateAddedLoadsUI() {
+        document.getElementById('heatPumpInputs').classList.toggle('hidden', !document.getElementById('heatPumpEnabled').checked);
+        document.getElementById('evInputs').classList.toggle('hidden', !document.getElementById('evEnabled').checked);
+    }
+
+    /**
+     * Shows the diverter inputs only when the diverter is switched on, with the typical cost of the chosen fuel
+     * as the placeholder of the hot water cost.
+     */
+    function updateDiverterUI() {
+        document.getElementById('diverterInputs').classList.toggle('hidden', !document.getElementById('diverterEnabled').checked);
+        const fuelCost = WATER_HEATING_FUEL_COSTS[document.getElementById('diverterFuel').value];
+        document.getElementById('diverterFuelCost').placeholder = `Typical: ${fuelCost.toFixed(2)}`;
+    }
+
+    /**
+     * Shows the From and To dates only for a custom simulation period.
+     */
+    function updateSimulationPeriodUI() {
+        document.getElementById('dateRangeInputs').classList.toggle('hidden', document.getElementById('dateRange').value !== 'custom');
+    }
+
+    /**
+     * Shows the price file input only when dynamic prices are switched on.
+     */
+    function updateDynamicPricesUI() {
+        document.getElementById('dynamicPriceInputs').classList.toggle('hidden', !document.getElementById('useDynamicPrices').checked);
+    }
+
     /**
      * Handles the strategy change event, updating the UI and refreshing the daily view if applicable.
      */
     function handleStrategyChange() {
         updateFinancialsUI();
 
-        if (simulationResults.selfConsumption) {
+        if (getReferenceResults()) {
             const monthSelector = document.getElementById('monthSelector');
             // Re-trigger the day selector update to refresh all daily charts and summaries
             if (monthSelector.value)
@@ -361,221 +749,877 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
-    // --- DATA PARSING & PREPARATION --- //
+    // --- CONFIGURATION PROFILES --- //
+    // A profile is a snapshot of the whole configuration form. Plain fields are stored by element id and radio
+    // groups by name, so new inputs are included automatically. The tariff schedule is stored as an object
+    // because its tables only show one period at a time. Uploaded files are never stored.
 
     /**
-     * Parses the text content of an HDF (Half-hourly Data File) CSV.
-     * @param {string} csvText - The raw text from the CSV file.
-     * @returns {Array<Object>} An array of parsed data objects, sorted by timestamp.
+     * Captures the current state of every configuration input and the tariff schedule.
+     * @returns {Object} A serialisable snapshot of the form.
      */
-    function parseHDF(csvText) {
-        const lines = csvText.trim().split('\n');
-        let headerIndex = -1;
-        let header;
+    function collectFormState() {
+        saveVisibleTariffPeriod();
+        const fields = {};
+        const radios = {};
+
+        getProfileFormElements().forEach(el => {
+            if (el.type === 'radio') {
+                if (el.checked) radios[el.name] = el.value;
+            } else if (el.type === 'checkbox') {
+                fields[el.id] = el.checked;
+            } else {
+                fields[el.id] = el.value;
+            }
+        });
 
-        // Find the header row which contains specific key column names.
-        for (let i = 0; i < lines.length; i++) {
-            const lowerLine = lines[i].toLowerCase();
-            if (lowerLine.includes('read date') && lowerLine.includes('read type') && (lowerLine.includes('read value') || lowerLine.includes('read val'))) {
-                headerIndex = i;
-                header = lines[i].split(',').map(h => h.trim().replace(/"/g, ''));
-                break;
+        return {
+            version: FORM_STATE_VERSION,
+            fields,
+            radios,
+            tariffSchedule: JSON.parse(JSON.stringify(tariffSchedule)),
+            customStrategies: JSON.parse(JSON.stringify(customStrategies)),
+            tariffPlanId: document.getElementById('tariffPlanSelector').value
+        };
+    }
+
+    /**
+     * Restores a snapshot from `collectFormState`, including the tariff tables and all dependent UI sections.
+     * @param {Object} state - The snapshot to restore.
+     */
+    function applyFormState(state) {
+        // The custom strategy radios must exist before the selected strategy is restored.
+        if (Array.isArray(state.customStrategies)) {
+            customStrategies = state.customStrategies
+                .filter(custom => typeof custom?.name === 'string' && typeof custom?.rules === 'string')
+                .map(custom => ({ name: custom.name, rules: custom.rules }));
+        }
+        renderStrategySelection();
+
+        const elements = getProfileFormElements();
+        const fields = { ...state.fields };
+        // States saved before charge and discharge power were separate used one rate for both.
+        if (fields.dischargeRate === undefined && fields.chargeRate !== undefined) fields.dischargeRate = fields.chargeRate;
+
+        elements.forEach(el => {
+            if (el.type === 'radio') {
+                if (state.radios?.[el.name] !== undefined) el.checked = el.value === state.radios[el.name];
+            } else if (el.id in fields) {
+                if (el.type === 'checkbox') el.checked = !!fields[el.id];
+                else el.value = fields[el.id];
             }
+        });
+
+        // A state without a usable schedule (e.g. from an old or hand-edited file) gets the default one.
+        tariffSchedule = isValidTariffSchedule(state.tariffSchedule)
+            ? JSON.parse(JSON.stringify(state.tariffSchedule))
+            : createDefaultTariffSchedule();
+        selectedTariffPeriodIndex = 0;
+        createHourlyRateInputs();
+        populateTariffPlanSelector(findTariffPlan(state.tariffPlanId) ? state.tariffPlanId : '');
+
+        // Let each radio group update the sections it controls (tariff tables, PVGIS options, strategy notes).
+        elements.filter(el => el.type === 'radio' && el.checked).forEach(el => el.dispatchEvent(new Event('change')));
+        updateFinancialsUI();
+        updateEfficiencyCurveUI();
+        updateAddedLoadsUI();
+        updateDiverterUI();
+        updateDynamicPricesUI();
+        updateSimulationPeriodUI();
+        lucide.createIcons();
+    }
+
+    /**
+     * Lists the form inputs that belong in a profile. File inputs, the profile controls themselves and the
+     * controls rendered from the tariff schedule are left out.
+     * @returns {Array<HTMLElement>} The inputs and selects to save and restore.
+     */
+    function getProfileFormElements() {
+        const excludedContainers = '#profilesSection, #tariffLibrarySection, #tariffScheduleSection, #hourlyImportGrid, #hourlyExportGrid, #customStrategySection';
+        return [...document.querySelectorAll('#config-form input, #config-form select')]
+            .filter(el => el.type !== 'file' && (el.id || el.type === 'radio') && !el.closest(excludedContainers));
+    }
+
+    /**
+     * Loads the saved profiles from localStorage.
+     * @returns {Array<Object>} The saved profiles, or an empty array if none are stored or storage is unavailable.
+     */
+    function loadProfiles() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored.filter(isValidProfile) : [];
+        } catch (error) {
+            console.error('Could not load saved profiles:', error);
+            return [];
         }
+    }
+
+    /**
+     * Persists the profiles to localStorage.
+     */
+    function saveProfiles() {
+        try {
+            localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+        } catch (error) {
+            console.error('Could not save profiles:', error);
+            setStatus('Could not save profiles in this browser.', 'error');
+        }
+    }
+
+    /**
+     * Checks the basic shape of a profile, e.g. one read from an imported file.
+     * @param {Object} profile - The profile to check.
+     * @returns {boolean} True if the profile can be loaded.
+     */
+    function isValidProfile(profile) {
+        return !!profile && typeof profile.id === 'string' && typeof profile.name === 'string'
+            && !!profile.state && typeof profile.state.fields === 'object'
+            && (profile.state.tariffSchedule === undefined || isValidTariffSchedule(profile.state.tariffSchedule));
+    }
+
+    /**
+     * Fills the profile selector with the saved profiles.
+     * @param {string} [selectedId=''] - The id of the profile to select.
+     */
+    function populateProfileSelector(selectedId = '') {
+        const selector = document.getElementById('profileSelector');
+        selector.innerHTML = `<option value="">Unsaved configuration</option>` +
+            profiles.map(profile => `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`).join('');
+        selector.value = selectedId;
+
+        const hasSelection = !!selectedId;
+        ['saveProfileBtn', 'renameProfileBtn', 'duplicateProfileBtn', 'deleteProfileBtn'].forEach(id => {
+            document.getElementById(id).disabled = !hasSelection;
+        });
+    }
+
+    /**
+     * Returns the profile currently chosen in the selector.
+     * @returns {Object|undefined} The selected profile.
+     */
+    function getSelectedProfile() {
+        const id = document.getElementById('profileSelector').value;
+        return profiles.find(profile => profile.id === id);
+    }
+
+    /**
+     * Asks for a profile name that is not already in use.
+     * @param {string} message - The prompt text.
+     * @param {string} suggestedName - The default name.
+     * @returns {string|null} The chosen name, or null if cancelled.
+     */
+    function promptForProfileName(message, suggestedName) {
+        const name = prompt(message, suggestedName)?.trim();
+        if (!name) return null;
+        if (profiles.some(profile => profile.name === name)) {
+            setStatus(`A profile called "${name}" already exists. Please choose another name.`, 'warning');
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * Loads the chosen profile into the form.
+     */
+    function handleProfileChange() {
+        const profile = getSelectedProfile();
+        populateProfileSelector(profile?.id || '');
+        if (!profile) return;
+        applyFormState(profile.state);
+        setStatus(`Loaded profile: ${profile.name}`, 'success');
+    }
+
+    /**
+     * Saves the current form into a new profile.
+     * @param {Object} [state] - The state to save; defaults to the current form.
+     * @param {string} [suggestedName='My system'] - The default name offered to the user.
+     */
+    function createProfile(state = collectFormState(), suggestedName = 'My system') {
+        const name = promptForProfileName('Save the current configuration as a profile named:', suggestedName);
+        if (!name) return;
+
+        const profile = { id: `profile-${Date.now()}`, name, savedAt: new Date().toISOString(), state };
+        profiles.push(profile);
+        saveProfiles();
+        populateProfileSelector(profile.id);
+        setStatus(`Saved profile: ${name}`, 'success');
+    }
+
+    /**
+     * Overwrites the selected profile with the current form.
+     */
+    function saveSelectedProfile() {
+        const profile = getSelectedProfile();
+        if (!profile) return;
+        profile.state = collectFormState();
+        profile.savedAt = new Date().toISOString();
+        saveProfiles();
+        setStatus(`Saved profile: ${profile.name}`, 'success');
+    }
+
+    /**
+     * Renames the selected profile.
+     */
+    function renameSelectedProfile() {
+        const profile = getSelectedProfile();
+        if (!profile) return;
+        const name = promptForProfileName('Rename profile to:', profile.name);
+        if (!name) return;
+        profile.name = name;
+        saveProfiles();
+        populateProfileSelector(profile.id);
+        setStatus(`Renamed profile to: ${name}`, 'success');
+    }
+
+    /**
+     * Saves a copy of the selected profile under a new name.
+     */
+    function duplicateSelectedProfile() {
+        const profile = getSelectedProfile();
+        if (!profile) return;
+        createProfile(JSON.parse(JSON.stringify(profile.state)), `${profile.name} (copy)`);
+    }
+
+    /**
+     * Deletes the selected profile. The form keeps its current values.
+     */
+    function deleteSelectedProfile() {
+        const profile = getSelectedProfile();
+        if (!profile || !confirm(`Delete the profile "${profile.name}"?`)) return;
+        profiles = profiles.filter(p => p !== profile);
+        saveProfiles();
+        populateProfileSelector();
+        setStatus(`Deleted profile: ${profile.name}`, 'success');
+    }
 
-        if (headerIndex === -1) {
-            throw new Error('Could not find a valid header row in HDF file. Expected "Read Date", "Read Type", and "Read Value" columns.');
+    /**
+     * Downloads all saved profiles as a JSON file.
+     */
+    function exportProfiles() {
+        if (profiles.length === 0) {
+            setStatus('There are no saved profiles to export. Save a profile first.', 'warning');
+            return;
         }
+        const fileContent = { format: PROFILE_FILE_FORMAT, version: FORM_STATE_VERSION, profiles };
+        downloadFile(JSON.stringify(fileContent, null, 2), 'battery_calculator_profiles.json', 'application/json');
+        setStatus(`Exported ${profiles.length} profile(s) to battery_calculator_profiles.json`, 'success');
+    }
 
-        const dateIndex = header.findIndex(h => h.toLowerCase().includes('read date'));
-        const typeIndex = header.findIndex(h => h.toLowerCase().includes('read type'));
-        const valueIndex = header.findIndex(h => h.toLowerCase().includes('read value') || h.toLowerCase().includes('read val'));
+    /**
+     * Imports profiles from a JSON file. Profiles whose names are already in use are renamed.
+     * @param {Event} e - The file input change event.
+     */
+    async function handleProfilesFileChange(e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow the same file to be imported again.
+        if (!file) return;
 
-        if (dateIndex === -1 || typeIndex === -1 || valueIndex === -1) {
-            throw new Error('HDF file is missing required columns (Date, Type, or Value).');
+        try {
+            const content = JSON.parse(await file.text());
+            if (content?.format !== PROFILE_FILE_FORMAT || !Array.isArray(content.profiles)) throw new Error('This is not a profile file.');
+            const imported = content.profiles.filter(isValidProfile);
+            if (imported.length === 0) throw new Error('The file does not contain any valid profiles.');
+
+            imported.forEach((profile, index) => {
+                let name = profile.name;
+                while (profiles.some(p => p.name === name)) name = `${name} (imported)`;
+                profiles.push({ ...profile, id: `profile-${Date.now()}-${index}`, name });
+            });
+            saveProfiles();
+            populateProfileSelector(profiles[profiles.length - imported.length].id);
+            handleProfileChange();
+            setStatus(`Imported ${imported.length} profile(s).`, 'success');
+        } catch (error) {
+            console.error('Error importing profiles:', error);
+            setStatus(`Error: ${error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message}`, 'error');
         }
+    }
+
+
+    // --- SHAREABLE SCENARIO LINKS --- //
+    // A scenario link carries the same snapshot as a profile (collectFormState) in the URL fragment, so it is
+    // never sent to a server. The JSON is deflated where the browser supports CompressionStream and then
+    // base64url-encoded. Uploaded HDF and PVGIS files are not part of the snapshot and are never shared.
 
-        // Use a map to aggregate consumption and generation data into 30-minute buckets.
-        const dataMap = new Map();
-        for (let i = headerIndex + 1; i < lines.length; i++) {
-            if (!lines[i].trim()) continue;
-
-            const values = lines[i].split(',');
-            if (values.length <= Math.max(dateIndex, typeIndex, valueIndex)) continue;
-            
-            const dateStr = values[dateIndex]?.trim().replace(/"/g, '');
-            // Regex to handle DD/MM/YYYY HH:MM or DD-MM-YYYY HH:MM formats.
-            const dateParts = dateStr?.match(/(\d{2})[\/-](\d{2})[\/-](\d{4})\s(\d{2}):(\d{2})/);
-            if (!dateParts) continue;
-
-            const [, day, month, year, hour, minute] = dateParts;
-            // originalTimestamp is the END of the interval
-            const originalTimestamp = new Date(`${year}-${month}-${day}T${hour}:${minute}:00Z`);
-            
-            if (isNaN(originalTimestamp.getTime())) continue;
-
-            // --- *** FIX *** ---
-            // The HDF 'Read Date and End Time' is the END of the 30-min interval.
-            // We must subtract 30 minutes to get the START of the interval,
-            // which is what the rest of the simulation uses as the key.
-            // (e.g., 02:00 data refers to the 01:30-02:00 interval, so it's keyed as 01:30)
-            const halfHourBucketTimestamp = new Date(originalTimestamp.getTime() - THIRTY_MINUTES_MS);
-            // --- *** END FIX *** ---
-
-            const key = halfHourBucketTimestamp.toISOString();
-            const readType = values[typeIndex]?.trim().replace(/"/g, '').toLowerCase();
-            const readValue = parseFloat(values[valueIndex]);
-
-            if (!readType || isNaN(readValue)) continue;
-            
-            if (!dataMap.has(key)) {
-                dataMap.set(key, { timestamp: halfHourBucketTimestamp, consumption: 0, generation: 0 });
+    /**
+     * Creates a link to the current configuration, shows it and copies it to the clipboard.
+     */
+    async function shareScenario() {
+        const output = document.getElementById('shareLinkOutput');
+        try {
+            const token = await encodeScenario(collectFormState());
+            const link = `${window.location.href.split('#')[0]}#${SHARE_LINK_PARAM}=${token}`;
+            output.value = link;
+            output.classList.remove('hidden');
+
+            try {
+                await navigator.clipboard.writeText(link);
+                setStatus('Scenario link copied to the clipboard. It contains your settings only, not your HDF data.', 'success');
+            } catch (error) {
+                output.select();
+                setStatus('Scenario link created. Copy it from the box below the Share button.', 'info');
             }
+        } catch (error) {
+            console.error('Error creating scenario link:', error);
+            setStatus('Could not create a scenario link in this browser.', 'error');
+        }
+    }
+
+    /**
+     * Restores the configuration from a scenario link in the URL fragment, if there is one.
+     */
+    async function restoreScenarioFromUrl() {
+        const match = window.location.hash.match(new RegExp(`[#&]${SHARE_LINK_PARAM}=([^&]+)`));
+        if (!match) return;
 
-            const entry = dataMap.get(key);
-            if (readType.includes('active import')) {
-                entry.consumption += readValue;
-            } else if (readType.includes('active export')) {
-                entry.generation += readValue;
+        try {
+            const state = await decodeScenario(match[1]);
+            if (!state || typeof state.fields !== 'object' || state.version > FORM_STATE_VERSION) {
+                throw new Error('Unsupported scenario link.');
             }
+            applyFormState(state);
+            populateProfileSelector();
+            setStatus('Loaded the shared scenario. Upload your HDF file and run the simulation.', 'success');
+        } catch (error) {
+            console.error('Error reading scenario link:', error);
+            setStatus('This scenario link is damaged or incomplete. The default settings are shown.', 'error');
         }
+    }
 
-        if (dataMap.size === 0) return [];
-        
-        // Convert map to array and sort by timestamp.
-        return Array.from(dataMap.values()).sort((a, b) => a.timestamp - b.timestamp);
+    /**
+     * Encodes a form snapshot as a compact, URL-safe string.
+     * The first character records the encoding: 'z' for deflated JSON, 'j' for plain JSON.
+     * @param {Object} state - The snapshot from `collectFormState`.
+     * @returns {Promise<string>} The encoded scenario.
+     */
+    async function encodeScenario(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        if (typeof CompressionStream === 'undefined') return `j${bytesToBase64Url(bytes)}`;
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return `z${bytesToBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()))}`;
     }
-    
+
     /**
-     * Parses the text content of a PVGIS hourly data CSV.
-     * @param {string} csvText - The raw text from the PVGIS CSV file.
-     * @returns {Object} An object containing the data array and metadata.
+     * Decodes a string created by `encodeScenario`.
+     * @param {string} token - The encoded scenario.
+     * @returns {Promise<Object>} The form snapshot.
      */
-    function parsePvgisCsv(csvText) {
-        const lines = csvText.trim().split('\n');
-        let dataStartIndex = -1;
-        let headers = [];
-        const metadata = {
-            specifiedPeakPower: null
-        };
+    async function decodeScenario(token) {
+        let bytes = base64UrlToBytes(token.slice(1));
+        if (token[0] === 'z') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else if (token[0] !== 'j') {
+            throw new Error('Unknown scenario encoding.');
+        }
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
 
-        // Find metadata and the start of the data.
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            // Look for metadata line like: # lat=..., lon=..., peakpower=10, ...
-            if (line.startsWith('#') && line.includes('peakpower=')) {
-                const match = line.match(/peakpower=([0-9.]+)/);
-                if (match && match[1]) {
-                    metadata.specifiedPeakPower = parseFloat(match[1]);
-                }
-            }
+    /**
+     * Converts bytes to base64url text (no padding), which is safe to use in a URL.
+     * @param {Uint8Array} bytes - The bytes to encode.
+     * @returns {string} The base64url text.
+     */
+    function bytesToBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
 
-            if (line.toLowerCase().startsWith('time,p,')) {
-                dataStartIndex = i + 1;
-                headers = line.split(',').map(h => h.trim());
-                break; // Stop searching once we find the data header
-            }
+    /**
+     * Converts base64url text back to bytes.
+     * @param {string} text - The base64url text.
+     * @returns {Uint8Array} The decoded bytes.
+     */
+    function base64UrlToBytes(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+
+    // --- STRATEGY SELECTION --- //
+    // The strategy radios are built from the strategy registry (STRATEGIES in engine.js) followed by the custom
+    // strategies. Custom strategies are rule lists written in the strategy editor (see parseStrategyRules in engine.js).
+    // They are part of the form state, so they are saved with profiles and shared in scenario links. Each one
+    // gets a strategy radio whose value ('custom-1', 'custom-2', ...) is also its key in the results.
+
+    /**
+     * Lists the strategies that can be selected: the built-in ones and those in the strategy editor.
+     * @returns {Array<Object>} The strategies from `getStrategies`.
+     */
+    function getSelectableStrategies() {
+        return getStrategies(customStrategies.map((custom, index) => ({ key: `custom-${index + 1}`, name: custom.name })));
+    }
+
+    /**
+     * Finds the strategy whose radio is checked.
+     * @returns {Object} The strategy; Self-Consumption if none is checked.
+     */
+    function getSelectedStrategy() {
+        const id = document.querySelector('input[name="strategy"]:checked')?.value;
+        return getSelectableStrategies().find(strategy => strategy.id === id) ?? STRATEGIES[0];
+    }
+
+    /**
+     * Names a strategy in the results tables and charts. Benchmarks are marked as upper bounds.
+     * @param {Object} strategy - The strategy from `getStrategies`.
+     * @returns {string} The label.
+     */
+    function getStrategyLabel(strategy) {
+        return strategy.isBenchmark ? `${strategy.shortName ?? strategy.name} (upper bound)` : strategy.name;
+    }
+
+    /**
+     * Renders a radio for every strategy, moves each options panel under the strategy that uses its inputs,
+     * and refills the custom strategy editor's selector.
+     * If the selected strategy was a custom one that no longer exists, Self-Consumption is selected instead.
+     * @param {number} [selectedIndex=-1] - The custom strategy to show in the editor, or -1 for a new one.
+     */
+    function renderStrategySelection(selectedIndex = -1) {
+        const container = document.getElementById('strategyRadios');
+        const checkedValue = document.querySelector('input[name="strategy"]:checked')?.value ?? STRATEGIES[0].id;
+        const optionPanels = [...document.querySelectorAll('.strategy-options')];
+        optionPanels.forEach(panel => panel.remove()); // Kept, with their values, while the radios are rebuilt
+
+        const strategies = getSelectableStrategies();
+        container.innerHTML = strategies.map(strategy => `
+            <label class="block p-4 border rounded-lg cursor-pointer hover:bg-gray-50 has-[:checked]:bg-indigo-50 has-[:checked]:border-indigo-400">
+                <div class="flex items-center">
+                    <input id="strategy-${strategy.id}" type="radio" value="${strategy.id}" name="strategy" class="h-4 w-4 text-indigo-600 border-gray-300 focus:ring-indigo-500" ${checkedValue === strategy.id ? 'checked' : ''}>
+                    <span class="ml-3 font-medium">${escapeHtml(strategy.name)}</span>
+                    ${strategy.isCustom ? '<span class="ml-2 text-xs text-gray-500">(custom)</span>' : ''}
+                </div>
+                <div id="desc-${strategy.id}" class="strategy-description hidden">${escapeHtml(strategy.description)}</div>
+            </label>`).join('');
+        container.querySelectorAll('input[name="strategy"]').forEach(radio => radio.addEventListener('change', handleStrategyChange));
+
+        strategies.forEach(strategy => {
+            const label = document.getElementById(`strategy-${strategy.id}`).closest('label');
+            const panels = optionPanels.filter(panel => strategy.inputs.some(id => panel.querySelector(`#${id}`)));
+            label.after(...panels);
+        });
+        container.append(...optionPanels.filter(panel => !panel.isConnected));
+
+        if (!document.querySelector('input[name="strategy"]:checked')) {
+            document.getElementById(`strategy-${STRATEGIES[0].id}`).checked = true;
+        }
+        updateFinancialsUI();
+
+        const selector = document.getElementById('customStrategySelector');
+        selector.innerHTML = '<option value="-1">New strategy...</option>'
+            + customStrategies.map((custom, index) => `<option value="${index}">${escapeHtml(custom.name)}</option>`).join('');
+        selector.value = String(selectedIndex);
+        showSelectedCustomStrategy();
+    }
+
+    /**
+     * Loads the strategy chosen in the editor's selector into the name and rules fields.
+     */
+    function showSelectedCustomStrategy() {
+        const index = parseInt(document.getElementById('customStrategySelector').value, 10);
+        const custom = customStrategies[index];
+        document.getElementById('customStrategyName').value = custom?.name ?? '';
+        document.getElementById('customStrategyRules').value = custom?.rules ?? '';
+        document.getElementById('deleteCustomStrategyBtn').disabled = !custom;
+    }
+
+    /**
+     * Saves the strategy in the editor, replacing the selected one or adding a new one. The rules are checked first.
+     */
+    function saveCustomStrategy() {
+        const name = document.getElementById('customStrategyName').value.trim();
+        const rules = document.getElementById('customStrategyRules').value;
+        let index = parseInt(document.getElementById('customStrategySelector').value, 10);
+        if (!name) {
+            setStatus('Please enter a name for the custom strategy.', 'warning');
+            return;
+        }
+        try {
+            parseStrategyRules(rules, name);
+        } catch (error) {
+            setStatus(`Error: ${error.message}`, 'error');
+            return;
+        }
+
+        if (index >= 0) {
+            customStrategies[index] = { name, rules };
+        } else {
+            customStrategies.push({ name, rules });
+            index = customStrategies.length - 1;
+        }
+        renderStrategySelection(index);
+        setStatus(`Saved the custom strategy "${name}". Save a profile to keep it for later.`, 'success');
+    }
+
+    /**
+     * Deletes the strategy selected in the editor.
+     */
+    function deleteCustomStrategy() {
+        const index = parseInt(document.getElementById('customStrategySelector').value, 10);
+        const custom = customStrategies[index];
+        if (!custom || !confirm(`Delete the custom strategy "${custom.name}"?`)) return;
+        customStrategies.splice(index, 1);
+        renderStrategySelection();
+        setStatus(`Deleted the custom strategy "${custom.name}".`, 'success');
+    }
+
+    // --- TARIFF LIBRARY --- //
+    // Named tariff plans come from the built-in TARIFF_LIBRARY (tariff-library.js) and from custom plans
+    // saved in this browser. Plans describe rates as hour windows; applying one converts it to the tariff
+    // schedule edited in the hourly tables, and saving converts the schedule back into windows.
+
+    /**
+     * Loads the user's custom tariff plans from localStorage.
+     * @returns {Array<Object>} The saved plans, or an empty array if none are stored or storage is unavailable.
+     */
+    function loadCustomTariffPlans() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CUSTOM_TARIFFS_STORAGE_KEY) || '[]');
+            return Array.isArray(stored)
+                ? stored.filter(plan => { try { validateTariffPlan(plan); return true; } catch { return false; } }).map(withSupplier)
+                : [];
+        } catch (error) {
+            console.error('Could not load saved tariff plans:', error);
+            return [];
         }
+    }
 
-        if (dataStartIndex === -1) {
-            throw new Error('Could not find a valid data header row in the PVGIS file. Expected a line starting with "time,P,...".');
+    /**
+     * Persists the user's custom tariff plans to localStorage.
+     */
+    function saveCustomTariffPlans() {
+        try {
+            localStorage.setItem(CUSTOM_TARIFFS_STORAGE_KEY, JSON.stringify(customTariffPlans));
+        } catch (error) {
+            console.error('Could not save tariff plans:', error);
+            setStatus('Could not save tariff plans in this browser.', 'error');
         }
+    }
 
-        const pIndex = headers.findIndex(h => h === 'P');
-        if (pIndex === -1) throw new Error('PVGIS file is missing the required "P" (power) column.');
+    /**
+     * Fills the tariff plan selector with the built-in and custom plans.
+     * @param {string} [selectedId=''] - The id of the plan to select.
+     */
+    function populateTariffPlanSelector(selectedId = '') {
+        const selector = document.getElementById('tariffPlanSelector');
+        const toOption = plan => `<option value="${escapeHtml(plan.id)}">${escapeHtml(`${plan.supplier} - ${plan.name}`)}</option>`;
+
+        selector.innerHTML = `<option value="">Custom rates (edit the tables below)</option>
+            <optgroup label="Built-in plans">${TARIFF_LIBRARY.map(toOption).join('')}</optgroup>
+            ${customTariffPlans.length > 0 ? `<optgroup label="My plans">${customTariffPlans.map(toOption).join('')}</optgroup>` : ''}`;
+        selector.value = selectedId;
+        updateTariffPlanDetails();
+    }
 
-        const pvgisData = [];
-        for (let i = dataStartIndex; i < lines.length; i++) {
-            const values = lines[i].split(',');
-            pvgisData.push({ time: values[0], P: parseFloat(values[pIndex]) });
+    /**
+     * Shows the notes for the selected plan and enables the delete button for custom plans only.
+     */
+    function updateTariffPlanDetails() {
+        const plan = findTariffPlan(document.getElementById('tariffPlanSelector').value);
+        const notesEl = document.getElementById('tariffPlanNotes');
+        const isCustom = !!plan && customTariffPlans.includes(plan);
+
+        document.getElementById('deleteTariffPlanBtn').disabled = !isCustom;
+        if (!plan) {
+            notesEl.textContent = '';
+            return;
         }
-        return { data: pvgisData, metadata: metadata };
+        const reviewed = plan.lastReviewed ? ` Rates last reviewed ${plan.lastReviewed}.` : '';
+        notesEl.textContent = isCustom ? (plan.notes || 'Your saved plan.') : `${plan.notes || ''} Indicative rates incl. VAT; check the supplier's current prices.${reviewed}`;
     }
 
     /**
-     * Calculates summary metrics from raw PVGIS data.
-     * @param {Array<Object>} rawPvgisData - The raw data from `parsePvgisCsv`.
-     * @returns {Object} An object with monthly generation, total generation, and peak power.
+     * Finds a built-in or custom tariff plan by id.
+     * @param {string} id - The plan id.
+     * @returns {Object|undefined} The plan.
      */
-    function calculatePvgisSummary(rawPvgisData) {
-        // Find the most recent year in the dataset and check for multiple years
-        let latestYear = 0;
-        const allYears = new Set();
-        rawPvgisData.forEach(d => {
-            const year = parseInt(d.time.substring(0, 4), 10);
-            allYears.add(year);
-            if (year > latestYear) {
-                latestYear = year;
+    function findTariffPlan(id) {
+        return customTariffPlans.find(plan => plan.id === id) || TARIFF_LIBRARY.find(plan => plan.id === id);
+    }
+
+    /**
+     * Fills in the supplier of a plan that was saved or imported without one, so its label reads "Custom - Name".
+     * @param {Object} plan - A validated tariff plan.
+     * @returns {Object} The plan with a `supplier`.
+     */
+    function withSupplier(plan) {
+        return plan.supplier ? plan : { ...plan, supplier: 'Custom' };
+    }
+
+    /**
+     * Checks that an object is a usable tariff plan, e.g. one read from an imported JSON file.
+     * @param {Object} plan - The plan to check.
+     * @throws {Error} If the plan is missing fields or has invalid hours or rates.
+     */
+    function validateTariffPlan(plan) {
+        const isRate = value => typeof value === 'number' && isFinite(value);
+        const isHour = value => Number.isInteger(value) && value >= 0 && value <= 24;
+        const isMonthDay = value => typeof value === 'string' && /^\d{2}-\d{2}$/.test(value);
+        const label = plan?.name ? `"${plan.name}"` : 'A plan';
+
+        if (!plan || typeof plan.id !== 'string' || typeof plan.name !== 'string') throw new Error('Each tariff plan needs an "id" and a "name".');
+        if (plan.supplier !== undefined && typeof plan.supplier !== 'string') throw new Error(`${label} has a "supplier" that is not text.`);
+        if (!isRate(plan.standingChargePerDay) || !isRate(plan.exportRate)) throw new Error(`${label} needs a numeric "standingChargePerDay" and "exportRate".`);
+        if (!Array.isArray(plan.periods) || plan.periods.length === 0) throw new Error(`${label} needs at least one period.`);
+
+        plan.periods.forEach(period => {
+            if (!['all', 'weekday', 'weekend'].includes(period.dayType) || !isMonthDay(period.startDate) || !isMonthDay(period.endDate)) {
+                throw new Error(`${label} has a period with an invalid day type or date range.`);
             }
+            if (!isRate(period.defaultRate)) throw new Error(`${label} has a period without a numeric "defaultRate".`);
+            [...(period.windows || []), ...(period.exportWindows || [])].forEach(window => {
+                if (!isHour(window.start) || !isHour(window.end) || !isRate(window.rate)) {
+                    throw new Error(`${label} has a time window with invalid hours or rate.`);
+                }
+            });
         });
+    }
+
+    /**
+     * Checks that an object is a usable tariff schedule, e.g. one from an imported profile or a shared link:
+     * the same day types and dates as a tariff plan, and 24 hourly import rates, export rates and force-charge flags.
+     * @param {Object} schedule - The schedule to check.
+     * @returns {boolean} True if the schedule can be shown in the rate tables and simulated.
+     */
+    function isValidTariffSchedule(schedule) {
+        const isRate = value => typeof value === 'number' && isFinite(value);
+        const isMonthDay = value => typeof value === 'string' && /^\d{2}-\d{2}$/.test(value);
+        const isHourly = (values, isValid) => Array.isArray(values) && values.length === 24 && values.every(isValid);
+
+        return !!schedule && Array.isArray(schedule.periods) && schedule.periods.length > 0 && schedule.periods.every(period =>
+            !!period && ['all', 'weekday', 'weekend'].includes(period.dayType) && isMonthDay(period.startDate) && isMonthDay(period.endDate)
+            && isHourly(period.importRates, isRate) && isHourly(period.exportRates, isRate)
+            && isHourly(period.forceChargeHours, value => typeof value === 'boolean'));
+    }
+
+    /**
+     * Lists the hours covered by a time window, wrapping past midnight if the end is before the start.
+     * @param {Object} window - A window with `start` (inclusive) and `end` (exclusive) hours.
+     * @returns {Array<number>} The hours 0-23 in the window.
+     */
+    function getWindowHours(window) {
+        const length = (((window.end - window.start) % 24) + 24) % 24 || 24; // A window from 00 to 24 (or 00 to 00) covers the whole day.
+        return Array.from({ length }, (_, i) => (window.start + i) % 24);
+    }
+
+    /**
+     * Converts a tariff plan into the tariff schedule used by the hourly tables and the engine.
+     * @param {Object} plan - The tariff plan.
+     * @returns {Object} A tariff schedule object.
+     */
+    function planToTariffSchedule(plan) {
+        return {
+            periods: plan.periods.map(period => {
+                const importRates = Array(24).fill(period.defaultRate);
+                const exportRates = Array(24).fill(plan.exportRate);
+                const forceChargeHours = Array(24).fill(false);
+
+                (period.windows || []).forEach(window => getWindowHours(window).forEach(hour => {
+                    importRates[hour] = window.rate;
+                    forceChargeHours[hour] = !!window.forceCharge;
+                }));
+                (period.exportWindows || []).forEach(window => getWindowHours(window).forEach(hour => {
+                    exportRates[hour] = window.rate;
+                }));
+
+                return { name: period.name || 'Period', dayType: period.dayType, startDate: period.startDate, endDate: period.endDate, importRates, exportRates, forceChargeHours };
+            })
+        };
+    }
+
+    /**
+     * Converts a tariff schedule back into a plan, grouping consecutive hours with the same settings into windows.
+     * @param {Object} schedule - The tariff schedule.
+     * @param {Object} details - The plan's id, supplier, name, notes, standing charge and export rate.
+     * @returns {Object} A tariff plan.
+     */
+    function tariffScheduleToPlan(schedule, details) {
+        // The most common rate becomes the default; every other run of hours becomes a window.
+        const mostCommon = values => {
+            const counts = new Map();
+            values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+            return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+        };
+        // Groups consecutive hours with the same key, skipping hours that match the default.
+        // A run that reaches midnight and continues from 00:00 is joined into one wrapping window.
+        const toWindows = (keys, defaultKey) => {
+            const windows = [];
+            keys.forEach((key, hour) => {
+                if (key === defaultKey) return;
+                const last = windows[windows.length - 1];
+                if (last && last.end === hour && keys[last.start] === key) {
+                    last.end = hour + 1;
+                } else {
+                    windows.push({ start: hour, end: hour + 1 });
+                }
+            });
+            const first = windows[0];
+            const last = windows[windows.length - 1];
+            if (windows.length > 1 && first.start === 0 && last.end === 24 && keys[first.start] === keys[last.start]) {
+                windows.shift();
+                last.end = first.end;
+            }
+            return windows;
+        };
+
+        return {
+            ...details,
+            periods: schedule.periods.map(period => {
+                const defaultRate = mostCommon(period.importRates);
+                const importKeys = period.importRates.map((rate, hour) => `${rate}|${period.forceChargeHours[hour]}`);
+                const windows = toWindows(importKeys, `${defaultRate}|false`).map(window => ({
+                    ...window,
+                    rate: period.importRates[window.start],
+                    ...(period.forceChargeHours[window.start] ? { forceCharge: true } : {})
+                }));
+                const exportKeys = period.exportRates.map(rate => `${rate}`);
+                const exportWindows = toWindows(exportKeys, `${details.exportRate}`).map(window => ({ ...window, rate: period.exportRates[window.start] }));
+
+                return {
+                    name: period.name,
+                    dayType: period.dayType,
+                    startDate: period.startDate,
+                    endDate: period.endDate,
+                    defaultRate,
+                    windows,
+                    ...(exportWindows.length > 0 ? { exportWindows } : {})
+                };
+            })
+        };
+    }
+
+    /**
+     * Loads a tariff plan into the form: the schedule tables, tariff types, standing charge and export rate.
+     * @param {Object} plan - The tariff plan to apply.
+     */
+    function applyTariffPlan(plan) {
+        tariffSchedule = planToTariffSchedule(plan);
+        selectedTariffPeriodIndex = 0;
+        createHourlyRateInputs();
 
-        // Filter the data to only include the most recent year for the summary
-        const singleYearData = rawPvgisData.filter(d => {
-            const year = parseInt(d.time.substring(0, 4), 10);
-            return year === latestYear;
+        const hasVaryingExport = tariffSchedule.periods.some(period => period.exportRates.some(rate => rate !== plan.exportRate));
+        document.getElementById('importTariffHourly').checked = true;
+        document.getElementById(hasVaryingExport ? 'exportTariffHourly' : 'exportTariffFlat').checked = true;
+        document.getElementById('exportPrice').value = plan.exportRate;
+        document.getElementById('standingCharge').value = plan.standingChargePerDay;
+        ['importTariffHourly', hasVaryingExport ? 'exportTariffHourly' : 'exportTariffFlat'].forEach(id => {
+            document.getElementById(id).dispatchEvent(new Event('change'));
         });
 
-        const monthlyGeneration = Array(12).fill(0);
-        let totalAnnualGeneration = 0;
-        let peakPower = 0;
-
-        // Use the single-year data for transformation and calculation
-        const transformedData = transformPvgisData(singleYearData);
+        updateFinancialsUI();
+        lucide.createIcons();
+    }
 
-        transformedData.forEach(d => {
-            const monthIndex = d.timestamp.getUTCMonth(); // 0-11
-            monthlyGeneration[monthIndex] += d.generation;
-            totalAnnualGeneration += d.generation;
-        });
+    /**
+     * Handles selection of a plan from the tariff library.
+     * @param {Event} e - The change event object.
+     */
+    function handleTariffPlanChange(e) {
+        const plan = findTariffPlan(e.target.value);
+        updateTariffPlanDetails();
+        if (!plan) return;
+        applyTariffPlan(plan);
+        setStatus(`Loaded tariff plan: ${plan.supplier} - ${plan.name}`, 'success');
+    }
 
-        // Find peak power from the single-year data as well for consistency
-        singleYearData.forEach(d => {
-            if (d.P > peakPower) peakPower = d.P;
+    /**
+     * Saves the current tables, standing charge and export rate as a custom plan.
+     * Saving under the name of an existing custom plan overwrites it.
+     */
+    function saveCurrentTariffPlan() {
+        const selected = findTariffPlan(document.getElementById('tariffPlanSelector').value);
+        const isCustom = !!selected && customTariffPlans.includes(selected);
+        const suggestedName = selected ? (isCustom ? selected.name : `${selected.name} (my copy)`) : 'My tariff';
+        const name = prompt('Save the current rates as a tariff plan named:', suggestedName)?.trim();
+        if (!name) return;
+
+        const existing = customTariffPlans.find(plan => plan.name === name);
+        if (existing && !confirm(`A plan called "${name}" already exists. Overwrite it?`)) return;
+
+        saveVisibleTariffPeriod();
+        const plan = tariffScheduleToPlan(tariffSchedule, {
+            id: existing?.id || `custom-${Date.now()}`,
+            supplier: selected?.supplier || 'Custom',
+            name,
+            notes: existing?.notes || '',
+            standingChargePerDay: parseFloat(document.getElementById('standingCharge').value) || 0,
+            exportRate: parseFloat(document.getElementById('exportPrice').value) || 0
         });
 
-        return { monthlyGeneration, totalAnnualGeneration, peakPower: peakPower / 1000, yearUsed: latestYear, isMultiYear: allYears.size > 1 };
+        customTariffPlans = existing ? customTariffPlans.map(p => p === existing ? plan : p) : [...customTariffPlans, plan];
+        saveCustomTariffPlans();
+        populateTariffPlanSelector(plan.id);
+        setStatus(`Saved tariff plan: ${name}`, 'success');
     }
 
     /**
-     * Filters the parsed data to include only the last 12 full calendar months.
-     * @param {Array<Object>} data - The full array of parsed data.
-     * @returns {Array<Object>} The filtered data array.
+     * Deletes the selected custom plan. Built-in plans cannot be deleted.
      */
-    function filterLast12FullMonths(data) {
-        if (data.length === 0) return [];
-
-        const latestTimestamp = data[data.length - 1].timestamp;
-        
-        // Find the start of the month of the last data point.
-        const endDate = new Date(latestTimestamp);
-        endDate.setUTCDate(1);
-        endDate.setUTCHours(0, 0, 0, 0);
-
-        // Subtract one year to get the start date.
-        const startDate = new Date(endDate);
-        startDate.setUTCFullYear(startDate.getUTCFullYear() - 1);
-        
-        return data.filter(row => row.timestamp >= startDate && row.timestamp < endDate);
+    function deleteSelectedTariffPlan() {
+        const plan = findTariffPlan(document.getElementById('tariffPlanSelector').value);
+        if (!plan || !customTariffPlans.includes(plan)) return;
+        if (!confirm(`Delete the tariff plan "${plan.name}"?`)) return;
+
+        customTariffPlans = customTariffPlans.filter(p => p !== plan);
+        saveCustomTariffPlans();
+        populateTariffPlanSelector();
+        setStatus(`Deleted tariff plan: ${plan.name}`, 'success');
     }
 
     /**
-     * A helper function to pause execution and allow the browser to repaint the UI.
-     * This is crucial for updating status messages during a long-running simulation.
-     * @returns {Promise<void>}
+     * Downloads the custom plans (or the selected built-in plan if there are none) as a JSON file.
      */
-    const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+    function exportTariffPlans() {
+        const selected = findTariffPlan(document.getElementById('tariffPlanSelector').value);
+        const plans = customTariffPlans.length > 0 ? customTariffPlans : (selected ? [selected] : []);
+        if (plans.length === 0) {
+            setStatus('There are no saved tariff plans to export. Save or select a plan first.', 'warning');
+            return;
+        }
+
+        const fileContent = { format: TARIFF_PLAN_FORMAT, version: TARIFF_PLAN_FORMAT_VERSION, plans };
+        downloadFile(JSON.stringify(fileContent, null, 2), 'tariff_plans.json', 'application/json');
+        setStatus(`Exported ${plans.length} tariff plan(s) to tariff_plans.json`, 'success');
+    }
 
     /**
-     * Checks if a given year is a leap year.
-     * @param {number} year The year to check.
-     * @returns {boolean} True if it's a leap year.
+     * Imports tariff plans from a JSON file and adds them to the custom plans.
+     * Plans with the same id as an existing custom plan replace it.
+     * @param {Event} e - The file input change event.
      */
-    function isLeapYear(year) {
-        return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
+    async function handleTariffPlansFileChange(e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow the same file to be imported again.
+        if (!file) return;
+
+        try {
+            const content = JSON.parse(await file.text());
+            const plans = Array.isArray(content) ? content : content?.plans;
+            if (!Array.isArray(plans) || plans.length === 0) throw new Error('The file does not contain any tariff plans.');
+            if (content.format && content.format !== TARIFF_PLAN_FORMAT) throw new Error('This is not a tariff plan file.');
+            plans.forEach(validateTariffPlan);
+
+            // Imported plans must not shadow a built-in plan, so their ids are kept distinct.
+            const imported = plans.map(withSupplier).map(plan => TARIFF_LIBRARY.some(p => p.id === plan.id) ? { ...plan, id: `custom-${plan.id}` } : plan);
+            const importedIds = new Set(imported.map(plan => plan.id));
+            customTariffPlans = [...customTariffPlans.filter(plan => !importedIds.has(plan.id)), ...imported];
+            saveCustomTariffPlans();
+            populateTariffPlanSelector(imported[0].id);
+            applyTariffPlan(imported[0]);
+            setStatus(`Imported ${imported.length} tariff plan(s).`, 'success');
+        } catch (error) {
+            console.error('Error importing tariff plans:', error);
+            setStatus(`Error: ${error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message}`, 'error');
+        }
     }
 
 
-    // --- SIMULATION CORE --- //
+    // --- SIMULATION --- //
+    // The page prepares the data and runs every simulation through a runner. The runner is a pool of Web Workers
+    // (simulation-worker.js), so the independent strategy and battery size runs are spread over the CPU cores.
+    // Browsers that cannot start module workers fall back to running the engine on the main thread.
 
     /**
      * Orchestrates the entire simulation process from file reading to displaying results.
@@ -583,537 +1627,377 @@ document.addEventListener('DOMContentLoaded', () => {
     async function runFullSimulation() {
         if (isSimulating) { return; }
 
-        const params = getSimulationParameters();
-        const hasForceChargeHours = params.forceChargeHours.some(h => h === true);
+        let params;
+        try {
+            params = getSimulationParameters();
+        } catch (error) {
+            setStatus(`Error: ${error.message}`, 'error'); // e.g. an efficiency curve that cannot be read
+            return;
+        }
+        const hasForceChargeHours = scheduleHasForceChargeHours(params.tariffSchedule);
         
-        const requiresForceCharge = params.strategy === 'export-maximiser' || params.strategy === 'balanced-export-maximiser' || params.strategy === 'import-minimiser';
-        if (requiresForceCharge && !hasForceChargeHours) {
-            setStatus(`Error: For the ${params.strategy} strategy, you must select at least one hour for Force Charging.`, 'error');
+        const selectedStrategy = getSelectedStrategy();
+        if (selectedStrategy.requiresForceChargeHours && !hasForceChargeHours) {
+            setStatus(`Error: For the ${selectedStrategy.name} strategy, you must select at least one hour for Force Charging.`, 'error');
             return;
         }
 
         isSimulating = true;
-        document.getElementById('calculateBtn').disabled = true;
+        isCancelRequested = false;
+        setSimulationControlsRunning(true);
 
         try {
             const file = document.getElementById('csvFile').files[0];
             if (!file) throw new Error('Please select a CSV data file.');
 
-            setStatus('Reading and parsing your HDF data file...', 'loading');
-            await yieldToBrowser();
-
+            let pvgisText = null;
             if (params.dataSource === 'pvgis') {
                 const pvgisFile = document.getElementById('pvgisFile').files[0];
                 if (!pvgisFile) throw new Error('Please select a PVGIS CSV file.');
-
-                setStatus('Reading and parsing your PVGIS data file...', 'loading');
+                pvgisText = await pvgisFile.text();
+            }
+            let priceText = null;
+            if (params.useDynamicPrices) {
+                const priceFile = document.getElementById('dynamicPriceFile').files[0];
+                if (!priceFile) throw new Error('Please select a dynamic price CSV file, or untick "Use dynamic prices from a file".');
+                priceText = await priceFile.text();
+            }
+            const hdfText = await file.text();
+
+            setStatus('Starting the simulation engine...', 'loading');
+            activeRunner = await createSimulationRunner();
+            if (isCancelRequested) throw new Error(CANCELLED_MESSAGE); // Cancel was clicked while the workers were starting
+
+            setStatus(params.dataSource === 'pvgis' ? 'Reading your HDF data and merging the PVGIS data...' : 'Reading and parsing your HDF data file...', 'loading');
+            // The worker also attaches the dynamic prices and adds the heat pump and EV, so the page stays responsive.
+            const prepared = await activeRunner.run({ type: 'prepare', hdfText, pvgisText, priceText, params, period: params.period, dataQuality: params.dataQuality });
+            dataAvailable = prepared.available;
+            dataQualityReport = prepared.dataQuality;
+            ({ data: fullData, dataWithoutHeatPump, heatPump: heatPumpSummary, ev: evSummary, dynamicPrices: dynamicPriceSummary } = prepared);
+            // The year-over-year comparison simulates each calendar year on its own, so it needs at least two.
+            const years = params.period.compareYears ? splitByCalendarYear(fullData) : [];
+            const variants = dataWithoutHeatPump ? { withoutHeatPump: dataWithoutHeatPump } : {};
+            if (years.length > 1) years.forEach(({ year, data }) => { variants[`year-${year}`] = data; });
+            await activeRunner.broadcast({ type: 'setData', data: fullData, variants });
+
+            if (!prepared.coverage.isFullYear) {
+                setStatus(`Warning: The simulated period is ${prepared.coverage.days.toFixed(0)} days, not a full year. Annual figures are scaled to 365 days. Running simulation...`, 'warning');
                 await yieldToBrowser();
+            }
+            if (dataQualityReport.flaggedIntervals > 0 && dataQualityReport.repair === 'leave') {
+                setStatus(`Warning: ${dataQualityReport.flaggedIntervals} half-hours of your data are missing or suspect (see Data Quality in the results). They are simulated as they are. Running simulation...`, 'warning');
+                await yieldToBrowser();
+            }
+            if (dynamicPriceSummary?.missingIntervals > 0) {
+                const missingDays = (dynamicPriceSummary.missingIntervals / INTERVALS_PER_DAY).toFixed(1);
+                setStatus(`Warning: The price file does not cover ${missingDays} days of your data. The tariff's rates are used there. Running simulation...`, 'warning');
+                await yieldToBrowser();
+            }
 
-                // First, parse the HDF to get the consumption data and the target year
-                const fileText = await file.text();
-                let parsedData = parseHDF(fileText);
-                if (parsedData.length === 0) throw new Error('No valid data rows were parsed from the HDF file. Please check the file format.');
-
-                const lastDataPoint = parsedData[parsedData.length - 1];
-                const dataYear = lastDataPoint?.timestamp.getUTCFullYear();
-                if (!dataYear) throw new Error("Could not determine the year from your HDF data.");
-
-                // Now, parse the uploaded PVGIS file
-                const pvgisText = await pvgisFile.text();
-                const pvgisResult = parsePvgisCsv(pvgisText); // This is the unscaled data
-
-                const rawPvgisData = pvgisResult.data;
-                
-                const transformedPvgisData = transformPvgisData(rawPvgisData);
+            const strategyRuns = getStrategyRuns(params);
+            const strategyResults = await runSimulationBatch(
+                strategyRuns.map(run => ({ type: 'simulate', params: run.params, includeLog: true })),
+                'Running the strategy simulations'
+            );
+            simulationResults = {};
+            simulationParams = params;
+            strategyRuns.forEach((run, index) => { simulationResults[run.strategy.key] = strategyResults[index]; });
+            // Shown with the real strategies first and the benchmarks last
+            const strategies = strategyRuns.map(run => run.strategy);
+            simulatedStrategies = [...strategies.filter(strategy => !strategy.isBenchmark), ...strategies.filter(strategy => strategy.isBenchmark)];
+
+            // Re-run each strategy with faded capacities to project the savings as the battery ages.
+            if (hasDegradation(params)) {
+                const degradationRuns = strategyRuns.map(run => getDegradationRuns(run.params));
+                const fadedResults = await runSimulationBatch(
+                    degradationRuns.flat().map(run => ({ type: 'simulate', params: run.params })),
+                    'Projecting battery degradation'
+                );
+                strategyRuns.forEach((run, index) => {
+                    const runCount = degradationRuns[index].length;
+                    applyDegradation(simulationResults[run.strategy.key], fadedResults.slice(index * runCount, (index + 1) * runCount), run.params);
+                });
+            }
 
-                parsedData = mergePvgisData(parsedData, transformedPvgisData);
-                setStatus('PVGIS data merged. Filtering data...', 'loading');
-                await yieldToBrowser();
-                fullData = filterLast12FullMonths(parsedData);
-            } else {
-                // If not using PVGIS, just parse the HDF as normal
-                const fileText = await file.text();
-                let parsedData = parseHDF(fileText);
-                if (parsedData.length === 0) throw new Error('No valid data rows were parsed from the HDF file. Please check the file format.');
-                fullData = filterLast12FullMonths(parsedData);
+            // With a heat pump, each strategy is also simulated without it, for the with/without comparison.
+            if (dataWithoutHeatPump) {
+                const withoutResults = await runSimulationBatch(
+                    strategyRuns.map(run => ({ type: 'simulate', params: run.params, variant: 'withoutHeatPump' })),
+                    'Simulating the strategies without the heat pump'
+                );
+                strategyRuns.forEach((run, index) => { simulationResults[run.strategy.key].withoutHeatPump = withoutResults[index]; });
             }
 
-            if (fullData.length === 0) throw new Error('No data found within the last 12 full months. Please ensure your file contains a recent and complete year of data.');
+            // With a diverter, each strategy is also simulated without it, to show the battery on its own.
+            if (params.diverter.enabled) {
+                const withoutResults = await runSimulationBatch(
+                    strategyRuns.map(run => ({ type: 'simulate', params: { ...run.params, diverter: { ...run.params.diverter, enabled: false } } })),
+                    'Simulating the strategies without the diverter'
+                );
+                strategyRuns.forEach((run, index) => { simulationResults[run.strategy.key].withoutDiverter = withoutResults[index]; });
+            }
 
-            const uniqueMonths = new Set(fullData.map(d => d.timestamp.toISOString().slice(0, 7))).size;
-            if (uniqueMonths < 12) {
-                setStatus(`Warning: Only ${uniqueMonths} full months of data found. Annual figures will be an extrapolation. Running simulation...`, 'warning');
-            } else {
-                setStatus('Data processed successfully. Running simulation...', 'loading');
+            // Each calendar year on its own, for the year-over-year comparison
+            yearResults = [];
+            if (years.length > 1) {
+                const yearRunResults = await runSimulationBatch(
+                    years.flatMap(({ year }) => strategyRuns.map(run => ({ type: 'simulate', params: run.params, variant: `year-${year}` }))),
+                    'Simulating each year on its own'
+                );
+                yearResults = years.map(({ year, data }, yearIndex) => {
+                    const results = {};
+                    strategyRuns.forEach((run, index) => { results[run.strategy.key] = yearRunResults[yearIndex * strategyRuns.length + index]; });
+                    return { year, coverage: getPeriodCoverage(data), results };
+                });
             }
-            await yieldToBrowser();
-
-            setStatus('Running Self-Consumption simulation...', 'loading');
-            await yieldToBrowser();
-            const paramsSC = { ...params, strategy: 'self-consumption' };
-            const resultsSC = await runSimulation(fullData, paramsSC);
-
-            setStatus('Running Export Maximiser simulation...', 'loading');
-            await yieldToBrowser();
-            const paramsEM = { ...params, strategy: 'export-maximiser' };
-            const resultsEM = await runSimulation(fullData, paramsEM);
-
-            setStatus('Running Balanced Export Maximiser simulation...', 'loading');
-            await yieldToBrowser();
-            const paramsBEM = { ...params, strategy: 'balanced-export-maximiser' };
-            const resultsBEM = await runSimulation(fullData, paramsBEM);
-
-            setStatus('Running Import Minimiser simulation...', 'loading');
-            await yieldToBrowser();
-            const paramsIM = { ...params, strategy: 'import-minimiser' };
-            const resultsIM = await runSimulation(fullData, paramsIM);
-
-            simulationResults = {
-                selfConsumption: resultsSC,
-                exportMaximiser: resultsEM,
-                balancedExportMaximiser: resultsBEM,
-                importMinimiser: resultsIM
-            };
 
             updateUIWithResults(hasForceChargeHours);
 
             // Run optimization analysis for different battery sizes
-            setStatus('Running optimization analysis for different battery sizes...', 'loading');
-            await yieldToBrowser();
-            const optimizationData = await runOptimizationAnalysis(fullData, params); // Use user's selected params for this
-            generateOptimizationChart(optimizationData, params.batteryCapacity);
+            const optimizationRuns = getOptimizationRuns(params); // Use user's selected params for this
+            const optimizationResults = await runSimulationBatch(
+                optimizationRuns.map(run => ({ type: 'simulate', params: run.params })),
+                'Running optimization analysis for different battery sizes'
+            );
+            const optimizationData = collectOptimizationResults(optimizationRuns, optimizationResults.map(result => result.annualSavings));
+            generateOptimizationChart(optimizationData, simulationParams.batteryCapacity);
 
             setStatus('Simulation and analysis complete! Results are shown below.', 'success');
 
         } catch (error) {
-            console.error('Error during simulation process:', error);
-            setStatus(`Error: ${error.message}`, 'error');
+            if (error.message === CANCELLED_MESSAGE) {
+                setStatus('Simulation cancelled.', 'warning');
+            } else {
+                console.error('Error during simulation process:', error);
+                setStatus(`Error: ${error.message}`, 'error');
+            }
         } finally {
+            activeRunner?.terminate();
+            activeRunner = null;
             isSimulating = false;
-            document.getElementById('calculateBtn').disabled = false;
+            setSimulationControlsRunning(false);
         }
     }
-    
+
     /**
-     * Collects all user-defined parameters from the input fields.
-     * @returns {Object} An object containing all parameters for the simulation.
+     * Stops the simulation in progress. Results that are already shown are kept.
      */
-    function getSimulationParameters() {
-        const batteryCapacity = parseFloat(document.getElementById('batterySize').value);
-        
-        const params = {
-            batteryCapacity: batteryCapacity,
-            usableCapacity: batteryCapacity * (parseFloat(document.getElementById('usableCapacity').value) / 100),
-            minSoc: parseFloat(document.getElementById('minSoc').value),
-            maxSoc: parseFloat(document.getElementById('maxSoc').value),
-            maxChargeRate: parseFloat(document.getElementById('chargeRate').value),
-            maxDischargeRate: parseFloat(document.getElementById('chargeRate').value), // Assuming charge and discharge rates are the same
-            roundtripEfficiency: parseFloat(document.getElementById('roundtripEfficiency').value) / 100,
-            systemCost: parseFloat(document.getElementById('systemCost').value),
-            strategy: document.querySelector('input[name="strategy"]:checked').value,
-            dataSource: document.querySelector('input[name="dataSource"]:checked').value,
-            mic: parseFloat(document.getElementById('mic').value),
-            mec: parseFloat(document.getElementById('mec').value),
-            importPrices: [],
-            exportPrices: [],
-            forceChargeHours: [],
-        };
-
-        const importIsHourly = document.querySelector('input[name="importTariffType"]:checked').value === 'hourly';
-        const exportIsHourly = document.querySelector('input[name="exportTariffType"]:checked').value === 'hourly';
-        
-        for (let i = 0; i < 24; i++) {
-            params.importPrices[i] = importIsHourly ? parseFloat(document.getElementById(`import-rate-${i}`).value) : parseFloat(document.getElementById('importPrice').value);
-            params.exportPrices[i] = exportIsHourly ? parseFloat(document.getElementById(`export-rate-${i}`).value) : parseFloat(document.getElementById('exportPrice').value);
-            params.forceChargeHours[i] = document.getElementById(`import-force-charge-${i}`)?.checked || false;
-        }
-        return params;
+    function cancelSimulation() {
+        if (!isSimulating) return;
+        isCancelRequested = true;
+        setStatus('Cancelling...', 'loading');
+        activeRunner?.cancel();
     }
 
     /**
-     * Transforms raw hourly PVGIS data into 30-minute interval data.
-     * @param {Array<Object>} hourlyData - The raw hourly data from the PVGIS CSV.
-     * @returns {Array<Object>} An array of transformed data points with 30-minute intervals.
+     * Switches between the Run and Cancel buttons.
+     * @param {boolean} isRunning - True while a simulation is in progress.
      */
-    function transformPvgisData(hourlyData) {
-        const pvgisData = [];
-        hourlyData.forEach(item => {
-            const timeStr = item.time; // Format: "20230101:0010"
-            const pvgisYear = parseInt(timeStr.substring(0, 4), 10);
-            const month = parseInt(timeStr.substring(4, 6), 10) - 1;
-            const day = parseInt(timeStr.substring(6, 8), 10);
-            const hour = parseInt(timeStr.substring(9, 11), 10);
-
-            const powerInWatts = item.P;
-            // PVGIS gives average power (W) over the hour. To get energy (kWh) for 30 mins,
-            // we multiply by 0.5 hours and divide by 1000.
-            const energyInKwh_30min = (powerInWatts * HOURS_PER_INTERVAL) / 1000;
-
-            // Create two 30-minute intervals for each hour, using the year from the PVGIS data itself.
-            const firstIntervalTs = new Date(Date.UTC(pvgisYear, month, day, hour, 0, 0));
-            const secondIntervalTs = new Date(Date.UTC(pvgisYear, month, day, hour, 30, 0));
-
-            // A safeguard against invalid dates that could be created from malformed CSV data.
-            if (isNaN(firstIntervalTs.getTime())) return;
-
-            pvgisData.push({ timestamp: firstIntervalTs, generation: energyInKwh_30min });
-            pvgisData.push({ timestamp: secondIntervalTs, generation: energyInKwh_30min });
-        });
-        return pvgisData;
+    function setSimulationControlsRunning(isRunning) {
+        document.getElementById('calculateBtn').disabled = isRunning;
+        document.getElementById('cancelBtn').classList.toggle('hidden', !isRunning);
     }
 
     /**
-     * Merges simulated PVGIS generation data with the user's consumption data.
-     * @param {Array<Object>} consumptionData - The user's data parsed from HDF.
-     * @param {Array<Object>} generationData - The simulated data from PVGIS.
-     * @returns {Array<Object>} The merged dataset.
+     * Runs a batch of simulation tasks on the active runner and reports their combined progress.
+     * @param {Array<Object>} tasks - The engine tasks to run.
+     * @param {string} label - The status text shown while the batch runs.
+     * @returns {Promise<Array<Object>>} The results, in the same order as the tasks.
      */
-    function mergePvgisData(consumptionData, generationData) {
-        // Helper to create a year-agnostic key (e.g., "02-29T14:30") from a Date object.
-        const getMonthDayTimeKey = (date) => {
-            const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
-            const day = date.getUTCDate().toString().padStart(2, '0');
-            const hours = date.getUTCHours().toString().padStart(2, '0');
-            const minutes = date.getUTCMinutes().toString().padStart(2, '0');
-            return `${month}-${day}T${hours}:${minutes}`;
+    function runSimulationBatch(tasks, label) {
+        const progress = tasks.map(() => 0);
+        const reportProgress = () => {
+            const completed = progress.filter(fraction => fraction === 1).length;
+            const overall = progress.reduce((sum, fraction) => sum + fraction, 0) / tasks.length;
+            setStatus(`${label}... ${completed} of ${tasks.length} done (${Math.round(overall * 100)}%)`, 'loading');
         };
-
-        const genMap = new Map(generationData.map(d => [getMonthDayTimeKey(d.timestamp), d.generation]));
-
-        return consumptionData.map(row => {
-            const key = getMonthDayTimeKey(row.timestamp);
-            let newGeneration = genMap.get(key) || 0;
-
-            // Special handling for leap day (Feb 29). If the consumption data has a Feb 29
-            // but the generation data (from a non-leap year) does not, use Feb 28 data as a fallback.
-            if (newGeneration === 0 && key.startsWith('02-29')) {
-                const fallbackKey = key.replace('02-29', '02-28');
-                newGeneration = genMap.get(fallbackKey) || 0;
-            }
-
-            return { ...row, generation: newGeneration };
-        });
+        reportProgress();
+
+        return Promise.all(tasks.map((task, index) =>
+            activeRunner.run(task, fraction => {
+                progress[index] = fraction;
+                reportProgress();
+            }).then(result => {
+                progress[index] = 1;
+                reportProgress();
+                return result;
+            })
+        ));
     }
+
     /**
-     * The core simulation engine that processes the data step-by-step.
-     * @param {Array<Object>} data - The time-series data to simulate over.
-     * @param {Object} params - The simulation parameters.
-     * @returns {Promise<Object>} An object containing the aggregated results.
+     * Creates the runner for a simulation: a pool of Web Workers, or the main thread if workers cannot be started.
+     * @returns {Promise<Object>} The runner ({run, broadcast, cancel, terminate}).
      */
-    async function runSimulation(data, params) {
-        const minSoC_kWh = params.usableCapacity * (params.minSoc / 100);
-        const maxSoC_kWh = params.usableCapacity * (params.maxSoc / 100);
-        let batterySoC = minSoC_kWh; // Start simulation with battery at minimum SoC.
-
-        const monthlyData = {}; 
-        const detailedLog = [];
-        const efficiencySqrt = Math.sqrt(params.roundtripEfficiency);
-
-        // State variables for tracking daily metrics in the Export Maximiser strategy
-        let dailyMaxSoC = minSoC_kWh;
-        let forceChargeScheduledToday = false;
-
-        for (let i = 0; i < data.length; i++) {
-            const row = data[i];
-            const prevRow = i > 0 ? data[i - 1] : null;
-
-            // --- Progress Update & Day Rollover Logic ---
-            if (i > 0 && i % 1000 === 0) { 
-                setStatus(`Running ${params.strategy} simulation... (${Math.round((i/data.length)*100)}%)`, 'loading'); 
-                await yieldToBrowser(); 
-            }
-            
-            const mKey = row.timestamp.toISOString().slice(0, 7);
-            if (!monthlyData[mKey]) {
-                monthlyData[mKey] = { costWithoutBattery: 0, costWithBattery: 0, exportRevenue: 0, savings: 0, importWithoutBattery: 0, importWithBattery: 0, exportWithBattery: 0, consumption: 0, generation: 0, chargedToBattery: 0, dischargedFromBattery: 0, missedFullCharges: 0 };
-            }
-
-            // Check if the day has changed to reset daily tracking variables
-            if (prevRow && row.timestamp.getUTCDate() !== prevRow.timestamp.getUTCDate()) {
-                // If a force charge was scheduled but the battery didn't reach near-full, log it.
-                if (forceChargeScheduledToday && dailyMaxSoC < (maxSoC_kWh * 0.99)) {
-                    const prevMKey = prevRow.timestamp.toISOString().slice(0, 7);
-                    if (monthlyData[prevMKey]) monthlyData[prevMKey].missedFullCharges++;
-                }
-                // Reset daily trackers
-                dailyMaxSoC = batterySoC;
-                forceChargeScheduledToday = false;
-            }
-
-            // --- Core Simulation Step ---
-            const result = runSingleTimeStep(row, batterySoC, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, forceChargeScheduledToday);
-
-            // Update state for the next iteration
-            batterySoC = result.newSoC;
-            forceChargeScheduledToday = result.newForceChargeScheduledToday;
-            
-            // --- Log & Aggregate Results ---
-            const m = monthlyData[mKey];
-            m.consumption += row.consumption; 
-            m.generation += row.generation; 
-            m.importWithBattery += result.gridImport; 
-            m.exportWithBattery += result.gridExport;
-            m.chargedToBattery += result.toBattery; 
-            m.dischargedFromBattery += result.fromBattery;
-            m.costWithBattery += result.gridImport * params.importPrices[row.timestamp.getUTCHours()]; 
-            m.exportRevenue += result.gridExport * params.exportPrices[row.timestamp.getUTCHours()];
-            
-            // Calculate baseline cost for comparison
-            const energyImportWithoutBattery = Math.max(0, row.consumption - row.generation);
-            m.costWithoutBattery += energyImportWithoutBattery * params.importPrices[row.timestamp.getUTCHours()];
-            m.importWithoutBattery += energyImportWithoutBattery;
-
-            detailedLog.push({ 
-                timestamp: row.timestamp, 
-                consumption: row.consumption, 
-                generation: row.generation, 
-                gridImport: result.gridImport, 
-                gridExport: result.gridExport, 
-                batteryCharge: result.toBattery, 
-                batteryDischarge: result.fromBattery, 
-                batterySoC: batterySoC 
-            });
-
-            if (forceChargeScheduledToday) {
-                dailyMaxSoC = Math.max(dailyMaxSoC, batterySoC);
-            }
+    async function createSimulationRunner() {
+        try {
+            return await createWorkerPool(Math.min(navigator.hardwareConcurrency || 2, MAX_SIMULATION_WORKERS));
+        } catch (error) {
+            console.warn('Simulation workers are unavailable, running on the main thread instead:', error);
+            return createMainThreadRunner();
         }
-        
-        return aggregateFinalResults(monthlyData, detailedLog, data.length, params);
     }
 
     /**
-     * Executes the logic for a single time interval (e.g., 30 minutes).
-     * This function is the heart of the simulation's decision-making process.
-     * @returns {Object} The results of this single time step.
+     * Starts a pool of simulation workers. Tasks are queued and handed to the next idle worker.
+     * @param {number} workerCount - The number of workers to start.
+     * @returns {Promise<Object>} The runner, once every worker has loaded the engine.
      */
-    function runSingleTimeStep(row, currentSoC, params, minSoC_kWh, maxSoC_kWh, efficiencySqrt, forceChargeScheduledToday) {
-        let { consumption: homeConsumption, generation: solarGeneration } = row;
-        let batterySoC = currentSoC;
-        let gridImport = 0, gridExport = 0, toBattery = 0, fromBattery = 0;
+    function createWorkerPool(workerCount) {
+        const queue = []; // Tasks waiting for an idle worker: {message, onProgress, resolve, reject}
+        const pending = new Map(); // Running tasks by message id
+        const idleWorkers = [];
+        let workers = [];
+        let nextId = 0;
+        let isCancelled = false;
+
+        const dispatch = () => {
+            while (idleWorkers.length > 0 && queue.length > 0) {
+                const job = queue.shift();
+                const worker = idleWorkers.pop();
+                pending.set(job.message.id, { ...job, worker });
+                worker.postMessage(job.message);
+            }
+        };
 
-        const hour = row.timestamp.getUTCHours();
-        
-        const month = row.timestamp.getUTCMonth(); // 0 = Jan, 1 = Feb, ..., 10 = Nov, 11 = Dec
-        const isHeatingSeason = [0, 1, 10, 11].includes(month); // Jan, Feb, Nov, Dec
+        const handleMessage = (worker, e) => {
+            const { type, id } = e.data;
+            const job = pending.get(id);
+            if (!job) return;
 
-        const availableEnergyInBattery = Math.max(0, batterySoC - minSoC_kWh);
-        const spaceInBattery = Math.max(0, maxSoC_kWh - batterySoC);
-        
-        const isExportStrategy = params.strategy === 'export-maximiser' || params.strategy === 'balanced-export-maximiser';
-        const isImportMinimiser = params.strategy === 'import-minimiser';
-        const isForceChargeHour = (isExportStrategy || isImportMinimiser) && params.forceChargeHours[hour];
-
-        // Define pre-charge hour logic (4-hour window) to be used in steps 4 and 5.
-        let isPreChargeHour = false;
-        if (isExportStrategy && !isForceChargeHour) { // Note: This is intentionally !isImportMinimiser
-            const nextHour = (hour + 1) % 24;
-            const hourAfterNext = (hour + 2) % 24;
-            const hourAfterNext2 = (hour + 3) % 24; // 3 hours ahead
-            const hourAfterNext3 = (hour + 4) % 24; // 4 hours ahead
-            isPreChargeHour = (
-                params.forceChargeHours[nextHour] || 
-                params.forceChargeHours[hourAfterNext] ||
-                params.forceChargeHours[hourAfterNext2] ||
-                params.forceChargeHours[hourAfterNext3]
-            );
-        }
+            if (type === 'progress') {
+                job.onProgress?.(e.data.fraction);
+                return;
+            }
+            pending.delete(id);
+            idleWorkers.push(worker);
+            if (type === 'result') job.resolve(e.data.result);
+            else job.reject(new Error(e.data.message));
+            dispatch();
+        };
+
+        const terminate = () => {
+            workers.forEach(worker => worker.terminate());
+            workers = [];
+        };
 
-        // 1. Direct Solar Self-Consumption
-        let remainingDemand = homeConsumption;
-        let excessSolar = solarGeneration;
-        const selfConsumptionFromSolar = Math.min(remainingDemand, excessSolar);
-        remainingDemand -= selfConsumptionFromSolar;
-        excessSolar -= selfConsumptionFromSolar;
-
-        // 2. Discharge from Battery to meet Home Demand (if not a force-charge hour)
-        if (!isForceChargeHour) {
-            const dischargeForHome = Math.min(remainingDemand, availableEnergyInBattery * efficiencySqrt, params.maxDischargeRate * HOURS_PER_INTERVAL);
-            if (dischargeForHome > FLOAT_TOLERANCE) {
-                const energyDrawnFromBattery = dischargeForHome / efficiencySqrt;
-                batterySoC -= energyDrawnFromBattery;
-                fromBattery += energyDrawnFromBattery;
-                remainingDemand -= dischargeForHome;
+        const run = (task, onProgress = null, worker = null) => new Promise((resolve, reject) => {
+            if (isCancelled) {
+                reject(new Error(CANCELLED_MESSAGE));
+                return;
             }
-        }
-        
-        // 3. Import from Grid for remaining home demand
-        gridImport += remainingDemand;
-
-        // 4. Handle Excess Solar Generation
-        if (excessSolar > 0) {
-            if (isExportStrategy && isPreChargeHour) {
-                // It's a pre-charge hour. Do NOT charge. Export all solar to help empty the battery.
-                gridExport += excessSolar;
+            const job = { message: { id: nextId++, task }, onProgress, resolve, reject };
+            if (worker) {
+                // Tasks for a specific worker (e.g. loading the data) are sent straight away.
+                pending.set(job.message.id, { ...job, worker });
+                worker.postMessage(job.message);
             } else {
-                // NOT a pre-charge hour OR strategy is self-consumption OR strategy is import-minimiser
-                // Prioritize charging battery with solar.
-                const chargeFromSolar = Math.min(excessSolar, spaceInBattery / efficiencySqrt, params.maxChargeRate * HOURS_PER_INTERVAL);
-                if (chargeFromSolar > FLOAT_TOLERANCE) {
-                    batterySoC += chargeFromSolar * efficiencySqrt;
-                    toBattery += chargeFromSolar;
-                    gridExport += excessSolar - chargeFromSolar; // Export any solar left over
-                } else {
-                    gridExport += excessSolar; // Export all if battery is full or can't be charged
-                }
+                queue.push(job);
+                dispatch();
             }
-        }
+        });
 
-        // 5. Handle Force-Charge Strategy Logic
-        if (isExportStrategy || isImportMinimiser) {
-            // 5a. Pre-emptive discharge: Dump battery charge to the grid just before a force-charge window
-            if (isPreChargeHour) {
-                
-                // Check if we should skip pre-emptive discharge
-                const skipPreemptiveDischarge = (params.strategy === 'balanced-export-maximiser' && isHeatingSeason);
-
-                if (!skipPreemptiveDischarge) { // Only run if we are NOT skipping
-                    const energyToDischarge = Math.min(availableEnergyInBattery * efficiencySqrt, params.maxDischargeRate * HOURS_PER_INTERVAL);
-                    const currentExportPower = gridExport / HOURS_PER_INTERVAL;
-                    const availableExportCapacity = params.mec - currentExportPower;
-                    const finalDischarge = Math.min(energyToDischarge, availableExportCapacity * HOURS_PER_INTERVAL);
-                    
-                    if (finalDischarge > FLOAT_TOLERANCE) {
-                        const energyDrawn = finalDischarge / efficiencySqrt;
-                        batterySoC -= energyDrawn;
-                        fromBattery += energyDrawn;
-                        gridExport += finalDischarge;
-                    }
-                }
-            }
-            
-            // 5b. Force Charge from Grid
-            if (isForceChargeHour) {
-                forceChargeScheduledToday = true;
-                const homeImportPower = remainingDemand / HOURS_PER_INTERVAL; // Remaining demand is now home import
-                const availableGridPowerForCharge = params.mic - homeImportPower;
-
-                const chargePower = Math.min(params.maxChargeRate, availableGridPowerForCharge);
-                let energyToCharge = Math.max(0, chargePower * HOURS_PER_INTERVAL);
-                energyToCharge = Math.min(energyToCharge, spaceInBattery / efficiencySqrt);
-                
-                if (energyToCharge > FLOAT_TOLERANCE) {
-                    batterySoC += energyToCharge * efficiencySqrt;
-                    toBattery += energyToCharge;
-                    gridImport += energyToCharge;
+        const runner = {
+            run,
+            // Sends a task to every worker, e.g. to give each one the prepared dataset. Only used while the pool is idle.
+            broadcast: (task) => Promise.all(workers.map(worker => {
+                const idleIndex = idleWorkers.indexOf(worker);
+                if (idleIndex !== -1) idleWorkers.splice(idleIndex, 1);
+                return run(task, null, worker);
+            })),
+            cancel: () => {
+                isCancelled = true;
+                terminate();
+                const cancelled = [...queue, ...pending.values()];
+                queue.length = 0;
+                pending.clear();
+                cancelled.forEach(job => job.reject(new Error(CANCELLED_MESSAGE)));
+            },
+            terminate
+        };
+
+        return new Promise((resolve, reject) => {
+            let readyCount = 0;
+            try {
+                for (let i = 0; i < workerCount; i++) {
+                    const worker = new Worker(SIMULATION_WORKER_URL, { type: 'module' });
+                    workers.push(worker);
+                    worker.addEventListener('message', e => {
+                        if (e.data.type !== 'ready') {
+                            handleMessage(worker, e);
+                            return;
+                        }
+                        idleWorkers.push(worker);
+                        if (++readyCount === workerCount) resolve(runner);
+                    });
+                    worker.addEventListener('error', e => {
+                        e.preventDefault();
+                        const error = new Error(e.message || 'The simulation worker failed to load.');
+                        if (readyCount < workerCount) {
+                            terminate();
+                            reject(error);
+                            return;
+                        }
+                        // A worker that crashes mid-run is dropped with its jobs; the rest of the pool carries on.
+                        worker.terminate();
+                        workers = workers.filter(w => w !== worker);
+                        const idleIndex = idleWorkers.indexOf(worker);
+                        if (idleIndex !== -1) idleWorkers.splice(idleIndex, 1);
+                        const failed = [...pending.entries()].filter(([, job]) => job.worker === worker);
+                        failed.forEach(([id]) => pending.delete(id));
+                        // Without any workers left, the queued tasks would never run.
+                        if (workers.length === 0) failed.push(...queue.splice(0).map(job => [null, job]));
+                        failed.forEach(([, job]) => job.reject(error));
+                    });
                 }
+            } catch (error) {
+                terminate();
+                reject(error);
             }
-        }
-        
-        // 6. Final Clipping: Ensure grid export does not exceed the Maximum Export Capacity (MEC)
-        if (gridExport / HOURS_PER_INTERVAL > params.mec) {
-            gridExport = params.mec * HOURS_PER_INTERVAL;
-        }
-
-        return {
-            gridImport, gridExport, toBattery, fromBattery, 
-            newSoC: batterySoC, 
-            newForceChargeScheduledToday: forceChargeScheduledToday
-        };
+        });
     }
 
     /**
-     * Calculates final summary statistics after the simulation loop is complete.
-     * @param {Object} monthlyData - Aggregated data for each month.
-     * @param {number} dataLength - The total number of intervals simulated.
-     * @param {Array<Object>} detailedLog - The detailed log from the simulation.
-     * @param {Object} params - The simulation parameters.
-     * @returns {Object} The final results object.
+     * Creates a runner that runs the engine on the main thread, one task at a time.
+     * It yields to the browser during each simulation so the page can repaint and the Cancel button works.
+     * @returns {Object} The runner ({run, broadcast, cancel, terminate}).
      */
-    function aggregateFinalResults(monthlyData, detailedLog, dataLength, params) {
-        let totalConsumption = 0, totalImportWithBattery = 0, totalExportWithBattery = 0,
-            totalSavings = 0, totalBillBefore = 0, totalBillAfter = 0;
+    function createMainThreadRunner() {
+        const context = {};
+        let isCancelled = false;
+        let previousTask = Promise.resolve();
+
+        const run = (task, onProgress = null) => {
+            const execute = async () => {
+                if (isCancelled) throw new Error(CANCELLED_MESSAGE);
+                await yieldToBrowser();
+                return runTask(task, context, async fraction => {
+                    onProgress?.(fraction);
+                    await yieldToBrowser();
+                    if (isCancelled) throw new Error(CANCELLED_MESSAGE);
+                });
+            };
+            const result = previousTask.then(execute, execute);
+            previousTask = result;
+            return result;
+        };
 
-        Object.values(monthlyData).forEach(m => { 
-            m.savings = m.costWithoutBattery - (m.costWithBattery - m.exportRevenue); 
-            totalSavings += m.savings; 
-            totalBillBefore += m.costWithoutBattery; 
-            totalBillAfter += (m.costWithBattery - m.exportRevenue); 
-            totalConsumption += m.consumption; 
-            totalImportWithBattery += m.importWithBattery; 
-            totalExportWithBattery += m.exportWithBattery;
-        });
-        
-        const daysInData = dataLength / INTERVALS_PER_DAY; 
-        const scalingFactor = daysInData > 0 ? DAYS_IN_YEAR / daysInData : 1;
-
-        const annualSavings = totalSavings * scalingFactor;
-
-        return { 
-            annualSavings: annualSavings, 
-            paybackPeriod: (params.systemCost > 0 && annualSavings > 0 ? params.systemCost / annualSavings : Infinity), 
-            selfSufficiency: totalConsumption > 0 ? (1 - (totalImportWithBattery / totalConsumption)) * 100 : 0, 
-            annualBillBefore: totalBillBefore * scalingFactor, 
-            annualBillAfter: totalBillAfter * scalingFactor, 
-            annualImportAfter: totalImportWithBattery * scalingFactor,
-            annualExportAfter: totalExportWithBattery * scalingFactor,
-            monthlyData, 
-            detailedLog: detailedLog
+        return {
+            run,
+            broadcast: (task) => run(task),
+            cancel: () => { isCancelled = true; },
+            terminate: () => {}
         };
     }
 
     /**
-     * Runs the simulation for a range of battery sizes to find the optimal one.
-     * @param {Array<Object>} data - The time-series data.
-     * @param {Object} baseParams - The user's original simulation parameters.
-     * @returns {Promise<Array<Object>>} A promise that resolves to an array of {size, savings}.
+     * Collects all user-defined parameters from the input fields.
+     * @returns {Object} An object containing all parameters for the simulation.
      */
-    async function runOptimizationAnalysis(data, baseParams) {
-        const sizesToTest = [5, 10, 15, 20, 25, 30, 35, 40];
-        // Ensure the user's selected size is in the test set
-        if (!sizesToTest.includes(baseParams.batteryCapacity)) {
-            sizesToTest.push(baseParams.batteryCapacity);
-            sizesToTest.sort((a, b) => a - b);
-        }
-
-        const selfConsumptionResults = [];
-        const exportMaximiserResults = [];
-        const balancedExportMaximiserResults = [];
-        const importMinimiserResults = [];
-
-        for (const size of sizesToTest) {
-            // Common parameters for this size
-            const commonParams = { ...baseParams };
-            commonParams.batteryCapacity = size;
-            commonParams.usableCapacity = size * (parseFloat(document.getElementById('usableCapacity').value) / 100);
-
-            // Run for Self-Consumption
-            const paramsSC = { ...commonParams, strategy: 'self-consumption' };
-            const resultSC = await runSimulation(data, paramsSC);
-            selfConsumptionResults.push({
-                size: size,
-                savings: resultSC.annualSavings
-            });
-
-            // Run for Export Maximiser
-            const paramsEM = { ...commonParams, strategy: 'export-maximiser' };
-            const resultEM = await runSimulation(data, paramsEM);
-            exportMaximiserResults.push({
-                size: size,
-                savings: resultEM.annualSavings
-            });
-
-            // Run for Balanced Export Maximiser
-            const paramsBEM = { ...commonParams, strategy: 'balanced-export-maximiser' };
-            const resultBEM = await runSimulation(data, paramsBEM);
-            balancedExportMaximiserResults.push({
-                size: size,
-                savings: resultBEM.annualSavings
-            });
-            
-            // Run for Import Minimiser
-            const paramsIM = { ...commonParams, strategy: 'import-minimiser' };
-            const resultIM = await runSimulation(data, paramsIM);
-            importMinimiserResults.push({
-                size: size,
-                savings: resultIM.annualSavings
-            });
-        }
-        
-        return { selfConsumptionResults, exportMaximiserResults, balancedExportMaximiserResults, importMinimiserResults, sizes: sizesToTest };
+    function getSimulationParameters() {
+        return buildSimulationParameters(configFromFormState(collectFormState()));
     }
 
-
     // --- UI RESULTS DISPLAY --- //
 
     /**
@@ -1129,11 +2013,13 @@ document.addEventListener('DOMContentLoaded', () => {
         // They are now only in setupEventListeners()
         // --- *** END FIX *** ---
 
-        // Show a warning if the Export Maximiser results were generated without any force-charge hours selected.
+        // Show a warning if strategies that need force-charge hours were simulated without any selected.
         const warningEl = document.getElementById('comparisonWarning');
         if (warningEl) {
-            if (!hasForceChargeHours) {
-                warningEl.innerHTML = '<p class="font-bold">Note on "Export Maximiser" Results</p><p>No force-charge hours were selected. The results for this strategy are therefore not representative of its potential. To see an accurate comparison, select your cheap-rate hours in the hourly import tariff table and run the simulation again.</p>';
+            const withoutForceChargeHours = hasForceChargeHours ? [] : simulatedStrategies.filter(strategy => strategy.requiresForceChargeHours);
+            if (withoutForceChargeHours.length > 0) {
+                const names = withoutForceChargeHours.map(strategy => `"${escapeHtml(strategy.name)}"`).join(', ');
+                warningEl.innerHTML = `<p class="font-bold">Note on ${names} Results</p><p>No force-charge hours were selected. These strategies then work like Self-Consumption, so their results are not representative of their potential. To see an accurate comparison, select your cheap-rate hours in the hourly import tariff table and run the simulation again.</p>`;
                 warningEl.classList.remove('hidden');
             } else {
                 warningEl.classList.add('hidden');
@@ -1144,54 +2030,129 @@ document.addEventListener('DOMContentLoaded', () => {
         const formatKWh = (value) => `${value.toFixed(0)} kWh`;
         const formatYears = (value) => isFinite(value) ? `${value.toFixed(1)} years` : 'Never';
         const formatPercent = (value) => `${value.toFixed(1)}%`;
+        const formatRate = (value) => Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : 'n/a';
+        const formatDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
 
-        const resultsSC = simulationResults.selfConsumption;
-        const resultsEM = simulationResults.exportMaximiser;
-        const resultsBEM = simulationResults.balancedExportMaximiser;
-        const resultsIM = simulationResults.importMinimiser;
+        const referenceResults = getReferenceResults();
         const tableBody = document.getElementById('comparisonTableBody');
+        const lifetimeYears = referenceResults.lifetime.yearly.length - 1;
+        const params = simulationParams;
+        const grants = params.systemCost - params.netSystemCost;
+        const paybackLabel = grants > 0 ? `Payback Period (Full Bill, after ${formatCurrency(grants)} grants)` : 'Payback Period (Full Bill)';
 
-        const createRow = (metric, valueSC, valueEM, valueBEM, valueIM, formatter) => {
+        // The benchmarks are shown for comparison only; the best of the real strategies is highlighted.
+        const createRow = (metric, getValue, formatter) => {
             // For payback, bill, import, lower is better. For others, higher is better.
-            const isLowerBetter = metric.toLowerCase().includes('payback') || metric.toLowerCase().includes('bill') || metric.toLowerCase().includes('import');
-            const values = [parseFloat(valueSC), parseFloat(valueEM), parseFloat(valueBEM), parseFloat(valueIM)];
+            const isLowerBetter = metric.toLowerCase().includes('payback') || metric.toLowerCase().includes('bill') || metric.toLowerCase().includes('import') || metric.toLowerCase().includes('clipped');
+            const values = simulatedStrategies.filter(strategy => !strategy.isBenchmark)
+                .map(strategy => parseFloat(getValue(simulationResults[strategy.key])))
+                .filter(value => !isNaN(value));
             const bestValue = isLowerBetter ? Math.min(...values) : Math.max(...values);
 
             // Check which value is the best, allowing for floating point tolerance
             const isBest = (val) => Math.abs(parseFloat(val) - bestValue) < FLOAT_TOLERANCE;
 
-            const scClass = isBest(valueSC) ? 'text-green-600 font-bold' : '';
-            const emClass = isBest(valueEM) ? 'text-green-600 font-bold' : '';
-            const bemClass = isBest(valueBEM) ? 'text-green-600 font-bold' : '';
-            const imClass = isBest(valueIM) ? 'text-green-600 font-bold' : '';
-
+            const cells = simulatedStrategies.map(strategy => {
+                const value = getValue(simulationResults[strategy.key]);
+                if (strategy.isBenchmark) return `<td class="p-3 font-mono text-gray-500 italic bg-gray-50">${formatter(value)}</td>`;
+                return `<td class="p-3 font-mono ${isBest(value) ? 'text-green-600 font-bold' : ''}">${formatter(value)}</td>`;
+            }).join('');
             return `
                 <tr class="text-center">
                     <td class="p-3 text-left font-medium text-gray-700">${metric}</td>
-                    <td class="p-3 font-mono ${scClass}">${formatter(valueSC)}</td>
-                    <td class="p-3 font-mono ${emClass}">${formatter(valueEM)}</td>
-                    <td class="p-3 font-mono ${bemClass}">${formatter(valueBEM)}</td>
-                    <td class="p-3 font-mono ${imClass}">${formatter(valueIM)}</td>
+                    ${cells}
                 </tr>
             `;
         };
 
+        // One column per strategy
+        const tableHeader = document.getElementById('comparisonTableHeader');
+        tableHeader.querySelectorAll('.strategy-col').forEach(el => el.remove());
+        simulatedStrategies.forEach(strategy => {
+            tableHeader.insertAdjacentHTML('beforeend', strategy.isBenchmark
+                ? `<th class="strategy-col p-3 text-sm font-semibold text-gray-500 text-center italic bg-gray-50">${escapeHtml(getStrategyLabel(strategy))}</th>`
+                : `<th class="strategy-col p-3 text-sm font-semibold text-gray-800 text-center">${escapeHtml(getStrategyLabel(strategy))}</th>`);
+        });
+
+        // HDF downloads for the real strategies
+        const hdfButtons = document.getElementById('hdfButtons');
+        hdfButtons.innerHTML = '';
+        simulatedStrategies.filter(strategy => !strategy.isBenchmark).forEach(strategy => {
+            const button = document.createElement('button');
+            button.className = 'w-full bg-blue-600 text-white font-bold py-2 px-4 rounded-md hover:bg-blue-700 transition-all duration-200 flex items-center justify-center text-sm';
+            button.innerHTML = `<i data-lucide="download" class="mr-2 h-4 w-4"></i> ${escapeHtml(strategy.name)} HDF`;
+            button.addEventListener('click', () => exportSimulatedHDF(strategy.key));
+            hdfButtons.appendChild(button);
+        });
+
         tableBody.innerHTML = `
-            ${createRow('Annual Savings', resultsSC.annualSavings, resultsEM.annualSavings, resultsBEM.annualSavings, resultsIM.annualSavings, formatCurrency)}
-            ${createRow('Payback Period', resultsSC.paybackPeriod, resultsEM.paybackPeriod, resultsBEM.paybackPeriod, resultsIM.paybackPeriod, formatYears)}
-            ${createRow('Self-Sufficiency', resultsSC.selfSufficiency, resultsEM.selfSufficiency, resultsBEM.selfSufficiency, resultsIM.selfSufficiency, formatPercent)}
-            ${createRow('Annual Bill (After)', resultsSC.annualBillAfter, resultsEM.annualBillAfter, resultsBEM.annualBillAfter, resultsIM.annualBillAfter, formatCurrency)}
-            ${createRow('Annual Import', resultsSC.annualImportAfter, resultsEM.annualImportAfter, resultsBEM.annualImportAfter, resultsIM.annualImportAfter, formatKWh)}
-            ${createRow('Annual Export', resultsSC.annualExportAfter, resultsEM.annualExportAfter, resultsBEM.annualExportAfter, resultsIM.annualExportAfter, formatKWh)}
+            ${createRow(referenceResults.diverter ? 'Annual Savings (Full Bill, Battery Added to Diverter)' : 'Annual Savings (Full Bill)', results => results.annualSavingsFullBill, formatCurrency)}
+            ${createRow('Annual Savings (Unit Rates)', results => results.annualSavings, formatCurrency)}
+            ${createRow(paybackLabel, results => results.paybackPeriodFullBill, formatYears)}
+            ${createRow(grants > 0 ? 'Payback Period (Unit Rates, before grants)' : 'Payback Period (Unit Rates)', results => results.paybackPeriod, formatYears)}
+            ${createRow('Annual Savings (Net of Tax)', results => results.annualSavingsNetOfTax, formatCurrency)}
+            ${createRow('Payback Period (Net of Tax)', results => results.paybackPeriodNetOfTax, formatYears)}
+            ${createRow(`Net Present Value (${lifetimeYears} years)`, results => results.lifetime.npv, formatCurrency)}
+            ${createRow('Internal Rate of Return', results => results.lifetime.irr, formatRate)}
+            ${createRow('Discounted Payback', results => results.lifetime.discountedPayback, formatYears)}
+            ${referenceResults.degradation ? createRow(`Capacity After Warranty (${referenceResults.degradation.warrantyYears} years)`, results => results.degradation.capacityAtWarrantyEnd, formatPercent) : ''}
+            ${createRow('Self-Sufficiency', results => results.selfSufficiency, formatPercent)}
+            ${createRow('Annual Bill (Full, After)', results => results.fullBillAfter.total, formatCurrency)}
+            ${createRow('Annual Bill (Unit Rates, After)', results => results.annualBillAfter, formatCurrency)}
+            ${createRow('Annual Import', results => results.annualImportAfter, formatKWh)}
+            ${createRow('Annual Export', results => results.annualExportAfter, formatKWh)}
+            ${createRow('Clipped Solar', results => results.annualClippedSolar, formatKWh)}
+            ${referenceResults.diverter ? `
+                ${createRow('Annual Savings, Battery Only (Full)', results => results.withoutDiverter.annualSavingsFullBill, formatCurrency)}
+                ${createRow('Annual Savings, Diverter Only (Full)', results => results.diverter.annualSavingsWithoutBattery, formatCurrency)}
+                ${createRow('Annual Savings, Battery and Diverter (Full)', results => results.diverter.annualSavingsWithBattery, formatCurrency)}
+                ${createRow('Solar to Hot Water', results => results.diverter.annualDiverted, formatKWh)}
+                ${createRow('Water Heating Cost Avoided', results => results.annualWaterHeatingSaving, formatCurrency)}
+            ` : ''}
+            ${referenceResults.withoutHeatPump ? `
+                ${createRow('Annual Savings without Heat Pump (Full)', results => results.withoutHeatPump.annualSavingsFullBill, formatCurrency)}
+                ${createRow('Annual Bill without Heat Pump (Full, After)', results => results.withoutHeatPump.fullBillAfter.total, formatCurrency)}
+            ` : ''}
         `;
         
+        // How much cheap-rate (force-charge hours) import each strategy with a baseline saved compared with it,
+        // e.g. Smart Charge's forecast against the Import Minimiser's always charging fully
+        document.getElementById('smartChargeNote').textContent = simulatedStrategies.map(strategy => {
+            const baseline = getBaselineStrategy(strategy);
+            const baselineResults = baseline && simulationResults[baseline.key];
+            if (!baselineResults || !(baselineResults.annualCheapRateImport > 0)) return ''; // No force-charge hours, so neither charges from the grid
+            const results = simulationResults[strategy.key];
+            const avoidedImport = baselineResults.annualCheapRateImport - results.annualCheapRateImport;
+            const avoidedPercent = avoidedImport / baselineResults.annualCheapRateImport * 100;
+            return `${strategy.name} imported ${formatKWh(results.annualCheapRateImport)} a year in the force-charge hours, `
+                + `${formatKWh(Math.abs(avoidedImport))} (${Math.abs(avoidedPercent).toFixed(0)}%) ${avoidedImport >= 0 ? 'less' : 'more'} than the ${baseline.name}.`;
+        }).filter(note => note).join(' ');
+
+        // How the simulated period was turned into annual figures
+        const coverage = getPeriodCoverage(fullData);
+        const annualisationNote = document.getElementById('annualisationNote');
+        annualisationNote.textContent = `Simulated ${formatDay(coverage.start)} to ${formatDay(coverage.end)} (${coverage.days.toFixed(0)} days`
+            + (dataAvailable && (dataAvailable.start !== coverage.start || dataAvailable.end !== coverage.end) ? `; your file covers ${formatDay(dataAvailable.start)} to ${formatDay(dataAvailable.end)}).` : ').')
+            + (coverage.isFullYear ? ''
+                : coverage.days < DAYS_IN_YEAR
+                    ? ` This is less than a year, so every annual figure is the period's total multiplied by ${coverage.scalingFactor.toFixed(2)} to cover 365 days, which assumes the rest of the year is like the simulated days.`
+                    : ` This is more than a year, so every annual figure is the period's total multiplied by ${coverage.scalingFactor.toFixed(2)} to give an average year, in which the months that appear twice count twice.`);
+        if (coverage.missingIntervals > 0) {
+            annualisationNote.textContent += ` ${coverage.missingIntervals} missing half-hours were left as they are and count as no usage or solar; choose a data repair method to fill them in.`;
+        }
+        annualisationNote.classList.toggle('text-amber-700', !coverage.isFullYear || coverage.missingIntervals > 0);
+
         // --- Generate Charts & Selectors ---
+        generateLifetimeChart();
+        generateDegradationTable();
+        generateYearComparisonTable();
+        generateDataQualityReport();
         generateBeforeSummary();
         generateMonthlyConsumptionChart();
         
         const monthSelector = document.getElementById('monthSelector'); 
         monthSelector.innerHTML = ''; 
-        const monthKeys = Object.keys(resultsSC.monthlyData).sort(); // Use one of the results to get keys
+        const monthKeys = Object.keys(referenceResults.monthlyData).sort(); // Use one of the results to get keys
         
         monthKeys.forEach(key => { 
             const option = document.createElement('option'); 
@@ -1212,62 +2173,200 @@ document.addEventListener('DOMContentLoaded', () => {
      * Generates the "Before" summary showing the situation without a battery.
      */
     function generateBeforeSummary() {
-        let totalImport = 0, totalExport = 0, totalBill = 0;
-        const params = getSimulationParameters();
-
-        fullData.forEach(row => {
-            const hour = row.timestamp.getUTCHours();
-            const imp = Math.max(0, row.consumption - row.generation);
-            const exp = Math.max(0, row.generation - row.consumption);
-            totalImport += imp;
-            totalExport += exp;
-            totalBill += imp * params.importPrices[hour];
-        });
+        const params = simulationParams;
+        const { scalingFactor } = getPeriodCoverage(fullData);
+
+        // Totals without a battery for a dataset (with or without the heat pump)
+        const sumBefore = (data) => {
+            const totals = { import: 0, export: 0, importCost: 0, exportRevenue: 0 };
+            data.forEach(row => {
+                const { importRate, exportRate } = getIntervalRates(row, getTariffPeriod(params.tariffSchedule, row.localTime));
+                const imp = Math.max(0, row.consumption - row.generation);
+                const exp = Math.min(Math.max(0, row.generation - row.consumption), params.mec * HOURS_PER_INTERVAL);
+                totals.import += imp;
+                totals.export += exp;
+                totals.importCost += imp * importRate;
+                totals.exportRevenue += exp * exportRate;
+            });
+            totals.fullBill = calculateFullBill(totals.importCost * scalingFactor, totals.exportRevenue * scalingFactor, params.bill, DAYS_IN_YEAR);
+            return totals;
+        };
 
-        const daysInData = fullData.length / INTERVALS_PER_DAY;
-        const scalingFactor = daysInData > 0 ? DAYS_IN_YEAR / daysInData : 1;
+        const { import: totalImport, export: totalExport, importCost: totalImportCost, fullBill } = sumBefore(fullData);
+        const withoutHeatPump = dataWithoutHeatPump ? sumBefore(dataWithoutHeatPump) : null;
+        const unitRateBill = totalImportCost * scalingFactor; // The import cost at the unit rates, as before the full bill model
 
         const formatCurrency = (value) => new Intl.NumberFormat('en-IE', { style: 'currency', currency: 'EUR' }).format(value);
         const formatKWhAnnual = (value) => `${(value * scalingFactor).toFixed(0)} kWh`;
+        const formatRate = (value) => `€${value.toFixed(3)}/kWh`;
+        const breakdownLine = (label, value) => `<li class="flex justify-between"><span>${label}</span><span class="font-mono">${formatCurrency(value)}</span></li>`;
 
         document.getElementById('beforeSummary').innerHTML = `
             <div class="result-card"><h3 class="result-title"><i data-lucide="log-in" class="mr-2 h-5 w-5"></i>Annual Import</h3><p class="result-value">${formatKWhAnnual(totalImport)}</p></div>
             <div class="result-card"><h3 class="result-title"><i data-lucide="log-out" class="mr-2 h-5 w-5"></i>Annual Export</h3><p class="result-value">${formatKWhAnnual(totalExport)}</p></div>
-            <div class="result-card"><h3 class="result-title"><i data-lucide="receipt" class="mr-2 h-5 w-5"></i>Est. Annual Bill</h3><p class="result-value">${formatCurrency(totalBill * scalingFactor)}</p></div>
+            <div class="result-card"><h3 class="result-title"><i data-lucide="receipt" class="mr-2 h-5 w-5"></i>Est. Annual Bill</h3><p class="result-value">${formatCurrency(fullBill.total)}</p>
+                <ul class="text-xs text-gray-500 mt-2 space-y-1">
+                    ${breakdownLine('Unit charges', fullBill.unitCharges)}
+                    ${breakdownLine('Standing charges', fullBill.standingCharges)}
+                    ${breakdownLine('PSO levy', fullBill.psoLevy)}
+                    ${breakdownLine('VAT', fullBill.vat)}
+                    ${breakdownLine('Credits', -fullBill.credits)}
+                    ${breakdownLine('Export income', -fullBill.exportCredit)}
+                    <li class="flex justify-between border-t border-gray-200 pt-1"><span>Unit rates only</span><span class="font-mono">${formatCurrency(unitRateBill)}</span></li>
+                </ul>
+            </div>
+            ${withoutHeatPump ? `<div class="result-card"><h3 class="result-title"><i data-lucide="heater" class="mr-2 h-5 w-5"></i>Heat Pump (included above)</h3><p class="result-value">${formatKWhAnnual(heatPumpSummary.energy)}</p>
+                <ul class="text-xs text-gray-500 mt-2 space-y-1">
+                    <li class="flex justify-between"><span>Heat delivered</span><span class="font-mono">${formatKWhAnnual(heatPumpSummary.heatDelivered)}</span></li>
+                    <li class="flex justify-between"><span>Annual import without heat pump</span><span class="font-mono">${formatKWhAnnual(withoutHeatPump.import)}</span></li>
+                    ${breakdownLine('Est. annual bill without heat pump', withoutHeatPump.fullBill.total)}
+                    <li class="flex justify-between border-t border-gray-200 pt-1"><span>Added by the heat pump</span><span class="font-mono">${formatCurrency(fullBill.total - withoutHeatPump.fullBill.total)}</span></li>
+                </ul>
+            </div>` : ''}
+            ${evSummary ? `<div class="result-card"><h3 class="result-title"><i data-lucide="car" class="mr-2 h-5 w-5"></i>EV Charging (included above)</h3><p class="result-value">${formatKWhAnnual(evSummary.energy)}</p>
+                <ul class="text-xs text-gray-500 mt-2 space-y-1">
+                    <li class="flex justify-between"><span>From surplus solar</span><span class="font-mono">${formatKWhAnnual(evSummary.solarEnergy)}</span></li>
+                    <li class="flex justify-between"><span>In the charging window</span><span class="font-mono">${formatKWhAnnual(evSummary.energy - evSummary.solarEnergy)}</span></li>
+                    ${evSummary.unmetEnergy > FLOAT_TOLERANCE ? `<li class="flex justify-between text-amber-700"><span>Still to charge at the end of the data</span><span class="font-mono">${evSummary.unmetEnergy.toFixed(0)} kWh</span></li>` : ''}
+                </ul>
+            </div>` : ''}
+            ${dynamicPriceSummary ? `<div class="result-card"><h3 class="result-title"><i data-lucide="activity" class="mr-2 h-5 w-5"></i>Average Dynamic Import Price</h3><p class="result-value">${formatRate(dynamicPriceSummary.averageImportRate)}</p>
+                <ul class="text-xs text-gray-500 mt-2 space-y-1">
+                    <li class="flex justify-between"><span>Average export price</span><span class="font-mono">${dynamicPriceSummary.hasExportPrices ? formatRate(dynamicPriceSummary.averageExportRate) : 'Tariff rates'}</span></li>
+                    <li class="flex justify-between${dynamicPriceSummary.missingIntervals > 0 ? ' text-amber-700' : ''}"><span>Intervals covered by the file</span><span class="font-mono">${(dynamicPriceSummary.coveredIntervals / fullData.length * 100).toFixed(1)}%</span></li>
+                </ul>
+            </div>` : ''}
         `;
         lucide.createIcons();
     }
     
+    /**
+     * Shows each calendar year's annual savings side by side, when the year-over-year comparison was run.
+     */
+    function generateYearComparisonTable() {
+        const container = document.getElementById('yearComparisonContainer');
+        if (yearResults.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+        container.classList.remove('hidden');
+
+        const formatCurrency = (value) => new Intl.NumberFormat('en-IE', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 }).format(value);
+        document.getElementById('yearComparisonTableHeader').innerHTML = '<th class="p-2 text-left font-semibold text-gray-600">Annual Savings (Full Bill)</th>'
+            + yearResults.map(({ year, coverage }) => `<th class="p-2 font-semibold text-gray-600">${year}<br><span class="text-xs font-normal ${coverage.isFullYear ? 'text-gray-500' : 'text-amber-700'}">${coverage.days.toFixed(0)} days${coverage.isFullYear ? '' : ', annualised'}</span></th>`).join('');
+
+        const referenceKey = getReferenceStrategy(simulatedStrategies).key;
+        const billRow = `<tr class="text-center"><td class="p-2 text-left font-medium text-gray-700">Annual Bill Before (Full)</td>${yearResults.map(({ results }) => `<td class="p-2 font-mono">${formatCurrency(results[referenceKey].fullBillBefore.total)}</td>`).join('')}</tr>`;
+        const strategyRows = simulatedStrategies.map(strategy => {
+            const labelClass = strategy.isBenchmark ? 'text-gray-500 italic' : 'text-gray-700';
+            const cells = yearResults.map(({ results }) => `<td class="p-2 font-mono ${strategy.isBenchmark ? 'text-gray-500 italic bg-gray-50' : ''}">${formatCurrency(results[strategy.key].annualSavingsFullBill)}</td>`).join('');
+            return `<tr class="text-center"><td class="p-2 text-left font-medium ${labelClass}">${escapeHtml(getStrategyLabel(strategy))}</td>${cells}</tr>`;
+        }).join('');
+        document.getElementById('yearComparisonTableBody').innerHTML = billRow + strategyRows;
+
+        document.getElementById('yearComparisonNote').textContent = yearResults.every(({ coverage }) => coverage.isFullYear)
+            ? 'Each calendar year is simulated on its own with the same battery, tariff and settings, so the differences come from your usage and the weather.'
+            : 'Each calendar year is simulated on its own with the same battery, tariff and settings. Years with only part of the data are scaled to 365 days, so a year that has mostly winter or mostly summer months is over- or understated.';
+    }
+
+    /**
+     * Shows the data-quality report of the simulated period: the problems found, how they were repaired and a
+     * calendar of the days they affect (one column per week, Monday at the top).
+     */
+    function generateDataQualityReport() {
+        const container = document.getElementById('dataQualityContainer');
+        if (!dataQualityReport) {
+            container.classList.add('hidden');
+            return;
+        }
+        container.classList.remove('hidden');
+
+        const report = dataQualityReport;
+        const formatDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+        const countLabel = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+        const problems = [];
+        if (report.missingIntervals > 0) problems.push(countLabel(report.missingIntervals, 'missing half-hour', 'missing half-hours'));
+        if (report.duplicates > 0) {
+            problems.push(countLabel(report.duplicates, 'reading listed twice', 'readings listed twice')
+                + (report.conflictingDuplicates > 0 ? ` (${report.conflictingDuplicates} with a different value; the first one was kept)` : ' (counted once)'));
+        }
+        if (report.outliers > 0) problems.push(countLabel(report.outliers, 'impossible reading', 'impossible readings'));
+        if (report.flatLineIntervals > 0) problems.push(countLabel(report.flatLineIntervals, 'half-hour in a flat-line', 'half-hours in flat-lines'));
+        if (report.skippedRows > 0) problems.push(countLabel(report.skippedRows, 'unreadable row skipped', 'unreadable rows skipped'));
+        const { fileFormat } = report;
+        const conversion = fileFormat && (fileFormat.intervalMinutes !== 30 || fileFormat.unit !== 'kWh')
+            ? `Your file has ${fileFormat.intervalMinutes}-minute readings in ${fileFormat.unit}, converted to 30-minute kWh. `
+            : '';
+        document.getElementById('dataQualitySummary').textContent = `${conversion}Checked ${report.expectedIntervals} half-hours: `
+            + (problems.length > 0 ? `${problems.join(', ')}.` : 'no gaps, duplicates or suspect readings found.');
+
+        let note = '';
+        if (report.flaggedIntervals > 0 && report.repair === 'leave') {
+            note = 'The flagged half-hours were simulated as they are: missing half-hours are left out (the annual figures are scaled up from the rest), and flat-lines and impossible readings are used as read. Choose a repair under "Gaps and Suspect Readings" to fill them in.';
+        } else if (report.repair === 'interpolate' && report.repaired.interpolated > 0) {
+            note = `${countLabel(report.repaired.interpolated, 'half-hour was', 'half-hours were')} filled in with a straight line between the readings either side.`;
+        } else if (report.repair === 'neighbour-week' && report.flaggedIntervals > 0) {
+            note = `${countLabel(report.repaired.fromNeighbourWeek, 'half-hour was', 'half-hours were')} copied from the same weekday of a neighbouring week`
+                + (report.repaired.interpolated > 0 ? `, and ${report.repaired.interpolated} without a good reading in either week were interpolated.` : '.');
+        }
+        if (report.flaggedIntervals > 0 && report.repair !== 'leave') note += ' The repaired half-hours are marked in the Data Repair column of the results CSV.';
+        const noteElement = document.getElementById('dataQualityNote');
+        noteElement.textContent = note;
+        noteElement.classList.toggle('text-amber-700', report.flaggedIntervals > 0 && report.repair === 'leave');
+
+        // Empty cells line the first day up with its weekday.
+        const firstWeekday = report.days.length > 0 ? (new Date(`${report.days[0].date}T00:00:00Z`).getUTCDay() + 6) % 7 : 0;
+        const cells = report.days.map(day => {
+            const affected = day.missing + day.outliers + day.flatLine;
+            const colour = affected >= INTERVALS_PER_DAY / 4 ? 'bg-red-500' : affected > 0 || day.duplicates > 0 ? 'bg-yellow-300' : 'bg-green-200';
+            const details = [
+                day.missing > 0 ? `${day.missing} missing` : '',
+                day.duplicates > 0 ? `${day.duplicates} listed twice` : '',
+                day.outliers > 0 ? `${day.outliers} impossible` : '',
+                day.flatLine > 0 ? `${day.flatLine} in a flat-line` : '',
+            ].filter(Boolean);
+            return `<div class="quality-cell ${colour}" title="${formatDay(day.date)}: ${details.length > 0 ? details.join(', ') : 'no problems'}"></div>`;
+        });
+        document.getElementById('dataQualityHeatmap').innerHTML = '<div></div>'.repeat(firstWeekday) + cells.join('');
+    }
+
+    /**
+     * Finds the results of the reference strategy (see `getReferenceStrategy`), which hold the figures that are the
+     * same for every strategy, such as the bill before the battery and the monthly consumption.
+     * @returns {Object|undefined} The results, or undefined before the first simulation.
+     */
+    function getReferenceResults() {
+        const reference = getReferenceStrategy(simulatedStrategies);
+        return reference && simulationResults[reference.key];
+    }
+
+    /**
+     * Finds the results of the strategy selected in the configuration panel. The first strategy simulated is shown
+     * instead when the selected strategy was not part of the simulation (e.g. a custom strategy added since).
+     * @returns {Object} {strategy, results}: both undefined before the first simulation.
+     */
+    function getSelectedStrategyResults() {
+        const id = document.querySelector('input[name="strategy"]:checked')?.value;
+        const strategy = simulatedStrategies.find(candidate => candidate.id === id) ?? simulatedStrategies[0];
+        return { strategy, results: strategy && simulationResults[strategy.key] };
+    }
+
     /**
      * Populates the day selector based on the chosen month and updates the monthly summary.
      * @param {string} monthKey - The selected month key (e.g., "2023-04").
      */
     function updateDaySelector(monthKey) {
-        if (!simulationResults.selfConsumption) return; // Guard against running before simulation
+        if (!getReferenceResults()) return; // Guard against running before simulation
 
         const daySelector = document.getElementById('daySelector');
         daySelector.innerHTML = '';
         
-        const selectedStrategy = document.querySelector('input[name="strategy"]:checked')?.value || 'self-consumption';
-        
-        let detailedLogForStrategy;
-        switch (selectedStrategy) {
-            case 'export-maximiser':
-                detailedLogForStrategy = simulationResults.exportMaximiser.detailedLog;
-                break;
-            case 'balanced-export-maximiser':
-                detailedLogForStrategy = simulationResults.balancedExportMaximiser.detailedLog;
-                break;
-            case 'import-minimiser':
-                detailedLogForStrategy = simulationResults.importMinimiser.detailedLog;
-                break;
-            default:
-                detailedLogForStrategy = simulationResults.selfConsumption.detailedLog;
-        }
+        const detailedLogForStrategy = getSelectedStrategyResults().results.detailedLog;
         
         const daysInMonth = detailedLogForStrategy
-            .filter(log => log.timestamp.toISOString().startsWith(monthKey))
-            .map(log => log.timestamp.toISOString().slice(0, 10));
+            .filter(log => log.localTime.toISOString().startsWith(monthKey))
+            .map(log => log.localTime.toISOString().slice(0, 10));
         
         const uniqueDays = [...new Set(daysInMonth)].sort();
         
@@ -1292,24 +2391,9 @@ document.addEventListener('DOMContentLoaded', () => {
      * @param {string} monthKey - The selected month key (e.g., "2023-04").
      */
     function updateMonthlySummary(monthKey) { 
-        if (!simulationResults.selfConsumption) return; // Guard against running before simulation
+        if (!getReferenceResults()) return; // Guard against running before simulation
 
-        const selectedStrategy = document.querySelector('input[name="strategy"]:checked')?.value || 'self-consumption';
-        
-        let resultsForStrategy;
-        switch (selectedStrategy) {
-            case 'export-maximiser':
-                resultsForStrategy = simulationResults.exportMaximiser;
-                break;
-            case 'balanced-export-maximiser':
-                resultsForStrategy = simulationResults.balancedExportMaximiser;
-                break;
-            case 'import-minimiser':
-                resultsForStrategy = simulationResults.importMinimiser;
-                break;
-            default:
-                resultsForStrategy = simulationResults.selfConsumption;
-        }
+        const resultsForStrategy = getSelectedStrategyResults().results;
         
         const monthSummary = resultsForStrategy.monthlyData[monthKey]; 
         if (!monthSummary) return; 
@@ -1335,7 +2419,7 @@ document.addEventListener('DOMContentLoaded', () => {
             <li class="flex justify-between"><span>Discharged from Battery:</span><span class="font-mono">${formatKWh(monthSummary.dischargedFromBattery)}</span></li>
         `;
 
-        if ((selectedStrategy === 'export-maximiser' || selectedStrategy === 'balanced-export-maximiser' || selectedStrategy === 'import-minimiser') && monthSummary.missedFullCharges > 0) {
+        if (monthSummary.missedFullCharges > 0) { // Only strategies that force-charge can miss a charge
             summaryHTML += `<li class="border-t border-gray-200 my-2"></li><li class="flex justify-between text-yellow-500" title="The battery did not reach its target SoC on these days during the Force Charge window, likely due to grid import (MIC) or charge rate limits."><span>Missed Full Charges:</span><span class="font-mono font-bold">${monthSummary.missedFullCharges} days</span></li>`;
         }
         document.getElementById('monthlySummaryList').innerHTML = summaryHTML;
@@ -1346,43 +2430,25 @@ document.addEventListener('DOMContentLoaded', () => {
      * @param {string} dayStr - The selected day string (e.g., "2023-04-15").
      */
     function updateDailyView(dayStr) { 
-        if (!dayStr || !simulationResults.selfConsumption) return; 
+        if (!dayStr || !getReferenceResults()) return; 
         
-        const params = getSimulationParameters();
-        const selectedStrategy = document.querySelector('input[name="strategy"]:checked')?.value || 'self-consumption';
+        const params = simulationParams;
+        const { strategy: selectedStrategy, results: resultsForStrategy } = getSelectedStrategyResults();
 
         const strategyDisplayEl = document.getElementById('dailyAnalysisStrategy');
         if (strategyDisplayEl) {
-            let formattedName;
-            if (selectedStrategy === 'self-consumption') formattedName = 'Self-Consumption';
-            else if (selectedStrategy === 'export-maximiser') formattedName = 'Export Maximiser';
-            else if (selectedStrategy === 'balanced-export-maximiser') formattedName = 'Balanced Export Maximiser';
-            else if (selectedStrategy === 'import-minimiser') formattedName = 'Import Minimiser';
-            strategyDisplayEl.textContent = `(${formattedName})`;
+            strategyDisplayEl.textContent = `(${selectedStrategy.shortName ?? selectedStrategy.name})`;
         }
 
-        let detailedLogForStrategy;
-        switch (selectedStrategy) {
-            case 'export-maximiser':
-                detailedLogForStrategy = simulationResults.exportMaximiser.detailedLog;
-                break;
-            case 'balanced-export-maximiser':
-                detailedLogForStrategy = simulationResults.balancedExportMaximiser.detailedLog;
-                break;
-            case 'import-minimiser':
-                detailedLogForStrategy = simulationResults.importMinimiser.detailedLog;
-                break;
-            default:
-                detailedLogForStrategy = simulationResults.selfConsumption.detailedLog;
-        }
+        const detailedLogForStrategy = resultsForStrategy.detailedLog;
 
-        const dayData = detailedLogForStrategy.filter(log => log.timestamp.toISOString().startsWith(dayStr)); 
+        const dayData = detailedLogForStrategy.filter(log => log.localTime.toISOString().startsWith(dayStr)); 
         if (dayData.length === 0) return; 
 
         document.getElementById('chartDate').textContent = new Date(dayStr + 'T00:00:00Z').toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }); 
         
         const chartSeries = { 
-            labels: dayData.map(d => d.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })), 
+            labels: dayData.map(d => d.localTime.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone: 'UTC' })), 
             baseNetKw: dayData.map(d => (d.consumption - d.generation) / HOURS_PER_INTERVAL),
             newNetFlowKw: dayData.map(d => (d.gridImport - d.gridExport) / HOURS_PER_INTERVAL),
             batterySoC: dayData.map(d => (d.batterySoC / params.usableCapacity) * 100)
@@ -1416,7 +2482,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (optimizationChartInstance) optimizationChartInstance.destroy();
         const ctx = document.getElementById('optimizationChart').getContext('2d');
     
-        const { selfConsumptionResults, exportMaximiserResults, balancedExportMaximiserResults, importMinimiserResults, sizes } = optimizationData;
+        const { sizes } = optimizationData;
     
         // Highlight the data point for the user's currently selected size
         const pointRadii = sizes.map(size => size === userSelectedSize ? 6 : 3);
@@ -1424,57 +2490,112 @@ document.addEventListener('DOMContentLoaded', () => {
         const chartOptions = getBaseChartOptions('Annual Savings (€)', true); // Show legend
         chartOptions.scales.x.title = { display: true, text: 'Battery Size (kWh)', color: '#4b5563' };
     
+        // One line per built-in strategy; the benchmarks are dashed
         optimizationChartInstance = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: sizes,
-                datasets: [
-                    {
-                        label: 'Self-Consumption',
-                        data: selfConsumptionResults.map(d => d.savings),
-                        borderColor: 'rgba(139, 92, 246, 1)', // Violet-500
-                        backgroundColor: 'rgba(139, 92, 246, 1)',
-                        pointRadius: pointRadii,
-                        pointHoverRadius: 8,
-                        fill: false,
-                        tension: 0.1
-                    },
-                    {
-                        label: 'Export Maximiser',
-                        data: exportMaximiserResults.map(d => d.savings),
-                        borderColor: 'rgba(239, 68, 68, 1)', // Red-500
-                        backgroundColor: 'rgba(239, 68, 68, 1)',
-                        pointRadius: pointRadii,
-                        pointHoverRadius: 8,
-                        fill: false,
-                        tension: 0.1
-                    },
-                    {
-                        label: 'Balanced Export Maximiser',
-                        data: balancedExportMaximiserResults.map(d => d.savings),
-                        borderColor: 'rgba(5, 150, 105, 1)', // Emerald-600
-                        backgroundColor: 'rgba(5, 150, 105, 1)',
-                        pointRadius: pointRadii,
-                        pointHoverRadius: 8,
-                        fill: false,
-                        tension: 0.1
-                    },
-                    {
-                        label: 'Import Minimiser',
-                        data: importMinimiserResults.map(d => d.savings),
-                        borderColor: 'rgba(59, 130, 246, 1)', // Blue-500
-                        backgroundColor: 'rgba(59, 130, 246, 1)',
-                        pointRadius: pointRadii,
-                        pointHoverRadius: 8,
-                        fill: false,
-                        tension: 0.1
-                    }
-                ]
+                datasets: STRATEGIES.map(strategy => ({
+                    label: getStrategyLabel(strategy),
+                    data: optimizationData[`${strategy.key}Results`].map(d => d.savings),
+                    borderColor: strategy.color,
+                    backgroundColor: strategy.color,
+                    borderDash: strategy.isBenchmark ? [6, 4] : [],
+                    pointRadius: pointRadii,
+                    pointHoverRadius: 8,
+                    fill: false,
+                    tension: 0.1
+                }))
             },
             options: chartOptions
         });
     }
 
+    /**
+     * Creates the chart of cumulative cash flow over the analysis period for each strategy.
+     */
+    function generateLifetimeChart() {
+        if (lifetimeChartInstance) lifetimeChartInstance.destroy();
+        document.getElementById('lifetimeChartContainer').classList.remove('hidden');
+        const ctx = document.getElementById('lifetimeChart').getContext('2d');
+
+        const referenceResults = getReferenceResults();
+        const params = simulationParams;
+        const loanNote = params.lifetime.loanAmount > 0
+            ? ` €${params.lifetime.loanAmount.toFixed(0)} is borrowed at ${params.lifetime.loanApr}% APR over ${params.lifetime.loanTerm} years; repayments are deducted from the savings.`
+            : '';
+        document.getElementById('lifetimeChartNote').textContent =
+            `Savings minus loan repayments, added up year by year from the up-front cost (after grants) at year 0. Import savings grow by ${params.lifetime.priceEscalation}% a year and export income changes by ${params.lifetime.exportRateChange}% a year; export income above €${params.incentives.cegTaxFreeAllowance} a year is taxed at ${params.incentives.marginalTaxRate}%.${loanNote}`;
+
+        const chartOptions = getBaseChartOptions('Cumulative Cash Flow (€)', true); // Show legend
+        chartOptions.scales.x.title = { display: true, text: 'Year', color: '#4b5563' };
+
+        const createDataset = (strategy) => ({
+            label: getStrategyLabel(strategy),
+            data: simulationResults[strategy.key].lifetime.yearly.map(entry => entry.cumulativeCashFlow),
+            borderColor: strategy.color,
+            backgroundColor: strategy.color,
+            borderDash: strategy.isBenchmark ? [6, 4] : [],
+            pointRadius: 2,
+            pointHoverRadius: 6,
+            fill: false,
+            tension: 0.1
+        });
+
+        lifetimeChartInstance = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: referenceResults.lifetime.yearly.map(entry => entry.year),
+                datasets: simulatedStrategies.map(createDataset)
+            },
+            options: chartOptions
+        });
+    }
+
+    /**
+     * Fills the year-by-year table of projected capacity and savings for each strategy and warns if a battery
+     * would fall below its end-of-warranty capacity before the warranty ends. Hidden when degradation is off.
+     */
+    function generateDegradationTable() {
+        const container = document.getElementById('degradationContainer');
+        const referenceResults = getReferenceResults();
+        if (!referenceResults.degradation) {
+            container.classList.add('hidden');
+            return;
+        }
+        container.classList.remove('hidden');
+
+        const strategies = simulatedStrategies.map(strategy => [getStrategyLabel(strategy), simulationResults[strategy.key]]);
+        document.getElementById('degradationTableHeader').innerHTML = '<th class="p-2 text-left font-semibold text-gray-600">Year</th>'
+            + simulatedStrategies.map(strategy => `<th class="p-2 font-semibold ${strategy.isBenchmark ? 'text-gray-500 italic' : 'text-gray-600'}">${escapeHtml(getStrategyLabel(strategy))}</th>`).join('');
+        const formatCurrency = (value) => new Intl.NumberFormat('en-IE', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 }).format(value);
+        const { warrantyYears, endOfWarrantyCapacity } = referenceResults.degradation;
+
+        document.getElementById('degradationTableBody').innerHTML = referenceResults.degradation.yearly.map((entry, index) => {
+            const cells = strategies.map(([, results]) => {
+                const year = results.degradation.yearly[index];
+                const belowClass = year.endCapacityPercent < endOfWarrantyCapacity ? 'text-red-600' : '';
+                return `<td class="p-2 font-mono ${belowClass}">${year.endCapacityPercent.toFixed(1)}% · ${formatCurrency(year.savings)}</td>`;
+            }).join('');
+            const warrantyClass = entry.year === warrantyYears ? 'border-b-2 border-indigo-300' : '';
+            return `<tr class="text-center ${warrantyClass}"><td class="p-2 text-left font-medium text-gray-700">${entry.year}</td>${cells}</tr>`;
+        }).join('');
+
+        const warningEl = document.getElementById('degradationWarning');
+        const belowInWarranty = strategies.filter(([, results]) => results.degradation.isBelowWithinWarranty);
+        if (belowInWarranty.length > 0) {
+            const details = belowInWarranty.map(([label, results]) => `${label} (year ${results.degradation.yearBelowEndOfWarranty})`).join(', ');
+            warningEl.innerHTML = `<p class="font-bold">Capacity falls below the warranty level</p><p>The projected capacity drops below ${endOfWarrantyCapacity}% before the end of the ${warrantyYears}-year warranty for: ${details}. The battery would be worked harder than the warranty assumes; check the warranty's cycle or throughput limit.</p>`;
+            warningEl.classList.remove('hidden');
+        } else {
+            warningEl.classList.add('hidden');
+        }
+
+        const { degradation } = simulationParams;
+        document.getElementById('degradationNote').textContent =
+            `Usable capacity at the end of each year and that year's savings at today's prices (full bill, after tax on export income). Capacity falls by ${degradation.calendarFade}% a year plus ${degradation.cycleFade}% per 1,000 full cycles; red values are below the end-of-warranty capacity of ${endOfWarrantyCapacity}%. The line marks the end of the warranty.`;
+    }
+
     /**
      * Generates the monthly consumption bar chart.
      */
@@ -1482,12 +2603,14 @@ document.addEventListener('DOMContentLoaded', () => {
         if (monthlyConsumptionChartInstance) monthlyConsumptionChartInstance.destroy();
         const ctx = document.getElementById('monthlyConsumptionChart').getContext('2d');
 
-        const sortedKeys = Object.keys(simulationResults.selfConsumption.monthlyData).sort();
+        const { monthlyData } = getReferenceResults();
+        const sortedKeys = Object.keys(monthlyData).sort();
+        // Periods longer than a year repeat months, so their labels include the year.
         const monthLabels = sortedKeys.map(key => {
             const [year, month] = key.split('-');
-            return new Date(year, month-1).toLocaleString('default', { month: 'short' });
+            return new Date(year, month-1).toLocaleString('default', sortedKeys.length > 12 ? { month: 'short', year: '2-digit' } : { month: 'short' });
         });
-        const monthData = sortedKeys.map(key => simulationResults.selfConsumption.monthlyData[key].consumption);
+        const monthData = sortedKeys.map(key => monthlyData[key].consumption);
 
         monthlyConsumptionChartInstance = new Chart(ctx, {
             type: 'bar',
@@ -1645,88 +2768,57 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- UTILITIES --- //
 
+    /**
+     * A helper function to pause execution and allow the browser to repaint the UI.
+     * This is crucial for updating status messages during a long-running simulation.
+     * @returns {Promise<void>}
+     */
+    const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    /**
+     * Triggers a browser download of generated text content.
+     * @param {string} content - The file content.
+     * @param {string} fileName - The suggested file name.
+     * @param {string} mimeType - The MIME type of the content.
+     */
+    function downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const link = document.createElement("a");
+
+        link.setAttribute("href", URL.createObjectURL(blob));
+        link.setAttribute("download", fileName);
+        link.style.visibility = 'hidden';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
     /**
      * Exports the detailed simulation log to a CSV file.
      */
     function exportResultsToCSV() { 
         // Get the log for the currently selected strategy
-        const selectedStrategy = document.querySelector('input[name="strategy"]:checked')?.value || 'self-consumption';
-        
-        let detailedLog;
-        switch (selectedStrategy) {
-            case 'export-maximiser':
-                detailedLog = simulationResults.exportMaximiser?.detailedLog;
-                break;
-            case 'balanced-export-maximiser':
-                detailedLog = simulationResults.balancedExportMaximiser?.detailedLog;
-                break;
-            case 'import-minimiser':
-                detailedLog = simulationResults.importMinimiser?.detailedLog;
-                break;
-            default:
-                detailedLog = simulationResults.selfConsumption?.detailedLog;
-        }
+        const { strategy: selectedStrategy, results: resultsForStrategy } = getSelectedStrategyResults();
+        const detailedLog = resultsForStrategy?.detailedLog;
 
         if (!detailedLog || detailedLog.length === 0) { 
             setStatus("No simulation data to export. Please run a simulation first.", "warning"); 
             return; 
         } 
         
-        const headers = ["Timestamp (UTC)", "Consumption (kWh)", "Generation (kWh)", "Grid Import (kWh)", "Grid Export (kWh)", "Battery Charge (kWh)", "Battery Discharge (kWh)", "Battery SoC (kWh)"]; 
-        const pad = (num) => num.toString().padStart(2, '0');
-
-        const rows = detailedLog.map(log => {
-            const ts = log.timestamp;
-            // Format timestamp to a more standard and sortable format
-            const dateStr = `${ts.getUTCFullYear()}-${pad(ts.getUTCMonth() + 1)}-${pad(ts.getUTCDate())} ${pad(ts.getUTCHours())}:${pad(ts.getUTCMinutes())}:${pad(ts.getUTCMinutes() || '00')}`;
-            return [ 
-                dateStr, 
-                log.consumption.toFixed(4), 
-                log.generation.toFixed(4), 
-                log.gridImport.toFixed(4), 
-                log.gridExport.toFixed(4), 
-                log.batteryCharge.toFixed(4), 
-                log.batteryDischarge.toFixed(4), 
-                log.batterySoC.toFixed(4) 
-            ].join(',');
-        });
-
-        const csvContent = [headers.join(','), ...rows].join('\n'); 
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }); 
-        const link = document.createElement("a"); 
-        
-        link.setAttribute("href", URL.createObjectURL(blob)); 
-        const fileName = `battery_sim_${selectedStrategy}.csv`;
-        link.setAttribute("download", fileName); 
-        link.style.visibility = 'hidden'; 
-        
-        document.body.appendChild(link); 
-        link.click(); 
-        document.body.removeChild(link); 
+        const csvContent = createResultsCsv(detailedLog);
+        const fileName = `battery_sim_${selectedStrategy.id}.csv`;
+        downloadFile(csvContent, fileName, 'text/csv;charset=utf-8;');
 
         setStatus(`Exported ${fileName}`, 'success');
     }
 
     // --- NEW HDF EXPORT FUNCTIONS ---
 
-    /**
-     * Formats a Date object into the DD-MM-YYYY HH:MM format required for HDF files.
-     * @param {Date} date - The Date object to format.
-     * @returns {string} The formatted date string.
-     */
-    function formatDateForHDF(date) {
-        const pad = (num) => num.toString().padStart(2, '0');
-        const day = pad(date.getUTCDate());
-        const month = pad(date.getUTCMonth() + 1); // getUTCMonth() is 0-indexed
-        const year = date.getUTCFullYear();
-        const hours = pad(date.getUTCHours());
-        const minutes = pad(date.getUTCMinutes());
-        return `${day}-${month}-${year} ${hours}:${minutes}`;
-    }
-
     /**
      * Exports the simulated grid import/export for a specific strategy as a new HDF-compatible CSV.
-     * @param {'selfConsumption' | 'exportMaximiser' | 'balancedExportMaximiser' | 'importMinimiser'} strategy - The key for the simulation results.
+     * @param {string} strategy - The key for the simulation results (a strategy's `key`, e.g. 'selfConsumption').
      */
     function exportSimulatedHDF(strategy) {
         if (!strategy || !simulationResults[strategy]) {
@@ -1740,52 +2832,9 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        const headers = "MPRN,Meter Serial Number,Read Value,Read Type,Read Date and End Time";
-        const rows = [];
-
-        detailedLog.forEach(log => {
-            // --- *** FIX *** ---
-            // The log.timestamp is the START of the interval (e.g., 01:30).
-            // The HDF format requires the END of the interval (e.g., 02:00).
-            // We must add 30 minutes back before formatting.
-            const intervalEndTime = new Date(log.timestamp.getTime() + THIRTY_MINUTES_MS);
-            const formattedTimestamp = formatDateForHDF(intervalEndTime);
-            // --- *** END FIX ---
-
-            // Create the Active Import row
-            const importRow = [
-                GENERIC_MPRN,
-                GENERIC_METER_ID,
-                log.gridImport.toFixed(4),
-                "Active Import Interval (kWh)",
-                formattedTimestamp
-            ].join(',');
-
-            // Create the Active Export row
-            const exportRow = [
-                GENERIC_MPRN,
-                GENERIC_METER_ID,
-                log.gridExport.toFixed(4),
-                "Active Export Interval (kWh)",
-                formattedTimestamp
-            ].join(',');
-
-            rows.push(importRow);
-            rows.push(exportRow);
-        });
-
-        const csvContent = [headers, ...rows].join('\n');
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement("a");
-
-        link.setAttribute("href", URL.createObjectURL(blob));
+        const csvContent = createSimulatedHdfCsv(detailedLog);
         const fileName = `simulated_hdf_${strategy}.csv`;
-        link.setAttribute("download", fileName);
-        link.style.visibility = 'hidden';
-
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        downloadFile(csvContent, fileName, 'text/csv;charset=utf-8;');
 
         setStatus(`Exported ${fileName}`, 'success');
     }
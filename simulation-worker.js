@@ -0,0 +1,28 @@
+/**
+ * @file Module Web Worker that runs the simulation engine off the main thread.
+ *
+ * Messages from the page: {id, task}, where `task` is an engine task (see runTask in engine.js).
+ * Messages to the page, all tagged with the same `id`:
+ * - {type: 'progress', id, fraction} while a simulation runs.
+ * - {type: 'result', id, result} when the task is complete.
+ * - {type: 'error', id, message} if the task failed.
+ * A {type: 'ready'} message is sent once the engine has loaded. The page cancels work by terminating the worker.
+ */
+
+import { runTask } from './engine.js';
+
+const context = {}; // Keeps the prepared dataset between tasks.
+
+self.addEventListener('message', async (e) => {
+    const { id, task } = e.data;
+    try {
+        const result = await runTask(task, context, fraction => {
+            self.postMessage({ type: 'progress', id, fraction });
+        });
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+});
+
+self.postMessage({ type: 'ready' });
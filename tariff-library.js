@@ -0,0 +1,132 @@
+/**
+ * @file Built-in library of Irish electricity tariff plans for the battery calculator.
+ *
+ * Each plan is a named set of rates in the JSON format used for import/export of custom plans:
+ * - `standingChargePerDay` and all rates are in €, including VAT.
+ * - `exportRate` is the headline export (Clean Export Guarantee) rate in €/kWh.
+ * - `periods` follow the tariff schedule model: the first period is the base that applies on every day,
+ *   later periods override it on the day type (`all`, `weekday`, `weekend`) and date range ('MM-DD') they cover.
+ * - `windows` are whole local hours: `start` is inclusive, `end` is exclusive, and a window may wrap past midnight.
+ *   `forceCharge` marks the hours used by the force-charging strategies.
+ * - `exportWindows` (optional) override `exportRate` for specific hours.
+ *
+ * Rates are indicative only. Suppliers change their prices several times a year, so always check
+ * the current price list and edit the plan before relying on the results.
+ */
+
+const TARIFF_PLAN_FORMAT = 'home-battery-calculator-tariffs';
+const TARIFF_PLAN_FORMAT_VERSION = 1;
+
+const TARIFF_LIBRARY = [
+    {
+        id: 'pinergy-ev',
+        supplier: 'Pinergy',
+        name: 'EV Tariff',
+        notes: 'The demonstration tariff used for the default rates. Cheap EV rate from 02:00 to 05:00.',
+        lastReviewed: '2025-09',
+        standingChargePerDay: 0.70,
+        exportRate: 0.25,
+        periods: [
+            { name: 'All days', dayType: 'all', startDate: '01-01', endDate: '12-31', defaultRate: 0.42,
+              windows: [{ start: 2, end: 5, rate: 0.06, forceCharge: true }] }
+        ]
+    },
+    {
+        id: 'electric-ireland-night-boost',
+        supplier: 'Electric Ireland',
+        name: 'Smart Night Boost',
+        notes: 'Day/peak/night smart tariff with a cheaper boost rate from 02:00 to 04:00.',
+        lastReviewed: '2025-09',
+        standingChargePerDay: 0.74,
+        exportRate: 0.195,
+        periods: [
+            { name: 'All days', dayType: 'all', startDate: '01-01', endDate: '12-31', defaultRate: 0.40,
+              windows: [
+                  { start: 17, end: 19, rate: 0.44 },
+                  { start: 23, end: 2, rate: 0.24 },
+                  { start: 2, end: 4, rate: 0.12, forceCharge: true },
+                  { start: 4, end: 8, rate: 0.24 }
+              ] }
+        ]
+    },
+    {
+        id: 'bord-gais-ev-smart',
+        supplier: 'Bord Gáis Energy',
+        name: 'EV Smart',
+        notes: 'Smart tariff with a low EV rate from 02:00 to 05:00.',
+        lastReviewed: '2025-09',
+        standingChargePerDay: 0.72,
+        exportRate: 0.185,
+        periods: [
+            { name: 'All days', dayType: 'all', startDate: '01-01', endDate: '12-31', defaultRate: 0.39,
+              windows: [
+                  { start: 17, end: 19, rate: 0.45 },
+                  { start: 23, end: 2, rate: 0.26 },
+                  { start: 2, end: 5, rate: 0.09, forceCharge: true },
+                  { start: 5, end: 8, rate: 0.26 }
+              ] }
+        ]
+    },
+    {
+        id: 'energia-smart-drive',
+        supplier: 'Energia',
+        name: 'Smart Drive',
+        notes: 'EV tariff with a low rate from 02:00 to 06:00.',
+        lastReviewed: '2025-09',
+        standingChargePerDay: 0.69,
+        exportRate: 0.20,
+        periods: [
+            { name: 'All days', dayType: 'all', startDate: '01-01', endDate: '12-31', defaultRate: 0.38,
+              windows: [
+                  { start: 17, end: 19, rate: 0.43 },
+                  { start: 23, end: 2, rate: 0.25 },
+                  { start: 2, end: 6, rate: 0.10, forceCharge: true },
+                  { start: 6, end: 8, rate: 0.25 }
+              ] }
+        ]
+    },
+    {
+        id: 'sse-airtricity-smart-tou',
+        supplier: 'SSE Airtricity',
+        name: 'Standard Smart (Day/Peak/Night)',
+        notes: 'The standard smart meter time-of-use structure: day, 17:00-19:00 peak and 23:00-08:00 night. Force charging is set for 02:00-05:00.',
+        lastReviewed: '2025-09',
+        standingChargePerDay: 0.71,
+        exportRate: 0.195,
+        periods: [
+            { name: 'All days', dayType: 'all', startDate: '01-01', endDate: '12-31', defaultRate: 0.37,
+              windows: [
+                  { start: 17, end: 19, rate: 0.42 },
+                  { start: 23, end: 2, rate: 0.21 },
+                  { start: 2, end: 5, rate: 0.21, forceCharge: true },
+                  { start: 5, end: 8, rate: 0.21 }
+              ] }
+        ]
+    },
+    {
+        id: 'flogas-weekend-saver',
+        supplier: 'Flogas',
+        name: 'Weekend Saver',
+        notes: 'Standard 24-hour rate on weekdays with a cheaper rate from 09:00 to 17:00 at weekends.',
+        lastReviewed: '2025-09',
+        standingChargePerDay: 0.68,
+        exportRate: 0.18,
+        periods: [
+            { name: 'All days', dayType: 'all', startDate: '01-01', endDate: '12-31', defaultRate: 0.36, windows: [] },
+            { name: 'Weekends', dayType: 'weekend', startDate: '01-01', endDate: '12-31', defaultRate: 0.36,
+              windows: [{ start: 9, end: 17, rate: 0.18 }] }
+        ]
+    },
+    {
+        id: 'generic-24-hour',
+        supplier: 'Generic',
+        name: 'Standard 24 Hour (Urban)',
+        notes: 'A single unit rate at all times. Useful as a baseline.',
+        lastReviewed: '2025-09',
+        standingChargePerDay: 0.70,
+        exportRate: 0.185,
+        periods: [
+            { name: 'All days', dayType: 'all', startDate: '01-01', endDate: '12-31', defaultRate: 0.36, windows: [] }
+        ]
+    }
+];
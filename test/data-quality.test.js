@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDataQuality, repairData, getPeriodCoverage, toDublinWallClock } from '../engine.js';
+
+const HALF_HOUR = 30 * 60 * 1000;
+const start = Date.UTC(2025, 0, 6); // A Monday in winter, so local time is UTC
+
+/**
+ * Builds data rows every half-hour from `start`, leaving out the intervals given as null.
+ * @param {Array<Array<number>|null>} readings - [consumption, generation] per interval, or null if missing.
+ * @returns {Array<Object>} The rows.
+ */
+function createRows(readings) {
+    return readings.flatMap((reading, i) => {
+        if (!reading) return [];
+        const timestamp = new Date(start + i * HALF_HOUR);
+        return [{ timestamp, localTime: toDublinWallClock(timestamp), consumption: reading[0], generation: reading[1] }];
+    });
+}
+
+/**
+ * Lists `count` different readings, so that they never form a flat-line.
+ * @param {number} count - The number of readings.
+ * @returns {Array<Array<number>>} The readings.
+ */
+function varyingReadings(count) {
+    return Array.from({ length: count }, (_, i) => [0.1 + (i % 7) / 100, 0]);
+}
+
+test('checkDataQuality finds nothing in clean data', () => {
+    const { report, flagged } = checkDataQuality(createRows(varyingReadings(48)), {}, 6, 3);
+
+    assert.equal(report.expectedIntervals, 48);
+    assert.equal(report.flaggedIntervals, 0);
+    assert.equal(flagged.size, 0);
+    assert.deepEqual(report.days.map(day => day.date), ['2025-01-06']);
+});
+
+test('checkDataQuality flags missing intervals and counts duplicates', () => {
+    const readings = varyingReadings(10);
+    readings[3] = null;
+    readings[4] = null;
+    const { report, flagged } = checkDataQuality(createRows(readings), { duplicates: [start + 6 * HALF_HOUR] }, 6, 3);
+
+    assert.equal(report.missingIntervals, 2);
+    assert.equal(report.duplicates, 1);
+    assert.equal(flagged.get(start + 3 * HALF_HOUR), 'missing');
+    assert.equal(flagged.get(start + 4 * HALF_HOUR), 'missing');
+    assert.equal(report.days[0].missing, 2);
+});
+
+test('checkDataQuality flags negative readings, imports above the MIC and exports above the MEC', () => {
+    const readings = varyingReadings(6);
+    readings[1] = [-0.1, 0];   // Negative import
+    readings[2] = [6.5, 0];    // Import above the MIC (6 kWh a half-hour)
+    readings[3] = [0.1, 3.5];  // Export above the MEC (3 kWh a half-hour)
+    readings[4] = [0.1, 2.9];  // Export within the MEC
+    const { report, flagged } = checkDataQuality(createRows(readings), {}, 6, 3);
+
+    assert.equal(report.outliers, 3);
+    assert.deepEqual([...flagged.keys()], [1, 2, 3].map(i => start + i * HALF_HOUR));
+    assert.ok([...flagged.values()].every(reason => reason === 'outlier'));
+});
+
+test('checkDataQuality flags 12 hours of unchanged readings as a flat-line', () => {
+    const readings = [...varyingReadings(4), ...Array(24).fill([0, 0]), ...varyingReadings(4)];
+    const { report, flagged } = checkDataQuality(createRows(readings), {}, 6, 3);
+    assert.equal(report.flatLineIntervals, 24);
+    assert.equal(flagged.get(start + 4 * HALF_HOUR), 'flat-line');
+    assert.equal(flagged.get(start + 27 * HALF_HOUR), 'flat-line');
+    assert.equal(flagged.has(start + 28 * HALF_HOUR), false);
+
+    // One interval short of 12 hours is not flagged
+    const shorter = [...varyingReadings(4), ...Array(23).fill([0, 0]), ...varyingReadings(4)];
+    assert.equal(checkDataQuality(createRows(shorter), {}, 6, 3).report.flatLineIntervals, 0);
+});
+
+test('repairData leaves the data as it is with the leave method', () => {
+    const data = createRows([[1, 0], null, [3, 0]]);
+    const { flagged } = checkDataQuality(data, {}, 6, 3);
+    const result = repairData(data, flagged, 'leave');
+
+    assert.equal(result.data, data);
+    assert.deepEqual(result.repaired, { interpolated: 0, fromNeighbourWeek: 0 });
+});
+
+test('repairData interpolates between the good readings either side', () => {
+    const data = createRows([[1, 0], null, [-5, 0], [4, 3]]);
+    const { flagged } = checkDataQuality(data, {}, 6, 3);
+    const result = repairData(data, flagged, 'interpolate');
+
+    assert.deepEqual(result.data.map(row => row.consumption), [1, 2, 3, 4]);
+    assert.deepEqual(result.data.map(row => row.generation), [0, 1, 2, 3]);
+    assert.deepEqual(result.data.map(row => row.dataRepair), [undefined, 'interpolated', 'interpolated', undefined]);
+    assert.equal(result.data[1].timestamp.getTime(), start + HALF_HOUR);
+    assert.deepEqual(result.repaired, { interpolated: 2, fromNeighbourWeek: 0 });
+});
+
+test('repairData copies the same time of the week before, or interpolates without one', () => {
+    const week = 7 * 48;
+    const readings = varyingReadings(week + 4);
+    readings[2] = [0.9, 0.4];
+    readings[week + 2] = null; // A week after the 0.9 reading
+    readings[1] = null;        // Nothing a week before or after that is good
+    readings[week + 1] = null;
+    const data = createRows(readings);
+    const { flagged } = checkDataQuality(data, {}, 6, 3);
+    const result = repairData(data, flagged, 'neighbour-week');
+
+    assert.equal(result.data.length, week + 4);
+    const copied = result.data[week + 2];
+    assert.deepEqual([copied.consumption, copied.generation, copied.dataRepair], [0.9, 0.4, 'neighbour-week']);
+    assert.equal(result.data[1].dataRepair, 'interpolated');
+    assert.equal(result.data[week + 1].dataRepair, 'interpolated');
+    assert.deepEqual(result.repaired, { interpolated: 2, fromNeighbourWeek: 1 });
+});
+
+test('getPeriodCoverage counts the days covered, so missing intervals do not inflate the annual figures', () => {
+    const complete = getPeriodCoverage(createRows(varyingReadings(48)));
+    assert.equal(complete.days, 1);
+    assert.equal(complete.scalingFactor, 365);
+    assert.equal(complete.missingIntervals, 0);
+
+    const readings = varyingReadings(48);
+    readings.fill(null, 10, 22);
+    const gappy = getPeriodCoverage(createRows(readings));
+    assert.equal(gappy.days, 1);
+    assert.equal(gappy.scalingFactor, 365);
+    assert.equal(gappy.missingIntervals, 12);
+});
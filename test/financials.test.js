@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateLifetimeFinancials, calculateLoanRepayments, getDegradationRuns, projectDegradation, applyDegradation } from '../engine.js';
+
+/**
+ * Builds the parameters used by the lifetime financials and the degradation projection.
+ * @param {Object} [lifetime={}] - Settings that replace the default lifetime settings.
+ * @param {Object} [degradation={}] - Settings that replace the default degradation settings.
+ * @returns {Object} The parameters.
+ */
+function createParams(lifetime = {}, degradation = {}) {
+    return {
+        netSystemCost: 1000,
+        usableCapacity: 10,
+        lifetime: { years: 10, discountRate: 5, priceEscalation: 0, exportRateChange: 0, loanAmount: 0, loanApr: 0, loanTerm: 0, ...lifetime },
+        incentives: { cegTaxFreeAllowance: 400, marginalTaxRate: 40 },
+        bill: { vatRate: 0 },
+        degradation: { calendarFade: 2, cycleFade: 10, warrantyYears: 5, endOfWarrantyCapacity: 80, ...degradation }
+    };
+}
+
+const importOnly = (importSavings) => ({ importSavings, exportIncomeBefore: 0, exportIncomeAfter: 0 });
+
+test('calculateLifetimeFinancials discounts the yearly savings to the NPV', () => {
+    const financials = calculateLifetimeFinancials([importOnly(150)], createParams());
+    const annuity = (1 - Math.pow(1.05, -10)) / 0.05;
+
+    assert.equal(financials.yearly.length, 11);
+    assert.equal(financials.yearly[0].netCashFlow, -1000);
+    assert.ok(Math.abs(financials.npv - (150 * annuity - 1000)) < 1e-6);
+    assert.ok(Math.abs(financials.totalNetCashFlow - 500) < 1e-9);
+});
+
+test('calculateLifetimeFinancials finds the rate at which the NPV is zero as the IRR', () => {
+    const { irr } = calculateLifetimeFinancials([importOnly(150)], createParams());
+    const npvAtIrr = -1000 + Array.from({ length: 10 }, (_, i) => 150 / Math.pow(1 + irr, i + 1)).reduce((a, b) => a + b);
+
+    assert.ok(irr > 0.08 && irr < 0.082);
+    assert.ok(Math.abs(npvAtIrr) < 1e-3);
+});
+
+test('calculateLifetimeFinancials has no IRR and never pays back when the cash flows never turn positive', () => {
+    const financials = calculateLifetimeFinancials([importOnly(0)], createParams());
+
+    assert.equal(financials.irr, null);
+    assert.equal(financials.discountedPayback, Infinity);
+});
+
+test('calculateLifetimeFinancials interpolates the discounted payback within the year', () => {
+    const { discountedPayback, yearly } = calculateLifetimeFinancials([importOnly(300)], createParams({ discountRate: 0 }));
+
+    assert.ok(Math.abs(discountedPayback - 1000 / 300) < 1e-9);
+    assert.ok(yearly[3].discountedCumulativeCashFlow < 0 && yearly[4].discountedCumulativeCashFlow > 0);
+});
+
+test('calculateLifetimeFinancials escalates import savings and taxes export income above the allowance', () => {
+    const params = createParams({ priceEscalation: 10, discountRate: 0 });
+    const { yearly } = calculateLifetimeFinancials([{ importSavings: 100, exportIncomeBefore: 100, exportIncomeAfter: 600 }], params);
+
+    // Export gain after tax: (600 - 40% of 200) - 100
+    assert.ok(Math.abs(yearly[1].savings - (100 + 420)) < 1e-9);
+    assert.ok(Math.abs(yearly[2].savings - (110 + 420)) < 1e-9);
+});
+
+test('calculateLifetimeFinancials pays the loan from the savings and only the rest of the cost up front', () => {
+    const { yearly } = calculateLifetimeFinancials([importOnly(500)], createParams({ loanAmount: 600, loanApr: 0, loanTerm: 2 }));
+
+    assert.equal(yearly[0].netCashFlow, -400);
+    assert.ok(Math.abs(yearly[1].loanRepayment - 300) < 1e-9);
+    assert.ok(Math.abs(yearly[2].netCashFlow - 200) < 1e-9);
+    assert.equal(yearly[3].loanRepayment, 0);
+});
+
+test('calculateLoanRepayments repays an amortised loan in equal monthly instalments', () => {
+    const repayments = calculateLoanRepayments(10000, 6, 5, 7);
+    const monthly = 10000 * 0.005 / (1 - Math.pow(1.005, -60));
+
+    assert.equal(repayments.length, 7);
+    assert.ok(Math.abs(repayments[0] - 12 * monthly) < 1e-6);
+    assert.ok(Math.abs(repayments[4] - 12 * monthly) < 1e-6);
+    assert.equal(repayments[5], 0);
+});
+
+/**
+ * Builds a simulation result whose savings and cycles are in proportion to the remaining capacity.
+ * @param {number} fraction - The remaining fraction of the usable capacity.
+ * @returns {Object} The result.
+ */
+function createResult(fraction) {
+    return {
+        annualCycles: 300 * fraction,
+        annualWaterHeatingSaving: 0,
+        withoutBattery: { fullBill: { unitCharges: 800, exportCredit: 0 }, waterHeatingSaving: 0 },
+        fullBillAfter: { unitCharges: 800 - 300 * fraction, exportCredit: 0 }
+    };
+}
+
+test('getDegradationRuns simulates the battery at faded capacities', () => {
+    const runs = getDegradationRuns(createParams());
+
+    assert.deepEqual(runs.map(run => run.fraction), [0.9, 0.8, 0.7, 0.6]);
+    assert.deepEqual(runs.map(run => run.params.usableCapacity), [9, 8, 7, 6]);
+});
+
+test('projectDegradation fades the capacity by age and cycles, with the savings of the capacity at the start of each year', () => {
+    const params = createParams();
+    const fadedResults = getDegradationRuns(params).map(run => createResult(run.fraction));
+    const projection = projectDegradation(createResult(1), fadedResults, params);
+    const [first, second] = projection.yearly;
+
+    assert.equal(projection.yearly.length, 10);
+    assert.equal(first.startCapacityPercent, 100);
+    assert.ok(Math.abs(first.endCapacityPercent - 95) < 1e-9); // 2% a year plus 10% per 1,000 of 300 cycles
+    assert.ok(Math.abs(first.savings - 300) < 1e-9);
+    assert.ok(Math.abs(second.cycles - 285) < 1e-9); // Interpolated at 95%
+    assert.ok(Math.abs(second.savings - 285) < 1e-9);
+    assert.ok(Math.abs(second.endCapacityPercent - 90.15) < 1e-9);
+    assert.equal(projection.capacityAtWarrantyEnd, projection.yearly[4].endCapacityPercent);
+});
+
+test('projectDegradation reports the year the capacity falls below the end-of-warranty capacity', () => {
+    const params = createParams({}, { endOfWarrantyCapacity: 85 });
+    const fadedResults = getDegradationRuns(params).map(run => createResult(run.fraction));
+    const projection = projectDegradation(createResult(1), fadedResults, params);
+
+    assert.equal(projection.yearBelowEndOfWarranty, 4); // 95, 90.15, 85.45, then 80.88
+    assert.ok(projection.yearly[2].endCapacityPercent >= 85 && projection.yearly[3].endCapacityPercent < 85);
+    assert.equal(projection.isBelowWithinWarranty, true);
+
+    const gentle = projectDegradation(createResult(1), fadedResults, createParams({}, { calendarFade: 0, cycleFade: 0 }));
+    assert.equal(gentle.yearBelowEndOfWarranty, null);
+    assert.equal(gentle.capacityAtWarrantyEnd, 100);
+});
+
+test('applyDegradation recalculates the lifetime financials with the faded savings', () => {
+    const params = createParams();
+    const fadedResults = getDegradationRuns(params).map(run => createResult(run.fraction));
+    const result = applyDegradation(createResult(1), fadedResults, params);
+
+    result.degradation.yearly.forEach((entry, index) => {
+        assert.ok(Math.abs(result.lifetime.yearly[index + 1].savings - entry.savings) < 1e-9);
+    });
+    assert.ok(result.lifetime.yearly[10].savings < result.lifetime.yearly[1].savings);
+});
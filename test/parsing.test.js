@@ -0,0 +1,209 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHDF, parseDynamicPriceCsv, toDublinWallClock, buildSimulationParameters, runTask } from '../engine.js';
+
+const HDF_HEADER = 'MPRN,Meter Serial Number,Read Value,Read Type,Read Date and End Time';
+
+/**
+ * Formats a true instant as an HDF 'Read Date and End Time' (Irish local time, DD-MM-YYYY HH:MM).
+ * @param {number} time - The instant (ms).
+ * @returns {string} The local date and time.
+ */
+function formatHdfTime(time) {
+    const [date, clock] = toDublinWallClock(new Date(time)).toISOString().split('T');
+    const [year, month, day] = date.split('-');
+    return `${day}-${month}-${year} ${clock.slice(0, 5)}`;
+}
+
+/**
+ * Builds an HDF file listed newest-first, as ESB Networks does.
+ * @param {Array<Array>} readings - The readings as [read type, interval end (ms), value].
+ * @returns {string} The file's text.
+ */
+function createHdf(readings) {
+    const lines = [...readings].sort((a, b) => b[1] - a[1])
+        .map(([type, end, value]) => `10000000000,000000000000,${value},${type},${formatHdfTime(end)}`);
+    return [HDF_HEADER, ...lines].join('\n');
+}
+
+const start = Date.UTC(2025, 3, 1, 0, 0); // 01:00 IST on 1 April 2025
+const HALF_HOUR = 30 * 60 * 1000;
+
+test('parseHDF reads 30-minute kWh readings into the intervals they end', () => {
+    const issues = {};
+    const data = parseHDF(createHdf([
+        ['Active Import Interval (kWh)', start + HALF_HOUR, 0.2],
+        ['Active Export Interval (kWh)', start + HALF_HOUR, 0.1],
+        ['Active Import Interval (kWh)', start + 2 * HALF_HOUR, 0.3],
+        ['Active Export Interval (kWh)', start + 2 * HALF_HOUR, 0]
+    ]), issues);
+
+    assert.equal(data.length, 2);
+    assert.equal(data[0].timestamp.getTime(), start);
+    assert.equal(data[0].localTime.toISOString(), '2025-04-01T01:00:00.000Z');
+    assert.equal(data[0].consumption, 0.2);
+    assert.equal(data[0].generation, 0.1);
+    assert.equal(data[1].consumption, 0.3);
+    assert.deepEqual(issues.format, { intervalMinutes: 30, unit: 'kWh' });
+});
+
+test('parseHDF turns readings in kW into kWh', () => {
+    const issues = {};
+    const data = parseHDF(createHdf([
+        ['Active Import Interval (kW)', start + HALF_HOUR, 0.4],
+        ['Active Import Interval (kW)', start + 2 * HALF_HOUR, 1.2]
+    ]), issues);
+
+    assert.deepEqual(data.map(row => row.consumption), [0.2, 0.6]);
+    assert.deepEqual(issues.format, { intervalMinutes: 30, unit: 'kW' });
+});
+
+test('parseHDF adds 15-minute readings up into 30-minute intervals', () => {
+    const quarter = HALF_HOUR / 2;
+    const issues = {};
+    const data = parseHDF(createHdf([1, 2, 3, 4].map(n => ['Active Import Interval (kWh)', start + n * quarter, n / 10])), issues);
+
+    assert.equal(data.length, 2);
+    assert.ok(Math.abs(data[0].consumption - 0.3) < 1e-9);
+    assert.ok(Math.abs(data[1].consumption - 0.7) < 1e-9);
+    assert.deepEqual(issues.format, { intervalMinutes: 15, unit: 'kWh' });
+});
+
+test('parseHDF rejects daily readings and names the download to use', () => {
+    const registers = createHdf([
+        ['24 Hr Active Import Register (kWh)', Date.UTC(2025, 2, 31), 1220.1],
+        ['24 Hr Active Import Register (kWh)', Date.UTC(2025, 3, 1), 1234.5]
+    ]);
+    assert.throws(() => parseHDF(registers), /only has daily readings.*30-minute readings in calculated kWh/);
+
+    const dailyTotals = createHdf([
+        ['Active Import Interval (kWh)', Date.UTC(2025, 2, 31), 12],
+        ['Active Import Interval (kWh)', Date.UTC(2025, 3, 1), 14]
+    ]);
+    assert.throws(() => parseHDF(dailyTotals), /only has daily readings/);
+});
+
+test('parseHDF rejects a daily download with one reading per read type', () => {
+    const oneDay = createHdf([
+        ['Active Import Interval (kWh)', Date.UTC(2025, 3, 1, 23), 14], // Midnight IST
+        ['Active Export Interval (kWh)', Date.UTC(2025, 3, 1, 23), 3]
+    ]);
+    assert.throws(() => parseHDF(oneDay), /only has daily readings/);
+
+    // A single half-hour reading ending at another time is still read
+    const data = parseHDF(createHdf([['Active Import Interval (kWh)', start + HALF_HOUR, 0.2]]));
+    assert.equal(data.length, 1);
+    assert.equal(data[0].timestamp.getTime(), start);
+});
+
+test('parseHDF ignores reactive readings', () => {
+    const data = parseHDF(createHdf([
+        ['Active Import Interval (kWh)', start + HALF_HOUR, 0.2],
+        ['Reactive Import Interval (kvarh)', start + HALF_HOUR, 5],
+        ['Reactive Export Interval (kvarh)', start + HALF_HOUR, 7]
+    ]));
+
+    assert.equal(data.length, 1);
+    assert.equal(data[0].consumption, 0.2);
+    assert.equal(data[0].generation, 0);
+});
+
+test('parseHDF places both readings of the repeated hour when the clocks go back', () => {
+    // 26 October 2025 has 50 half-hours, from 23:00 UTC on the 25th to 00:00 UTC on the 27th.
+    const dayStart = Date.UTC(2025, 9, 25, 23, 0);
+    const readings = Array.from({ length: 50 }, (_, i) => ['Active Import Interval (kWh)', dayStart + (i + 1) * HALF_HOUR, i]);
+    const issues = {};
+    const data = parseHDF(createHdf(readings), issues);
+
+    assert.equal(data.length, 50);
+    data.forEach((row, i) => {
+        assert.equal(row.timestamp.getTime(), dayStart + i * HALF_HOUR);
+        assert.equal(row.consumption, i);
+    });
+    assert.deepEqual(issues.duplicates, []);
+});
+
+test('parseHDF counts a reading listed twice once and reports it', () => {
+    const issues = {};
+    const data = parseHDF(createHdf([
+        ['Active Import Interval (kWh)', start + HALF_HOUR, 0.2],
+        ['Active Import Interval (kWh)', start + HALF_HOUR, 0.25]
+    ]), issues);
+
+    assert.equal(data.length, 1);
+    assert.equal(issues.duplicates.length, 1);
+    assert.equal(issues.conflictingDuplicates, 1);
+});
+
+test('parseDynamicPriceCsv spreads hourly €/MWh prices over both half-hours', () => {
+    const prices = parseDynamicPriceCsv([
+        'DeliveryStartUTC,Import EUR/MWh,Export EUR/MWh',
+        '2025-01-01T00:00:00Z,200,120',
+        '2025-01-01T01:00:00Z,100,80'
+    ].join('\n'));
+    const t0 = Date.UTC(2025, 0, 1);
+
+    assert.equal(prices.size, 4);
+    assert.deepEqual(prices.get(t0), { importRate: 0.2, exportRate: 0.12 });
+    assert.deepEqual(prices.get(t0 + HALF_HOUR), { importRate: 0.2, exportRate: 0.12 });
+    assert.deepEqual(prices.get(t0 + 2 * HALF_HOUR), { importRate: 0.1, exportRate: 0.08 });
+});
+
+test('parseDynamicPriceCsv averages 15-minute prices in cent and leaves the export rate out without a column', () => {
+    const prices = parseDynamicPriceCsv([
+        'time;price (cent/kWh)',
+        '2025-01-01 00:00;10',
+        '2025-01-01 00:15;20',
+        '2025-01-01 00:30;30'
+    ].join('\n'));
+    const t0 = Date.UTC(2025, 0, 1);
+
+    assert.equal(prices.size, 2);
+    assert.ok(Math.abs(prices.get(t0).importRate - 0.15) < 1e-9);
+    assert.equal(prices.get(t0).exportRate, null);
+    assert.ok(Math.abs(prices.get(t0 + HALF_HOUR).importRate - 0.3) < 1e-9);
+});
+
+test('parseDynamicPriceCsv reads local times, with the repeated time when the clocks go back as the later instant', () => {
+    const prices = parseDynamicPriceCsv([
+        'Start,Import (€/kWh)',
+        '26/10/2025 01:00,0.10',
+        '26/10/2025 01:30,0.20',
+        '26/10/2025 01:00,0.30',
+        '26/10/2025 01:30,0.40',
+        '01/07/2025 12:00,0.50'
+    ].join('\n'));
+
+    assert.equal(prices.get(Date.UTC(2025, 9, 26, 0, 0)).importRate, 0.1);
+    assert.equal(prices.get(Date.UTC(2025, 9, 26, 0, 30)).importRate, 0.2);
+    assert.equal(prices.get(Date.UTC(2025, 9, 26, 1, 0)).importRate, 0.3);
+    assert.equal(prices.get(Date.UTC(2025, 9, 26, 1, 30)).importRate, 0.4);
+    assert.equal(prices.get(Date.UTC(2025, 6, 1, 11, 0)).importRate, 0.5);
+});
+
+test('parseDynamicPriceCsv rejects a file without readable prices', () => {
+    assert.throws(() => parseDynamicPriceCsv('time,import'), /header row and at least one row/);
+    assert.throws(() => parseDynamicPriceCsv('time,import\nyesterday,0.2'), /No prices could be read/);
+});
+
+test('runTask prepare attaches the dynamic prices and adds the EV and heat pump in the worker', async () => {
+    const dayStart = Date.UTC(2025, 0, 15); // Midnight GMT on Wednesday 15 January 2025
+    const hdfText = createHdf(Array.from({ length: 48 }, (_, i) => ['Active Import Interval (kWh)', dayStart + (i + 1) * HALF_HOUR, 0.25]));
+    const priceText = 'DeliveryStartUTC,Import EUR/MWh\n2025-01-15T00:00:00Z,150';
+    const params = buildSimulationParameters({ dateRange: 'all', evEnabled: true, heatPumpEnabled: true });
+    const context = {};
+    const prepared = await runTask({ type: 'prepare', hdfText, priceText, params, period: params.period, dataQuality: params.dataQuality }, context);
+
+    assert.deepEqual(prepared.dynamicPrices && [prepared.dynamicPrices.coveredIntervals, prepared.dynamicPrices.missingIntervals], [2, 46]);
+    assert.equal(prepared.data[0].importRate, 0.15);
+    assert.ok(prepared.ev.energy > 0 && prepared.heatPump.energy > 0);
+    assert.ok(Math.abs(prepared.data.reduce((total, row) => total + row.consumption, 0) - (12 + prepared.ev.energy + prepared.heatPump.energy)) < 1e-6);
+    assert.equal(prepared.dataWithoutHeatPump.length, 48);
+    assert.equal(context.data, prepared.data);
+    assert.equal(context.variants.withoutHeatPump, prepared.dataWithoutHeatPump);
+
+    const plain = await runTask({ type: 'prepare', hdfText, period: params.period }, {});
+    assert.equal(plain.dynamicPrices, null);
+    assert.equal(plain.ev, null);
+    assert.equal(plain.data[0].consumption, 0.25);
+});
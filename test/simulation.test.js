@@ -0,0 +1,257 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSimulationParameters, runSimulation, getStrategyRuns, addEvLoad, addHeatPumpLoad, applyAddedLoads, toDublinWallClock } from '../engine.js';
+
+const HALF_HOUR = 30 * 60 * 1000;
+const DAY_START = Date.UTC(2025, 5, 1, 23); // Midnight IST at the start of Monday 2 June 2025
+
+/**
+ * Builds simulation data of 48 half-hours a day, whatever the clock changes.
+ * @param {number} days - The number of days.
+ * @param {Function} profile - (local hour, interval index) => {consumption, generation} in kWh per half-hour.
+ * @param {number} [start=DAY_START] - The start of the first interval (ms).
+ * @returns {Array<Object>} The rows.
+ */
+function createData(days, profile, start = DAY_START) {
+    return Array.from({ length: days * 48 }, (_, i) => {
+        const timestamp = new Date(start + i * HALF_HOUR);
+        const localTime = toDublinWallClock(timestamp);
+        return { timestamp, localTime, ...profile(localTime.getUTCHours(), i) };
+    });
+}
+
+/**
+ * A home using 0.3 kWh every half-hour, with solar from 08:00 to 18:00 peaking at `peak` kWh a half-hour.
+ * @param {number} [peak=2] - The solar generation at noon (kWh per half-hour).
+ * @returns {Function} The profile for `createData`.
+ */
+function sunnyDays(peak = 2) {
+    return (hour) => ({ consumption: 0.3, generation: hour >= 8 && hour < 18 ? peak * Math.sin(Math.PI * (hour - 7.5) / 10) : 0 });
+}
+
+/**
+ * Builds a tariff schedule with one period for every day.
+ * @param {Function} importRate - (local hour) => import rate (€/kWh).
+ * @param {Function} exportRate - (local hour) => export rate (€/kWh).
+ * @param {Function} [isForceChargeHour] - (local hour) => true for the force-charge hours.
+ * @returns {Object} The settings for an hourly import and export tariff with that schedule.
+ */
+function createTariff(importRate, exportRate, isForceChargeHour = () => false) {
+    const hours = (getValue) => Array.from({ length: 24 }, (_, hour) => getValue(hour));
+    return {
+        importTariffType: 'hourly',
+        exportTariffType: 'hourly',
+        tariffSchedule: {
+            periods: [{ name: 'All days', dayType: 'all', startDate: '01-01', endDate: '12-31', importRates: hours(importRate), exportRates: hours(exportRate), forceChargeHours: hours(isForceChargeHour) }]
+        }
+    };
+}
+
+const isNightHour = (hour) => hour >= 2 && hour < 5;
+const NIGHT_RATE_TARIFF = createTariff(hour => isNightHour(hour) ? 0.1 : 0.4, () => 0.2, isNightHour);
+
+/**
+ * Simulates the data with a configuration.
+ * @param {Array<Object>} data - The simulation data.
+ * @param {Object} config - The settings that differ from DEFAULT_CONFIG.
+ * @returns {Promise<Object>} The results of `runSimulation`.
+ */
+function simulate(data, config) {
+    return runSimulation(data, buildSimulationParameters(config));
+}
+
+/**
+ * Simulates every strategy in the registry, and the configuration's custom strategies, on the data.
+ * @param {Array<Object>} data - The simulation data.
+ * @param {Object} config - The settings that differ from DEFAULT_CONFIG.
+ * @returns {Promise<Object>} The results of each strategy, by id.
+ */
+async function simulateStrategies(data, config) {
+    const results = {};
+    for (const { strategy, params } of getStrategyRuns(buildSimulationParameters(config))) {
+        results[strategy.id] = await runSimulation(data, params);
+    }
+    return results;
+}
+
+const sum = (log, getValue) => log.reduce((total, entry) => total + getValue(entry), 0);
+
+test('the unit-rate savings are the import cost before less the net cost after, and their payback uses the cost before grants', async () => {
+    const data = createData(7, sunnyDays());
+    for (const diverterEnabled of [false, true]) {
+        const result = await simulate(data, {
+            importTariffType: 'flat', importPrice: 0.4, exportPrice: 0.2, systemCost: 6000, seaiGrant: 1800, diverterEnabled
+        });
+        const { detailedLog } = result;
+        const importBefore = sum(detailedLog, entry => Math.max(0, entry.consumption - entry.generation));
+        const savings = (importBefore * 0.4 - sum(detailedLog, entry => entry.gridImport) * 0.4 + sum(detailedLog, entry => entry.gridExport) * 0.2) * 365 / 7;
+
+        assert.ok(Math.abs(result.annualSavings - savings) < 1e-6, `diverter ${diverterEnabled}`);
+        assert.ok(Math.abs(result.paybackPeriod - 6000 / result.annualSavings) < 1e-9);
+        assert.ok(Math.abs(result.paybackPeriodFullBill - 4200 / result.annualSavingsFullBill) < 1e-9);
+    }
+});
+
+test('a diverter keeps the tank within its capacity and its saving is not credited to the battery', async () => {
+    const data = createData(7, sunnyDays());
+    const config = { importTariffType: 'flat', importPrice: 0.4, exportPrice: 0.2, diverterEnabled: true, diverterTankSize: 150, diverterElementPower: 3, diverterDailyDemand: 5 };
+    const capacity = 150 * 4.186 / 3600 * 45;
+    const result = await simulate(data, config);
+
+    assert.ok(result.detailedLog.every(entry => entry.tankHeat >= 0 && entry.tankHeat <= capacity + 1e-9));
+    assert.ok(result.detailedLog.every(entry => entry.divertedToTank <= 3 / 2 + 1e-9));
+    assert.ok(result.detailedLog.some(entry => entry.tankHeat > capacity - 1e-6), 'the sunny days fill the tank');
+    assert.ok(result.annualWaterHeatingSaving > 0);
+
+    // The battery is measured against the home with the diverter only; both together against the home with neither
+    const { diverter, fullBillBefore, fullBillAfter } = result;
+    assert.ok(Math.abs(result.annualSavingsFullBill - (diverter.annualSavingsWithBattery - diverter.annualSavingsWithoutBattery)) < 1e-6);
+    assert.ok(Math.abs(diverter.annualSavingsWithBattery - (fullBillBefore.total - fullBillAfter.total + result.annualWaterHeatingSaving)) < 1e-9);
+    assert.ok(Math.abs(result.lifetime.yearly[1].savings - result.annualSavingsNetOfTax) < 1e-6);
+
+    const withoutDiverter = await simulate(data, { ...config, diverterEnabled: false });
+    assert.equal(withoutDiverter.diverter, null);
+    assert.equal(withoutDiverter.withoutBattery.fullBill, withoutDiverter.fullBillBefore);
+});
+
+test('export income is only taxed above the Clean Export Guarantee allowance', async () => {
+    const config = { importTariffType: 'flat', importPrice: 0.4, exportPrice: 0.2 };
+    const small = await simulate(createData(7, sunnyDays(0.5)), config);
+    assert.ok(small.fullBillBefore.exportCredit > 0 && small.fullBillBefore.exportCredit < 400);
+    assert.equal(small.exportTaxBefore, 0);
+    assert.equal(small.exportTaxAfter, 0);
+    assert.equal(small.annualSavingsNetOfTax, small.annualSavingsFullBill);
+
+    const large = await simulate(createData(7, sunnyDays(3)), config);
+    assert.ok(large.fullBillBefore.exportCredit > large.fullBillAfter.exportCredit && large.fullBillAfter.exportCredit > 400);
+    assert.ok(Math.abs(large.exportTaxBefore - (large.fullBillBefore.exportCredit - 400) * 0.4) < 1e-9);
+    assert.ok(Math.abs(large.exportTaxAfter - (large.fullBillAfter.exportCredit - 400) * 0.4) < 1e-9);
+    // The battery exports less, so it saves tax as well
+    assert.ok(Math.abs(large.annualSavingsNetOfTax - (large.annualSavingsFullBill + large.exportTaxBefore - large.exportTaxAfter)) < 1e-9);
+
+    const exempt = await simulate(createData(7, sunnyDays(3)), { ...config, cegTaxFreeAllowance: 5000 });
+    assert.equal(exempt.exportTaxBefore + exempt.exportTaxAfter, 0);
+});
+
+test('the battery keeps to its charge and discharge power limits and uses the efficiency of each power level', async () => {
+    const result = await simulate(createData(7, sunnyDays()), {
+        chargeRate: 1, dischargeRate: 0.5, useEfficiencyCurves: true,
+        chargeEfficiencyCurve: '50:80, 100:100', dischargeEfficiencyCurve: '25:80, 100:96'
+    });
+    const { detailedLog } = result;
+    const delivered = detailedLog.map(entry => entry.batteryDischarge * (entry.dischargeEfficiency ?? 0));
+
+    assert.ok(detailedLog.every(entry => entry.batteryCharge <= 0.5 + 1e-9));
+    assert.ok(delivered.every(energy => energy <= 0.25 + 1e-9));
+    assert.ok(Math.abs(Math.max(...detailedLog.map(entry => entry.batteryCharge)) - 0.5) < 1e-9);
+    assert.ok(Math.abs(Math.max(...delivered) - 0.25) < 1e-9);
+
+    detailedLog.forEach((entry, i) => {
+        if (entry.batteryCharge > 0) assert.ok(entry.chargeEfficiency >= 0.8 && entry.chargeEfficiency <= 1);
+        if (Math.abs(entry.batteryCharge - 0.5) < 1e-9) assert.equal(entry.chargeEfficiency, 1);
+        if (Math.abs(delivered[i] - 0.25) < 1e-9) assert.equal(entry.dischargeEfficiency, 0.96);
+        if (i === 0) return;
+        const stored = entry.batteryCharge * (entry.chargeEfficiency ?? 0);
+        assert.ok(Math.abs(entry.batterySoC - (detailedLog[i - 1].batterySoC + stored - entry.batteryDischarge)) < 1e-9);
+    });
+});
+
+test('only a hybrid (DC-coupled) inverter clips solar, and its AC output stays within its rating', async () => {
+    const data = createData(7, sunnyDays(2.5)); // Up to 5 kW of solar, under the 6 kW export limit
+    const ac = await simulate(data, { topology: 'ac', inverterRating: 3 });
+    assert.equal(ac.annualClippedSolar, 0);
+    assert.ok(ac.detailedLog.every(entry => entry.clippedSolar === 0));
+    assert.ok(Math.max(...ac.detailedLog.map(entry => entry.gridExport)) > 1.5);
+
+    const dc = await simulate(data, { topology: 'dc', inverterRating: 3 });
+    assert.ok(dc.annualClippedSolar > 0);
+    dc.detailedLog.forEach(entry => {
+        // What reaches the home and the grid all passes through the inverter
+        assert.ok(entry.gridExport + entry.consumption - entry.gridImport <= 1.5 + 1e-9);
+        if (entry.clippedSolar > 0) assert.ok(entry.generation > 1.5);
+    });
+});
+
+test('the optimal plan saves at least as much as every rule strategy', async () => {
+    const config = { ...NIGHT_RATE_TARIFF, customStrategies: [{ name: 'Evening Export', rules: 'hours 17-19 and soc 30-100 => export 3 to 30\n=> home' }] };
+    for (const peak of [2, 0.3]) {
+        const results = await simulateStrategies(createData(7, sunnyDays(peak)), config);
+        const { optimal, ...ruleStrategies } = results;
+        assert.equal(Object.keys(ruleStrategies).length, 7);
+        for (const [id, result] of Object.entries(ruleStrategies)) {
+            assert.ok(optimal.annualSavings >= result.annualSavings - 1e-6, `${id} beats the optimal plan with ${peak} kWh of solar`);
+        }
+    }
+});
+
+test('Smart Charge leaves room for the solar on sunny days and charges like the Import Minimiser on dull ones', async () => {
+    const sunny = await simulateStrategies(createData(7, sunnyDays()), NIGHT_RATE_TARIFF);
+    assert.ok(sunny['smart-charge'].annualCheapRateImport < sunny['import-minimiser'].annualCheapRateImport / 2);
+    assert.ok(sunny['smart-charge'].annualExportAfter < sunny['import-minimiser'].annualExportAfter);
+
+    const dull = await simulateStrategies(createData(7, sunnyDays(0.3)), NIGHT_RATE_TARIFF);
+    assert.ok(Math.abs(dull['smart-charge'].annualCheapRateImport - dull['import-minimiser'].annualCheapRateImport) < 1e-6);
+});
+
+test('Export Arbitrage charges in the cheapest hours and sells in the best-paid ones, only when it pays', async () => {
+    const data = createData(7, sunnyDays(0.3));
+    const isPeakHour = (hour) => hour >= 17 && hour < 19;
+    const importRate = (hour) => isNightHour(hour) ? 0.1 : 0.4;
+    const fromBattery = (entry) => Math.max(0, entry.gridExport - Math.max(0, entry.generation - entry.consumption));
+    const fromGrid = (entry) => Math.max(0, entry.batteryCharge - Math.max(0, entry.generation - entry.consumption));
+
+    const peak = await simulate(data, { ...createTariff(importRate, hour => isPeakHour(hour) ? 0.6 : 0.05), strategy: 'export-arbitrage' });
+    assert.ok(sum(peak.detailedLog, fromBattery) > 0);
+    assert.ok(peak.detailedLog.every(entry => fromBattery(entry) < 1e-9 || isPeakHour(entry.localTime.getUTCHours())));
+    assert.ok(peak.detailedLog.every(entry => fromGrid(entry) < 1e-9 || isNightHour(entry.localTime.getUTCHours())));
+
+    // 0.05 €/kWh for export never beats 0.10 €/kWh for import after the losses
+    const flat = await simulate(data, { ...createTariff(importRate, () => 0.05), strategy: 'export-arbitrage' });
+    assert.equal(sum(flat.detailedLog, fromBattery), 0);
+});
+
+test('EV charging is added in the charging window on charging days, and the battery can be kept out of it', async () => {
+    const data = createData(7, sunnyDays());
+    const config = { evEnabled: true };
+    const { data: withEv, summary } = addEvLoad(data, buildSimulationParameters(config).ev);
+    const dailyNeed = 15000 * 17 / 100 / (365 / 7 * 5); // The default mileage and efficiency over 5 charging days a week
+
+    assert.equal(summary.chargingDays, 5);
+    assert.ok(Math.abs(summary.energy - 5 * dailyNeed) < 1e-6);
+    assert.equal(summary.solarEnergy, 0);
+    withEv.forEach((row, i) => {
+        assert.ok(Math.abs(row.consumption - data[i].consumption - row.evConsumption) < 1e-9);
+        if (row.evConsumption > 0) assert.ok(isNightHour(row.localTime.getUTCHours()) && row.evConsumption <= 7.4 / 2 + 1e-9);
+    });
+
+    // Delivered by the battery beyond the rest of the home's use while the car charges
+    const intoCar = (entry, i) => Math.max(0, entry.batteryDischarge * (entry.dischargeEfficiency ?? 0) - (entry.consumption - withEv[i].evConsumption));
+    const shared = await simulate(withEv, config);
+    assert.ok(shared.detailedLog.some((entry, i) => intoCar(entry, i) > 0.01));
+    const protectedBattery = await simulate(withEv, { ...config, evProtectBattery: true });
+    assert.ok(protectedBattery.detailedLog.every((entry, i) => intoCar(entry, i) < 1e-9));
+});
+
+test('the heat pump adds its year\'s electricity by the heating degree days, in the hours of its profile', () => {
+    const year = createData(365, () => ({ consumption: 0.2, generation: 0 }), Date.UTC(2025, 0, 1)); // Midnight GMT on 1 January 2025
+    const config = { heatPumpEnabled: true, heatPumpProfile: 'timed' };
+    const { data, summary } = addHeatPumpLoad(year, buildSimulationParameters(config).heatPump);
+    const isHeatingHour = (hour) => (hour >= 6 && hour < 9) || (hour >= 16 && hour < 22);
+    const monthTotal = (month) => data.filter(row => row.localTime.getUTCMonth() === month).reduce((total, row) => total + row.heatPumpConsumption, 0);
+
+    // The timed profile is off at 01:00, so the hour added or lost when the clocks change does not count
+    assert.ok(Math.abs(summary.energy - 12000 / 3.5) < 1e-6);
+    assert.ok(Math.abs(summary.heatDelivered - 12000) < 1e-6);
+    assert.ok(data.every(row => isHeatingHour(row.localTime.getUTCHours()) || row.heatPumpConsumption === 0));
+    assert.ok(data.every((row, i) => Math.abs(row.consumption - year[i].consumption - row.heatPumpConsumption) < 1e-12));
+    assert.ok(monthTotal(0) > 3 * monthTotal(6));
+
+    // The EV is added after the heat pump, and is also in the data without it
+    const week = year.slice(0, 7 * 48);
+    const loads = applyAddedLoads(week, buildSimulationParameters({ ...config, evEnabled: true }));
+    loads.data.forEach((row, i) => {
+        assert.ok(Math.abs(row.consumption - week[i].consumption - row.heatPumpConsumption - row.evConsumption) < 1e-9);
+        assert.ok(Math.abs(loads.dataWithoutHeatPump[i].consumption - week[i].consumption - row.evConsumption) < 1e-9);
+    });
+    assert.equal(applyAddedLoads(week, buildSimulationParameters({ evEnabled: true })).dataWithoutHeatPump, null);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStrategyRules, getStrategies, getReferenceStrategy, getBaselineStrategy } from '../engine.js';
+
+test('parseStrategyRules reads the conditions and action of each rule', () => {
+    const rules = parseStrategyRules([
+        '# Charge overnight, export in the evening peak',
+        '',
+        'hours 2-5 => charge 100',
+        'hours 17-19 and soc 40-100 and export >= 0.2 => export 3 to 40',
+        'months 6,7,8 and surplus > 1 => hold',
+        '=> home'
+    ].join('\n'), 'Peak Export');
+
+    assert.equal(rules.length, 4);
+    assert.deepEqual(rules[0].action, { type: 'charge', soc: 100 });
+    assert.deepEqual(rules[0].conditions[0].hours.map((on, hour) => on ? hour : null).filter(hour => hour !== null), [2, 3, 4]);
+    assert.deepEqual(rules[1].conditions.map(condition => condition.type), ['hours', 'soc', 'export']);
+    assert.deepEqual(rules[1].conditions[1], { type: 'soc', min: 40, max: 100 });
+    assert.deepEqual(rules[1].conditions[2], { type: 'export', comparison: '>=', value: 0.2 });
+    assert.deepEqual(rules[1].action, { type: 'export', power: 3, soc: 40 });
+    assert.deepEqual(rules[2].conditions[0].months, [false, false, false, false, false, true, true, true, false, false, false, false]);
+    assert.deepEqual(rules[2].conditions[1], { type: 'surplus', comparison: '>', value: 1 });
+    assert.deepEqual(rules[2].action, { type: 'hold' });
+    assert.deepEqual(rules[3], { conditions: [], action: { type: 'home' } });
+});
+
+test('parseStrategyRules wraps hour windows past midnight and month ranges over the new year', () => {
+    const [hoursRule, monthsRule] = parseStrategyRules('hours 23-8 => charge 80\nmonths 11-2 => hold', 'Night');
+    const hours = hoursRule.conditions[0].hours;
+
+    assert.equal(hours[23], true);
+    assert.equal(hours[0], true);
+    assert.equal(hours[7], true);
+    assert.equal(hours[8], false);
+    assert.equal(hours[22], false);
+    assert.deepEqual(monthsRule.conditions[0].months, [true, true, false, false, false, false, false, false, false, false, true, true]);
+});
+
+test('parseStrategyRules passes already parsed rules through', () => {
+    const rules = [{ conditions: [], action: { type: 'home' } }];
+    assert.equal(parseStrategyRules(rules, 'Parsed'), rules);
+});
+
+test('parseStrategyRules names the strategy and line of an invalid rule', () => {
+    assert.throws(() => parseStrategyRules('hours 2-5 => charge 100\nhours 2-5 charge', 'Mine'), /line 2 of "Mine": write it as "conditions => action"/);
+    assert.throws(() => parseStrategyRules('hours 2-25 => hold', 'Mine'), /must be between 0 and 24/);
+    assert.throws(() => parseStrategyRules('months 13 => hold', 'Mine'), /month 13 must be between 1 and 12/);
+    assert.throws(() => parseStrategyRules('weather sunny => hold', 'Mine'), /unknown condition "weather"/);
+    assert.throws(() => parseStrategyRules('import 0.1 => hold', 'Mine'), /write the import condition like "import > 0.20"/);
+    assert.throws(() => parseStrategyRules('=> charge 120', 'Mine'), /charge level must be between 0 and 100%/);
+    assert.throws(() => parseStrategyRules('=> sell', 'Mine'), /unknown action "sell"/);
+});
+
+test('getReferenceStrategy and getBaselineStrategy come from the registry', () => {
+    const strategies = getStrategies([{ key: 'custom-1', name: 'Mine', rules: [] }]);
+    const benchmarksFirst = [...strategies.filter(strategy => strategy.isBenchmark), ...strategies.filter(strategy => !strategy.isBenchmark)];
+
+    assert.equal(getReferenceStrategy(benchmarksFirst).id, strategies[0].id);
+    assert.equal(getReferenceStrategy(strategies.filter(strategy => strategy.isBenchmark)), undefined);
+
+    strategies.filter(strategy => strategy.baseline).forEach(strategy => {
+        const baseline = getBaselineStrategy(strategy);
+        assert.ok(baseline, `${strategy.id} names a baseline that is not in the registry`);
+        assert.ok(strategies.indexOf(baseline) < strategies.indexOf(strategy), `${strategy.id} is simulated before its baseline`);
+    });
+    assert.equal(getBaselineStrategy(strategies.find(strategy => strategy.isCustom)), undefined);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTariffPeriod, calculateFullBill } from '../engine.js';
+
+/**
+ * Builds a tariff period with flat rates.
+ * @param {string} name - The period's name.
+ * @param {string} dayType - 'all', 'weekday' or 'weekend'.
+ * @param {string} startDate - The first day (MM-DD).
+ * @param {string} endDate - The last day (MM-DD).
+ * @returns {Object} The period.
+ */
+function createPeriod(name, dayType, startDate, endDate) {
+    return { name, dayType, startDate, endDate, importRates: Array(24).fill(0.3), exportRates: Array(24).fill(0.2), forceChargeHours: Array(24).fill(false) };
+}
+
+const schedule = {
+    periods: [
+        createPeriod('Base', 'all', '01-01', '12-31'),
+        createPeriod('Winter', 'all', '11-01', '02-28'),
+        createPeriod('Summer weekends', 'weekend', '06-01', '08-31')
+    ]
+};
+
+// Wall-clock dates, read through their UTC getters
+const localDay = (year, month, day) => new Date(Date.UTC(year, month - 1, day, 12));
+
+test('getTariffPeriod uses the base period when no other period applies', () => {
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 4, 15)).name, 'Base');
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 7, 2)).name, 'Base'); // A Wednesday
+});
+
+test('getTariffPeriod matches periods that wrap over the new year, including their first and last days', () => {
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 11, 1)).name, 'Winter');
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 12, 31)).name, 'Winter');
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 1, 1)).name, 'Winter');
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 2, 28)).name, 'Winter');
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 3, 1)).name, 'Base');
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 10, 31)).name, 'Base');
+});
+
+test('getTariffPeriod matches weekday and weekend periods by the local day of the week', () => {
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 7, 5)).name, 'Summer weekends'); // Saturday
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 7, 6)).name, 'Summer weekends'); // Sunday
+    assert.equal(getTariffPeriod(schedule, localDay(2025, 7, 7)).name, 'Base'); // Monday
+
+    const weekdays = { periods: [createPeriod('Base', 'all', '01-01', '12-31'), createPeriod('Weekdays', 'weekday', '01-01', '12-31')] };
+    assert.equal(getTariffPeriod(weekdays, localDay(2025, 7, 7)).name, 'Weekdays');
+    assert.equal(getTariffPeriod(weekdays, localDay(2025, 7, 5)).name, 'Base');
+});
+
+test('getTariffPeriod lets later periods override earlier ones', () => {
+    const overlapping = { periods: [...schedule.periods, createPeriod('December', 'all', '12-01', '12-31')] };
+    assert.equal(getTariffPeriod(overlapping, localDay(2025, 12, 10)).name, 'December');
+    assert.equal(getTariffPeriod(overlapping, localDay(2025, 11, 10)).name, 'Winter');
+});
+
+test('calculateFullBill discounts the unit charges, adds standing charges, the PSO levy and VAT, then deducts credits and export income', () => {
+    const bill = { standingChargePerDay: 0.5, psoLevyPerMonth: 2, vatRate: 10, pricesIncludeVat: false, unitDiscount: 10, oneOffCredits: 365 };
+    const result = calculateFullBill(100, 20, bill, 365);
+
+    assert.ok(Math.abs(result.unitCharges - 90) < 1e-9);
+    assert.ok(Math.abs(result.standingCharges - 182.5) < 1e-9);
+    assert.ok(Math.abs(result.psoLevy - 24) < 1e-9);
+    assert.ok(Math.abs(result.vat - 29.65) < 1e-9);
+    assert.equal(result.credits, 365);
+    assert.equal(result.exportCredit, 20);
+    assert.ok(Math.abs(result.total - (90 + 182.5 + 24 + 29.65 - 365 - 20)) < 1e-9);
+});
+
+test('calculateFullBill applies VAT once to prices that include it', () => {
+    const bill = { standingChargePerDay: 0.545, psoLevyPerMonth: 0, vatRate: 9, pricesIncludeVat: true, unitDiscount: 0, oneOffCredits: 0 };
+    const result = calculateFullBill(109, 0, bill, 100);
+
+    assert.ok(Math.abs(result.unitCharges - 100) < 1e-9);
+    assert.ok(Math.abs(result.standingCharges - 50) < 1e-9);
+    assert.ok(Math.abs(result.total - (109 + 54.5)) < 1e-9);
+});
+
+test('calculateFullBill charges the PSO levy and credits for part of a year', () => {
+    const bill = { standingChargePerDay: 0, psoLevyPerMonth: 12, vatRate: 0, pricesIncludeVat: false, unitDiscount: 0, oneOffCredits: 730 };
+    const result = calculateFullBill(0, 0, bill, 365 / 2);
+
+    assert.ok(Math.abs(result.psoLevy - 72) < 1e-9);
+    assert.ok(Math.abs(result.credits - 365) < 1e-9);
+});
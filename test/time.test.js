@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dublinLocalToUtc, toDublinWallClock } from '../engine.js';
+
+// Clocks go forward at 01:00 UTC on 30 March 2025 and back at 01:00 UTC on 26 October 2025.
+
+test('dublinLocalToUtc reads winter times as GMT and summer times as IST', () => {
+    assert.equal(dublinLocalToUtc(2025, 0, 15, 12, 0).toISOString(), '2025-01-15T12:00:00.000Z');
+    assert.equal(dublinLocalToUtc(2025, 6, 1, 12, 0).toISOString(), '2025-07-01T11:00:00.000Z');
+});
+
+test('dublinLocalToUtc reads the skipped hour when the clocks go forward as GMT', () => {
+    assert.equal(dublinLocalToUtc(2025, 2, 30, 0, 30).toISOString(), '2025-03-30T00:30:00.000Z');
+    assert.equal(dublinLocalToUtc(2025, 2, 30, 1, 30).toISOString(), '2025-03-30T01:30:00.000Z');
+    assert.equal(dublinLocalToUtc(2025, 2, 30, 2, 0).toISOString(), '2025-03-30T01:00:00.000Z');
+});
+
+test('dublinLocalToUtc places the repeated hour when the clocks go back on the earlier or later instant', () => {
+    assert.equal(dublinLocalToUtc(2025, 9, 26, 1, 30).toISOString(), '2025-10-26T00:30:00.000Z');
+    assert.equal(dublinLocalToUtc(2025, 9, 26, 1, 30, true).toISOString(), '2025-10-26T01:30:00.000Z');
+    assert.equal(dublinLocalToUtc(2025, 9, 26, 2, 0).toISOString(), '2025-10-26T02:00:00.000Z');
+});
+
+test('toDublinWallClock shows Irish local time through the UTC getters', () => {
+    assert.equal(toDublinWallClock(new Date('2025-01-15T12:00:00Z')).toISOString(), '2025-01-15T12:00:00.000Z');
+    assert.equal(toDublinWallClock(new Date('2025-07-01T11:00:00Z')).toISOString(), '2025-07-01T12:00:00.000Z');
+    // Both instants of the repeated hour show the same local time
+    assert.equal(toDublinWallClock(new Date('2025-10-26T00:30:00Z')).toISOString(), '2025-10-26T01:30:00.000Z');
+    assert.equal(toDublinWallClock(new Date('2025-10-26T01:30:00Z')).toISOString(), '2025-10-26T01:30:00.000Z');
+});
+
+test('toDublinWallClock undoes dublinLocalToUtc outside the clock changes', () => {
+    for (const [month, day, hour] of [[0, 1, 0], [2, 29, 23], [5, 21, 13], [9, 27, 4], [11, 31, 23]]) {
+        const local = toDublinWallClock(dublinLocalToUtc(2025, month, day, hour, 30));
+        assert.equal(local.toISOString(), new Date(Date.UTC(2025, month, day, hour, 30)).toISOString());
+    }
+});